@@ -7,6 +7,23 @@ function run() {
 
 	testDictionary(hashDict);
 
+	// A dictionary restored from serialized data works just like the original.
+	testDictionary(Typo.deserialize(hashDict.serialize()));
+
+	var lazyDict = new Typo("en_US", affData, wordData, { lazyAffixes : true });
+
+	test("Lazy affix lookup", function () {
+		var words = [ "walk", "walked", "walking", "uncritically", "hypersensitiveness", "illusive", "Abbott's",
+			"abbott's", "concept's", "acceptability's's", "aren't", "didn'ts", "1st", "1th", "10th", "100st",
+			"well-known", "well-knwn", "YVES", "yves", "aaraara" ];
+
+		for (var i = 0, _len = words.length; i < _len; i++) {
+			equal(lazyDict.check(words[i]), hashDict.check(words[i]), words[i]);
+		}
+
+		deepEqual(lazyDict.suggest("speling", 3), [ "spelling", "spieling", "spewing" ]);
+	});
+
 	var dict = new Typo("en_US", null, null, { dictionaryPath : "../typo/dictionaries", asyncLoad : true, loadedCallback : function () {
 		testDictionary(dict);
 	}});
@@ -74,6 +91,30 @@ function testDictionary(dict) {
 		deepEqual(dict.suggest("hostipal"), [ "hospital" ]);
 	});
 
+	test("Suggestions favor neighboring keys", function () {
+		deepEqual(dict.keyboard, [ "qwertyuiop", "asdfghjkl", "zxcvbnm" ], "QWERTY is the default keyboard.");
+		deepEqual(dict._keyNeighbors("s"), [ "a", "d" ]);
+		ok(dict.keyboard !== new Typo("xx_XX", "SET UTF-8", "1\nword").keyboard, "Each dictionary has its own keyboard.");
+
+		equal(dict.suggest("spelk")[0], "spell");
+		equal(dict.suggest("wprd")[0], "word");
+		notDeepEqual(dict.suggest("spelk"), dict.suggest("spelq"));
+
+		// "x" is next to "z" in the same row, and "a" and "s" are diagonally next to it (and equally
+		// close, so "teat" and "test" are in alphabetical order), unlike "n".
+		deepEqual(dict.suggest("tezt", 4), [ "text", "teat", "test", "tent" ]);
+		equal(dict._keyDistance("x", "s"), dict._keyDistance("x", "d"), "Keyboard rows are staggered.");
+		ok(dict._keyDistance("e", "d") < dict._keyDistance("e", "s"));
+	});
+
+	test("Stemming", function () {
+		deepEqual(dict.stem("walked"), [ "walk" ]);
+		deepEqual(dict.stem("walks"), [ "walk" ]);
+		notEqual(dict.stem("walking").indexOf("walk"), -1);
+		deepEqual(dict.stem("uncritically"), [ "critical" ]);
+		deepEqual(dict.stem("aaraara"), [ ]);
+	});
+
 	test("Correct checking of words with no affixes", function () {
 		equal(dict.check("I"), true);
 		equal(dict.check("is"), true);
@@ -184,8 +225,42 @@ function testDictionary(dict) {
 		equal(dict.check("he're"), false);
 	});
 
+	test("ICONV is applied to input", function () {
+		equal(dict.check("don\u2019t"), true);
+		equal(dict.check("DON\u2019T"), true);
+		equal(dict.checkExact("don\u2019t"), true);
+		equal(dict.check("didn\u2019ts"), false);
+		deepEqual(dict.suggest("don\u2019t"), [ ]);
+		equal(dict.suggest("dont\u2019")[0], "don't");
+	});
+
+	test("Words are broken at hyphens", function () {
+		deepEqual(dict.breakTable, [ "-", "^-", "-$" ], "Hyphens are the default BREAK patterns.");
+
+		equal(dict.check("well-known"), true);
+		equal(dict.check("Well-Known"), true);
+		equal(dict.check("well-known-fact"), true);
+		equal(dict.check("well-knwn"), false);
+		equal(dict.check("wlel-known"), false);
+		equal(dict.check("-well"), true);
+		equal(dict.check("well-"), true);
+		equal(dict.check("-"), false);
+
+		// Words with many hyphens can be broken up in a huge number of ways, which shouldn't all be tried.
+		equal(dict.check(new Array(41).join("well-") + "known"), true);
+		equal(dict.check(new Array(41).join("well-") + "knwn"), false);
+		equal(dict.check(new Array(41).join("knwn-") + "well"), false);
+
+		deepEqual(dict.suggest("well-known"), [ ]);
+		equal(dict.suggest("well-knwn")[0], "well-known");
+		equal(dict.suggest("spelling-mistkae")[0], "spelling-mistake");
+	});
+
 	test("Capitalizations are handled properly.", function () {
 		deepEqual(dict.suggest("Wagh"), ["Weigh"]);
+		// Equally weighted suggestions are ordered by how far apart the substituted keys are: I and L
+		// are 1.4 keys apart, C and R 2.2, I and N 2.8, E and H 3.2, I and R 4, and E and L 6.1, so CLIT
+		// isn't in the top five.
 		deepEqual(dict.suggest("CEIT"), [
 			"CELT",
 			"CENT",
@@ -217,8 +292,8 @@ function testDictionary(dict) {
 		equal( dict.suggest(misspelled_word, 5).indexOf( priority_suggestion ) == 0, false );
 		/* ['priority', 'priorly', 'Priority', 'priory', 'prorate'] */
 
-		// Delete the cached suggestions.
-		delete dict.memoized[misspelled_word];
+		// Clear the cached suggestions, which don't know about changes made this way.
+		dict.clearCache();
 
 		// Add the PRIORITYSUGGEST flag and add our fake word with PRIORITYSUGGEST.
 		dict.flags['PRIORITYSUGGEST'] = '@';
@@ -231,6 +306,7 @@ function testDictionary(dict) {
 		// Reset the dictionary state.
 		delete dict.flags['PRIORITYSUGGEST'];
 		dict.dictionaryTable[priority_suggestion].pop();
+		dict.clearCache();
 	} );
 }
 
@@ -6,6 +6,9 @@ function run() {
 	var hashDict = new Typo("fr_FR", affData, wordData);
 	testDictionary(hashDict);
 
+	var lazyDict = new Typo("fr_FR", affData, wordData, { lazyAffixes : true });
+	testLazyAffixes(lazyDict, hashDict);
+
 	var dict = new Typo("fr_FR", null, null, { dictionaryPath : "tests/dictionaries", asyncLoad : true, loadedCallback : function () {
 		testDictionary(dict);
 	}});
@@ -15,6 +18,64 @@ function run() {
 
 	var toutesDict = new Typo("fr_FR", toutesAffData, toutesWordData);
 	testDictionary(toutesDict);
+	testMorphology(toutesDict);
+}
+
+function testMorphology(dict) {
+	test("Morphological fields are kept", function () {
+		var analyses = dict.analyze("chattes");
+
+		equal(analyses.length, 2);
+		equal(analyses[0].root, "chatter");
+		deepEqual(analyses[0].morphology, [ "po:v1_i_____a", "po:ipre", "po:spre", "po:2sg" ]);
+		equal(analyses[1].root, "chat");
+		equal(analyses[1].partOfSpeech, "nom");
+		deepEqual(analyses[1].morphology, [ "po:nom", "is:fem", "is:pl" ]);
+
+		analyses = dict.analyze("l'arbre");
+
+		equal(analyses.length, 1);
+		equal(analyses[0].root, "arbre");
+		deepEqual(analyses[0].affixes.map(function (affix) { return affix.type + " " + affix.flag; }), [ "SFX S.", "PFX L'" ]);
+	});
+
+	test("Words are generated by their morphological fields", function () {
+		deepEqual(dict.generate("chat", "chiennes"), [ "chattes" ]);
+		deepEqual(dict.generate("Chat", "chienne"), [ "chatte" ]);
+		deepEqual(dict.generate("marcher", "chantions"), [ "marchions" ]);
+	});
+}
+
+function testLazyAffixes(lazyDict, hashDict) {
+	test("Lazy affix lookup rules out suggestions without removing their affixes", function () {
+		var words = [ "maisom", "bonjuor", "fenetre" ];
+		var suggestions = [];
+
+		ok(!lazyDict.dictionaryTable.hasOwnProperty("maisons"), "Affixed forms aren't generated when the dictionary is loaded.");
+
+		// Count how many of the hundreds of thousands of candidates have their affixes removed.
+		var rootCandidates = lazyDict._rootCandidates;
+		var calls = 0;
+
+		lazyDict._rootCandidates = function () {
+			calls++;
+			return rootCandidates.apply(this, arguments);
+		};
+
+		for (var i = 0, _len = words.length; i < _len; i++) {
+			suggestions.push(lazyDict.suggest(words[i]));
+		}
+
+		delete lazyDict._rootCandidates;
+
+		ok(calls < 3000, "Candidates that no word generates are ruled out by their hashes.");
+
+		for (var i = 0, _len = words.length; i < _len; i++) {
+			deepEqual(suggestions[i], hashDict.suggest(words[i]), words[i]);
+		}
+
+		equal(lazyDict.suggest("maisom")[0], "maison");
+	});
 }
 
 function testDictionary(dict) {
@@ -67,6 +128,38 @@ function testDictionary(dict) {
 		// https://github.com/cfinke/Typo.js/issues/82
 		equal(5, dict.suggest("ok").length);
 	});
+
+	test("MAP-related characters are suggested first", function () {
+		deepEqual(dict.suggest("eleve", 2), [ "élève", "élevé" ]);
+		equal(dict.suggest("ecole")[0], "école");
+		equal(dict.suggest("tres")[0], "très");
+	});
+
+	test("ICONV and OCONV are applied", function () {
+		// Decomposed accents are converted to their precomposed forms before checking.
+		equal(dict.check("e\u0301le\u0300ve"), true);
+		equal(dict.checkExact("e\u0301le\u0300ve"), true);
+		equal(dict.suggest("e\u0301le\u0300ve").length, 0);
+
+		// Apostrophes in suggestions are converted to typographic apostrophes.
+		equal(dict.suggest("j'espere")[0], "j\u2019espère");
+	});
+
+	test("Words are checked in parts using BREAK", function () {
+		equal(dict.check("peut-être"), true);
+		equal(dict.check("arc-en-ciel"), true);
+		equal(dict.check("peut-etre"), false);
+
+		equal(dict.suggest("peut-etre")[0], "peut-être");
+	});
+
+	test("KEY directive is used for suggestions", function () {
+		equal(dict.keyboard[0], "azertyuiop");
+		deepEqual(dict._keyNeighbors("a"), [ "z", "é", "q" ]);
+
+		equal(dict.suggest("qller")[0], "aller");
+		equal(dict.suggest("mzison")[0], "maison");
+	});
 }
 
 addEventListener( "load", run, false );
\ No newline at end of file
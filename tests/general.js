@@ -60,14 +60,1402 @@ function run() {
 		}});
 	});
 
+	asyncTest("Promise-based load of dictionary data", function(assert) {
+		Typo.load("en_US").then(function(dict) {
+			checkLoadedDict(dict);
+			assert.equal(dict.check("spelling"), true);
+			QUnit.start();
+		}, function(err) {
+			QUnit.pushFailure(err);
+			QUnit.start();
+		});
+	});
+
+	asyncTest("Promise-based load of a missing dictionary is rejected", function(assert) {
+		Typo.load("xx_XX").then(function() {
+			QUnit.pushFailure("The promise was resolved.");
+			QUnit.start();
+		}, function(err) {
+			assert.ok(err instanceof Typo.FileNotFoundError || err instanceof Typo.HTTPError);
+			assert.ok(err instanceof Typo.TypoError);
+			assert.ok(/xx_XX\.(aff|dic)$/.test(err.path));
+			QUnit.start();
+		});
+	});
+
+	asyncTest("Asynchronous load of a missing dictionary calls errorCallback", function(assert) {
+		new Typo("xx_XX", null, null, { asyncLoad: true, loadedCallback: function() {
+			QUnit.pushFailure("loadedCallback was called.");
+			QUnit.start();
+		}, errorCallback: function(err) {
+			assert.ok(err instanceof Typo.TypoError);
+			QUnit.start();
+		}});
+	});
+
+	asyncTest("Asynchronous load failures without an errorCallback are thrown when the dictionary is used", function(assert) {
+		var consoleError = console.error;
+		var logged = false;
+
+		console.error = function() {
+			logged = true;
+		};
+
+		var dict = new Typo("xx_XX", null, null, { asyncLoad: true });
+
+		function waitForError() {
+			if (!dict.loadError) {
+				setTimeout(waitForError, 10);
+				return;
+			}
+
+			console.error = consoleError;
+
+			assert.ok(dict.loadError instanceof Typo.TypoError);
+			assert.ok(!logged, "The error isn't logged.");
+
+			assert.throws(function() {
+				dict.check("foo");
+			}, function(err) {
+				return err === dict.loadError;
+			});
+
+			assert.throws(function() {
+				dict.suggest("foo");
+			}, function(err) {
+				return err === dict.loadError;
+			});
+
+			QUnit.start();
+		}
+
+		waitForError();
+	});
+
+	asyncTest("Errors from loadedCallback aren't unhandled rejections when files are loaded asynchronously", function(assert) {
+		var encoder = new TextEncoder();
+		var loader = {
+			read : function(path, async) {
+				return Promise.resolve(encoder.encode(/\.aff$/.test(path) ? "SFX S Y 1\nSFX S 0 s .\n" : "1\nwalk/S\n"));
+			}
+		};
+
+		// The error is rethrown from a timer, like errors in any other callback.
+		var originalSetTimeout = window.setTimeout;
+
+		window.setTimeout = function(callback) {
+			window.setTimeout = originalSetTimeout;
+
+			try {
+				callback();
+				assert.ok(false, "The error is rethrown.");
+			}
+			catch (err) {
+				assert.equal(err.message, "Thrown by loadedCallback.");
+			}
+
+			QUnit.start();
+		};
+
+		new Typo("xx_XX", null, null, { asyncLoad: true, loader: loader, loadedCallback: function(dict) {
+			throw new Error("Thrown by loadedCallback.");
+		}, errorCallback: function(err) {
+			assert.ok(false, "errorCallback isn't called.");
+		}});
+	});
+
+	test("Errors from loadedCallback aren't reported as loading errors", function() {
+		var errors = [];
+
+		throws(function() {
+			new Typo("xx_XX", "SFX S Y 1\nSFX S 0 s .", "1\nwalk/S", { asyncLoad: true, loadedCallback: function(dict) {
+				throw new Error("Thrown by loadedCallback.");
+			}, errorCallback: function(err) {
+				errors.push(err);
+			}});
+		}, /Thrown by loadedCallback/);
+
+		deepEqual(errors, [ ]);
+
+		var dict = new Typo("xx_XX", "SFX S Y 2\nSFX S 0 s .", "1\nwalk/S", { asyncLoad: true, loadedCallback: function() {
+			errors.push("loaded");
+		}, errorCallback: function(err) {
+			errors.push(err);
+		}});
+
+		equal(errors.length, 1);
+		ok(errors[0] instanceof Typo.ParseError, "Parse errors still go to errorCallback.");
+		equal(dict.loaded, false);
+	});
+
+	test("Synchronous load of a missing dictionary throws", function() {
+		throws(function() {
+			new Typo("xx_XX");
+		}, function(err) {
+			return (err instanceof Typo.FileNotFoundError || err instanceof Typo.HTTPError) && /xx_XX\.aff$/.test(err.path);
+		});
+	});
+
+	test("Dictionaries can be read from memory", function() {
+		var encoder = new TextEncoder();
+		var affData = encoder.encode("SFX S Y 1\nSFX S 0 s .\n");
+		var wordData = encoder.encode("1\nword/S\n");
+
+		var dict = new Typo("xx_XX", null, null, { loader : Typo.loaders.memory({ "xx_XX.aff" : affData, "xx_XX.dic" : wordData.buffer }) });
+		equal(dict.check("words"), true, "Files can be found by name.");
+
+		dict = new Typo("xx_XX", null, null, { dictionaryPath : "dicts", loader : Typo.loaders.memory({ "dicts/xx_XX/xx_XX.aff" : affData.buffer, "dicts/xx_XX/xx_XX.dic" : wordData }) });
+		equal(dict.check("words"), true, "Files can be found by path.");
+
+		dict = new Typo("xx_XX", affData.buffer, wordData.buffer);
+		equal(dict.check("words"), true, "ArrayBuffers can be passed to the constructor.");
+
+		throws(function() {
+			new Typo("xx_XX", null, null, { loader : Typo.loaders.memory({ "xx_XX.aff" : affData }) });
+		}, function(err) {
+			return err instanceof Typo.FileNotFoundError && /xx_XX\.dic$/.test(err.path);
+		});
+	});
+
+	asyncTest("Dictionaries can be loaded with the fetch loader", function(assert) {
+		Typo.load("en_US", { loader : Typo.loaders.fetch(), dictionaryPath : "../typo/dictionaries" }).then(function(dict) {
+			checkLoadedDict(dict);
+			assert.equal(dict.check("spelling"), true);
+			QUnit.start();
+		}, function(err) {
+			QUnit.pushFailure(err);
+			QUnit.start();
+		});
+	});
+
+	asyncTest("Dictionaries can be loaded with a custom loader", function(assert) {
+		var encoder = new TextEncoder();
+		var paths = [];
+
+		var loader = {
+			dictionaryPath : "custom",
+			resolve : function(path) {
+				return "resolved/" + path;
+			},
+			read : function(path, async) {
+				paths.push(path);
+
+				return Promise.resolve(encoder.encode(/\.aff$/.test(path) ? "SFX S Y 1\nSFX S 0 s .\n" : "1\nword/S\n"));
+			}
+		};
+
+		Typo.load("xx_XX", { loader : loader }).then(function(dict) {
+			assert.equal(dict.check("words"), true);
+			assert.deepEqual(paths, [ "resolved/custom/xx_XX/xx_XX.aff", "resolved/custom/xx_XX/xx_XX.dic" ]);
+			QUnit.start();
+		}, function(err) {
+			QUnit.pushFailure(err);
+			QUnit.start();
+		});
+	});
+
+	test("Asynchronous loaders can't load dictionaries synchronously", function() {
+		throws(function() {
+			new Typo("en_US", null, null, { loader : Typo.loaders.fetch(), dictionaryPath : "../typo/dictionaries" });
+		}, function(err) {
+			return err instanceof Typo.TypoError;
+		});
+	});
+
+	test("Dictionaries can be read from packages", function() {
+		var oxtData = empty_dict._readBinaryFile(chrome.runtime.getURL("tests/dictionaries/packages/la.oxt"));
+		var loader = Typo.loaders.zip(oxtData);
+		deepEqual(loader.dictionaries, [ "la-VA" ], "Dictionaries are found in dictionaries.xcu.");
+
+		var dict = new Typo("la-VA", null, null, { loader : loader });
+		equal(dict.check("saxum"), true, "Dictionaries are found by their locales.");
+
+		var xpiData = empty_dict._readBinaryFile(chrome.runtime.getURL("tests/dictionaries/packages/xx_XX.xpi"));
+		loader = Typo.loaders.zip(xpiData.buffer);
+		deepEqual(loader.dictionaries, [ "xx-XX" ], "Dictionaries are found in manifest.json.");
+
+		dict = new Typo("xx_XX", null, null, { loader : loader });
+		equal(dict.check("wörds"), true, "Locales match with either separator.");
+
+		throws(function() {
+			Typo.loaders.zip(new TextEncoder().encode("1\nword\n"));
+		}, function(err) {
+			return err instanceof Typo.TypoError;
+		});
+	});
+
+	test("Dictionary files can be gzipped", function() {
+		var dict = new Typo("xx_XX", null, null, { dictionaryPath : "tests/dictionaries/gz" });
+		equal(dict.check("wörds"), true, ".gz files are read if the dictionary files don't exist.");
+
+		var affData = empty_dict._readBinaryFile(chrome.runtime.getURL("tests/dictionaries/gz/xx_XX/xx_XX.aff.gz"));
+		var wordData = empty_dict._readBinaryFile(chrome.runtime.getURL("tests/dictionaries/gz/xx_XX/xx_XX.dic.gz"));
+		dict = new Typo("xx_XX", affData, wordData.buffer);
+		equal(dict.check("cats"), true, "Gzipped data can be passed to the constructor.");
+	});
+
+	test("Corrupt compressed files throw a TypoError", function() {
+		function isTypoError(err) {
+			return err instanceof Typo.TypoError;
+		}
+
+		var gzData = empty_dict._readBinaryFile(chrome.runtime.getURL("tests/dictionaries/gz/xx_XX/xx_XX.dic.gz"));
+
+		throws(function() {
+			new Typo("xx_XX", "SET UTF-8", gzData.slice(0, gzData.length - 4));
+		}, isTypoError, "Truncated gzip files are rejected.");
+
+		// The last four bytes are the size of the decompressed data.
+		var badSize = gzData.slice();
+		badSize.fill(0xff, badSize.length - 4);
+
+		throws(function() {
+			new Typo("xx_XX", "SET UTF-8", badSize);
+		}, isTypoError, "Sizes that are impossible for the compressed data are rejected before anything is allocated.");
+
+		badSize[badSize.length - 1] = 0;
+		badSize[badSize.length - 2] = 0;
+
+		throws(function() {
+			new Typo("xx_XX", "SET UTF-8", badSize);
+		}, isTypoError, "Sizes that don't match the decompressed data are rejected.");
+
+		// "1\nword\n" in a stored (uncompressed) block, whose length is followed by its one's complement.
+		var storedData = new Uint8Array([ 0x1f, 0x8b, 8, 0, 0, 0, 0, 0, 0, 0xff, 1, 7, 0, 0xf8, 0xff, 0x31, 0x0a, 0x77, 0x6f, 0x72, 0x64, 0x0a, 0, 0, 0, 0, 7, 0, 0, 0 ]);
+		equal(new Typo("xx_XX", "SET UTF-8", storedData).check("word"), true);
+
+		storedData[13] = 0;
+
+		throws(function() {
+			new Typo("xx_XX", "SET UTF-8", storedData);
+		}, isTypoError, "Stored blocks whose lengths don't match their complements are rejected.");
+
+		var xpiData = empty_dict._readBinaryFile(chrome.runtime.getURL("tests/dictionaries/packages/xx_XX.xpi"));
+
+		throws(function() {
+			Typo.loaders.zip(xpiData.slice(0, xpiData.length - 30));
+		}, isTypoError, "Truncated zip files are rejected.");
+
+		// Make the compressed sizes in the central directory point past the end of the file.
+		var badZip = xpiData.slice();
+
+		for (var i = 0; i < badZip.length - 4; i++) {
+			if (badZip[i] === 0x50 && badZip[i + 1] === 0x4b && badZip[i + 2] === 0x01 && badZip[i + 3] === 0x02) {
+				badZip.fill(0xff, i + 20, i + 28);
+			}
+		}
+
+		throws(function() {
+			var loader = Typo.loaders.zip(badZip);
+			new Typo("xx_XX", null, null, { loader : loader });
+		}, isTypoError, "Zip entries that run past the end of the file are rejected.");
+	});
+
+	asyncTest("Gzipped dictionary files can be loaded asynchronously", function(assert) {
+		Typo.load("xx_XX", { dictionaryPath : "tests/dictionaries/gz" }).then(function(dict) {
+			assert.equal(dict.check("wörds"), true);
+			QUnit.start();
+		}, function(err) {
+			QUnit.pushFailure(err);
+			QUnit.start();
+		});
+	});
+
+	test("Malformed dictionary files throw a ParseError", function() {
+		function parseError(affData, wordData, file, line) {
+			throws(function() {
+				new Typo("xx_XX", affData, wordData || "1\nword");
+			}, function(err) {
+				return err instanceof Typo.ParseError && err.file === file && err.line === line;
+			}, "Line " + line + " of the ." + file + " file is reported.");
+		}
+
+		parseError("SFX S Y\nSFX S 0 s .", null, "aff", 1);
+		parseError("TRY a\nSFX S Y 2\nSFX S 0 s .", null, "aff", 3);
+		parseError("SFX S Y 2\nSFX S 0 s .\nSFX S 0\n", null, "aff", 3);
+		parseError("SFX S Y 1\nSFX T 0 s .", null, "aff", 2);
+		parseError("SFX S Y 1\nSFX S 0 s [a", null, "aff", 2);
+		parseError("REP 1\nREP a b\nMAP x\nMAP ab", null, "aff", 3);
+
+		var dict = new Typo("xx_XX", "SFX S Y 1\nSFX S 0 s .\n", "1\nword/S");
+		equal(dict.check("words"), true);
+
+		parseError("TRY a", "word\nother", "dic", 1);
+		parseError("SFX S Y 2\nSFX S 0 s .\n# comment\n", null, "aff", 4);
+
+		dict = new Typo("xx_XX", "SFX S Y 1\n  SFX S 0 s .\n", "1\nword/S");
+		equal(dict.check("words"), true, "Affix entries can be indented.");
+
+		dict = new Typo("xx_XX", "SFX S Y 2\n# Plurals\nSFX S 0 s [^s]\n\nSFX S 0 es s\n", "2\nword/S\nkiss/S");
+		equal(dict.check("words") && dict.check("kisses"), true, "Comments and blank lines in affix tables are skipped.");
+
+		dict = new Typo("xx_XX", "SFX S Y 1\nSFX S 0 s .\n", "word/S\nother", { wordCount : false });
+		equal(dict.check("words") && dict.check("other"), true, "The word count can be left out with the wordCount setting.");
+
+		dict = new Typo("xx_XX", "SET UTF-8\n", "42\nfoo\n", { wordCount : false });
+		equal(dict.check("42") && dict.check("foo"), true, "Without a word count, a number on the first line is a word.");
+
+		dict = new Typo("xx_XX", "SET UTF-8\n", "2\n123\nfoo\n");
+		equal(dict.check("2"), false, "The word count isn't a word.");
+		equal(dict.check("123") && dict.check("foo"), true);
+
+		dict = new Typo("xx_XX", "SET UTF-8\n", "50000\nfoo\nbar\n");
+		equal(dict.check("50000"), false, "The word count doesn't have to be accurate.");
+		equal(dict.check("foo") && dict.check("bar"), true);
+
+		throws(function() {
+			new Typo("xx_XX", "SFX S Y 1\nSFX S 0 s [a", "1\nword");
+		}, /Invalid condition \[a on line 2 of the \.aff file\./);
+	});
+
+	test("The SET directive determines the encoding of the dictionary files", function() {
+		function bytes(text) {
+			var data = new Uint8Array(text.length);
+
+			for (var i = 0; i < text.length; i++) {
+				data[i] = text.charCodeAt(i);
+			}
+
+			return data;
+		}
+
+		// "мир" in microsoft-cp1251.
+		var dict = new Typo("xx_XX", bytes("SET microsoft-cp1251\n"), bytes("1\n\xEC\xE8\xF0\n"));
+		equal(dict.check("\u043C\u0438\u0440"), true);
+
+		// "мир" in KOI8-R.
+		dict = new Typo("xx_XX", bytes("SET KOI8-R\n"), bytes("1\n\xCD\xC9\xD2\n"));
+		equal(dict.check("\u043C\u0438\u0440"), true);
+
+		// "€" is 0xA4 in ISO8859-15, where ISO8859-1 has "¤".
+		dict = new Typo("xx_XX", bytes("SET ISO8859-15\nTRY \xA4\n"), bytes("1\n\xA4\n"));
+		equal(dict.check("\u20AC"), true);
+		equal(dict.flags.TRY, "\u20AC");
+
+		dict = new Typo("xx_XX", bytes("SET ISO8859-1\n"), bytes("1\n\xE4\n"));
+		equal(dict.check("\u00E4"), true);
+
+		// A preloaded .aff string still determines how the .dic bytes are decoded.
+		dict = new Typo("xx_XX", "SET ISO8859-1\n", bytes("1\n\xE4\n"));
+		equal(dict.check("\u00E4"), true);
+
+		// Without a SET directive, UTF-8 is assumed.
+		dict = new Typo("xx_XX", bytes("TRY a\n"), bytes("1\n\xC3\xA4\n"));
+		equal(dict.check("\u00E4"), true);
+
+		// Without TextDecoder, UTF-8 is decoded the same way, with U+FFFD for malformed bytes.
+		var textDecoder = window.TextDecoder;
+		window.TextDecoder = undefined;
+
+		try {
+			dict = new Typo("xx_XX", bytes("TRY a\n"), bytes("4\n\xC3\xA4\n\xF0\x9F\x98\x80\nb\xE2\x82\n\xC0\xAFc\xFF\n"));
+			equal(dict.check("\u00E4"), true);
+			equal(dict.check("\uD83D\uDE00"), true);
+			equal(dict.check("b\uFFFD"), true);
+			equal(dict.check("\uFFFD\uFFFDc\uFFFD"), true);
+		} finally {
+			window.TextDecoder = textDecoder;
+		}
+
+		throws(function() {
+			new Typo("xx_XX", bytes("SET X-UNKNOWN-8\n"), bytes("1\n\xE4\n"));
+		}, function(err) {
+			return err instanceof Typo.TypoError && err.message === "Unsupported SET encoding: X-UNKNOWN-8";
+		}, "Files in charsets that can't be decoded aren't loaded as garbled text.");
+	});
+
+	test("AF and AM aliases", function() {
+		var affData = [
+			"AF 2",
+			"AF AB # 1",
+			"AF A # 2",
+			"AM 2",
+			"AM po:noun",
+			"AM po:verb is:past",
+			"SFX A Y 1",
+			"SFX A 0 x .",
+			"SFX B Y 1",
+			"SFX B 0 y/2 ."
+		].join("\n");
+
+		var wordData = [
+			"2",
+			"foo/1",
+			"bar/2 1"
+		].join("\n");
+
+		var dict = new Typo("xx_XX", affData, wordData);
+
+		deepEqual(dict.flagAliases, [ "AB", "A" ]);
+		deepEqual(dict.morphAliases, [ "po:noun", "po:verb is:past" ]);
+
+		equal(dict.check("foo"), true);
+		equal(dict.check("foox"), true);
+		equal(dict.check("fooy"), true);
+		equal(dict.check("fooyx"), true, "Aliases are resolved in continuation classes.");
+		equal(dict.check("bar"), true);
+		equal(dict.check("barx"), true);
+		equal(dict.check("bary"), false);
+	});
+
+	test("Morphological analysis", function() {
+		var affData = [
+			"KEEPCASE K",
+			"SFX S Y 1",
+			"SFX S 0 s . is:plural",
+			"SFX D Y 2",
+			"SFX D 0 ed [^e] is:past",
+			"SFX D 0 d e is:past",
+			"PFX U Y 1",
+			"PFX U 0 un . dp:un"
+		].join("\n");
+
+		var wordData = [
+			"5",
+			"walk/SD po:verb",
+			"drink/S po:noun",
+			"drink po:verb al:drank",
+			"tie/UD po:verb # A comment.",
+			"NASA/K po:noun"
+		].join("\n");
+
+		var dict = new Typo("xx_XX", affData, wordData);
+
+		deepEqual(dict.rootTable, { }, "The words from the .dic file are only saved once they're needed.");
+		equal(Typo.deserialize(dict.serialize()).rootTable.drink.length, 2);
+		deepEqual(dict.rootTable, { }, "Serializing doesn't save them.");
+
+		deepEqual(dict.analyze("walked"), [
+			{
+				root : "walk",
+				partOfSpeech : "verb",
+				affixes : [ { type : "SFX", flag : "D", add : "ed", morphology : [ "is:past" ] } ],
+				morphology : [ "po:verb", "is:past" ]
+			}
+		]);
+		equal(dict.rootTable.drink.length, 2);
+
+		deepEqual(dict.analyze("untied"), [
+			{
+				root : "tie",
+				partOfSpeech : "verb",
+				affixes : [
+					{ type : "PFX", flag : "U", add : "un", morphology : [ "dp:un" ] },
+					{ type : "SFX", flag : "D", add : "d", morphology : [ "is:past" ] }
+				],
+				morphology : [ "po:verb", "dp:un", "is:past" ]
+			}
+		]);
+
+		var analyses = dict.analyze("drink");
+		equal(analyses.length, 2, "Each reading of a word is returned.");
+		equal(analyses[0].partOfSpeech, "noun");
+		equal(analyses[1].partOfSpeech, "verb");
+		deepEqual(analyses[1].morphology, [ "po:verb", "al:drank" ]);
+		deepEqual(analyses[1].affixes, [ ]);
+
+		equal(dict.analyze("drinks").length, 1);
+		equal(dict.analyze("Walks")[0].root, "walk", "Capitalization variants are analyzed.");
+		equal(dict.analyze("WALKS")[0].root, "walk", "Capitalization variants are analyzed.");
+		equal(dict.analyze("NASA")[0].partOfSpeech, "noun");
+		deepEqual(dict.analyze("Nasa"), [ ], "KEEPCASE is respected.");
+		deepEqual(dict.analyze("drinked"), [ ]);
+		deepEqual(dict.analyze("walkeds"), [ ]);
+		deepEqual(dict.analyze(""), [ ]);
+
+		// AM aliases are resolved.
+		dict = new Typo("xx_XX", "AM 1\nAM po:noun is:sg", "1\ncat 1");
+		deepEqual(dict.analyze("cat")[0].morphology, [ "po:noun", "is:sg" ]);
+	});
+
+	test("Stemming", function() {
+		var affData = [
+			"SFX S Y 1",
+			"SFX S 0 s .",
+			"SFX D Y 2",
+			"SFX D 0 ed [^e]",
+			"SFX D 0 d e",
+			"SFX G Y 2",
+			"SFX G 0 ing [^e]",
+			"SFX G e ing e"
+		].join("\n");
+
+		var wordData = [
+			"5",
+			"walk/SDG",
+			"walking/S",
+			"tie/SDG",
+			"drank st:drink",
+			"drink/SG"
+		].join("\n");
+
+		var dict = new Typo("xx_XX", affData, wordData);
+
+		deepEqual(dict.stem("walked"), [ "walk" ]);
+		deepEqual(dict.stem("walks"), [ "walk" ]);
+		deepEqual(dict.stem("walking"), [ "walking", "walk" ]);
+		deepEqual(dict.stem("walkings"), [ "walking" ]);
+		deepEqual(dict.stem("Walked"), [ "walk" ]);
+		deepEqual(dict.stem("tied"), [ "tie" ]);
+		deepEqual(dict.stem("ting"), [ ]);
+		deepEqual(dict.stem("drank"), [ "drank", "drink" ], "The st: field is used.");
+		deepEqual(dict.stem("drinking"), [ "drink" ]);
+		deepEqual(dict.stem("walkked"), [ ]);
+	});
+
+	test("Word form generation", function() {
+		var affData = [
+			"NEEDAFFIX N",
+			"CIRCUMFIX X",
+			"SFX S Y 1",
+			"SFX S 0 s . is:plural",
+			"SFX D Y 2",
+			"SFX D 0 ed [^e] is:past",
+			"SFX D 0 d e is:past",
+			"PFX U Y 1",
+			"PFX U 0 un . dp:un",
+			"PFX R N 1",
+			"PFX R 0 re .",
+			"PFX A Y 1",
+			"PFX A 0 ge/X .",
+			"SFX B Y 1",
+			"SFX B 0 t/X ."
+		].join("\n");
+
+		var wordData = [
+			"5",
+			"walk/SDR",
+			"tie/UD",
+			"drink/S",
+			"drank po:verb is:past",
+			"mach/ABN"
+		].join("\n");
+
+		var dict = new Typo("xx_XX", affData, wordData);
+
+		deepEqual(dict.forms("walk"), [
+			{ word : "walk", flags : [ ] },
+			{ word : "walks", flags : [ "S" ] },
+			{ word : "walked", flags : [ "D" ] },
+			{ word : "rewalk", flags : [ "R" ] }
+		]);
+
+		deepEqual(dict.forms("tie"), [
+			{ word : "tie", flags : [ ] },
+			{ word : "untie", flags : [ "U" ] },
+			{ word : "untied", flags : [ "U", "D" ] },
+			{ word : "tied", flags : [ "D" ] }
+		]);
+
+		deepEqual(dict.forms("mach"), [ { word : "gemacht", flags : [ "A", "B" ] } ], "NEEDAFFIX and CIRCUMFIX are respected.");
+		deepEqual(dict.forms("walked"), [ ]);
+		deepEqual(dict.forms("xyzzy"), [ ]);
+
+		deepEqual(dict.generate("tie", "walked"), [ "tied" ], "Forms are generated by morphology.");
+		deepEqual(dict.generate("walks", "tied"), [ "walked" ]);
+		deepEqual(dict.generate("drink", "walks"), [ "drinks" ]);
+		deepEqual(dict.generate("drink", "walked"), [ ]);
+		deepEqual(dict.generate("tie", "untie"), [ "untie" ]);
+		deepEqual(dict.generate("walk", "untie"), [ ]);
+		deepEqual(dict.generate("walked", "rewalk"), [ "rewalk" ], "Without morphology, forms are generated by the same affixes.");
+		deepEqual(dict.generate("tie", "rewalk"), [ ]);
+		deepEqual(dict.generate("xyzzy", "walked"), [ ]);
+	});
+
+	test("Suggestions for words with BREAK patterns", function() {
+		var dict = new Typo("xx_XX", "SET UTF-8", "2\nx-ray\nmachine\n");
+		equal(dict.suggest("x-ray-machnie")[0], "x-ray-machine", "Words are broken at every hyphen.");
+
+		dict = new Typo("xx_XX", "ICONV 1\nICONV x xx\n", "2\nfoo\nxxy\n");
+		equal(dict.suggest("foo-xz")[0], "foo-xxy", "ICONV is only applied once.");
+	});
+
+	test("FORBIDDENWORD entries are rejected", function() {
+		var affData = [
+			"FORBIDDENWORD !",
+			"SFX S Y 1",
+			"SFX S 0 s .",
+		].join("\n");
+
+		var wordData = [
+			"4",
+			"walk/S",
+			"walks/!",
+			"talk/S!",
+			"chalk/S",
+		].join("\n");
+
+		var dict = new Typo("xx_XX", affData, wordData);
+
+		equal(dict.check("walk"), true);
+		equal(dict.check("walks"), false, "Forbidden words are rejected even if an affix rule generates them.");
+		equal(dict.check("Walks"), false);
+		equal(dict.checkExact("walks"), false);
+		equal(dict.check("talk"), false);
+		equal(dict.check("talks"), false, "Affixed forms of forbidden words are rejected.");
+		equal(dict.check("chalks"), true);
+
+		equal(dict.suggest("walkz").indexOf("walks"), -1);
+		equal(dict.suggest("tslk").indexOf("talk"), -1);
+		ok(dict.suggest("chalkz").indexOf("chalks") !== -1);
+	});
+
+	test("Flag-based compounding", function() {
+		var affData = [
+			"COMPOUNDMIN 3",
+			"COMPOUNDFLAG X",
+			"COMPOUNDBEGIN B",
+			"COMPOUNDMIDDLE M",
+			"COMPOUNDEND E",
+			"COMPOUNDPERMITFLAG P",
+			"COMPOUNDFORBIDFLAG F",
+			"ONLYINCOMPOUND O",
+			"SFX S Y 1",
+			"SFX S 0 s .",
+			"SFX T Y 1",
+			"SFX T 0 es/P .",
+			"SFX U Y 1",
+			"SFX U 0 er/F .",
+			"PFX R N 1",
+			"PFX R 0 re .",
+		].join("\n");
+
+		var wordData = [
+			"8",
+			"foot/XS",
+			"ball/XST",
+			"game/XRU",
+			"house/B",
+			"boat/E",
+			"tree/M",
+			"ly/X",
+			"glue/XO",
+		].join("\n");
+
+		var dict = new Typo("xx_XX", affData, wordData);
+
+		equal(dict.check("football"), true, "Words with COMPOUNDFLAG can be combined.");
+		equal(dict.check("footballgame"), true, "Compounds can have more than two parts.");
+		equal(dict.check("houseboat"), true, "COMPOUNDBEGIN and COMPOUNDEND are respected.");
+		equal(dict.check("housetreeboat"), true, "COMPOUNDMIDDLE is respected.");
+		equal(dict.check("boathouse"), false, "COMPOUNDEND words can't begin a compound.");
+		equal(dict.check("treeboat"), false, "COMPOUNDMIDDLE words can't begin a compound.");
+		equal(dict.check("housetree"), false, "COMPOUNDMIDDLE words can't end a compound.");
+		equal(dict.check("houseball"), true);
+		equal(dict.check("footly"), false, "Parts shorter than COMPOUNDMIN are not allowed.");
+		equal(dict.check("footballs"), true, "Suffixes are allowed at the end of a compound.");
+		equal(dict.check("footsball"), false, "Suffixes are not allowed inside a compound.");
+		equal(dict.check("balleshouse"), false, "COMPOUNDPERMITFLAG doesn't allow a part in the wrong position.");
+		equal(dict.check("ballesfoot"), true, "COMPOUNDPERMITFLAG allows suffixes inside a compound.");
+		equal(dict.check("regameball"), true, "Prefixes are allowed at the beginning of a compound.");
+		equal(dict.check("ballregame"), false, "Prefixes are not allowed inside a compound.");
+		equal(dict.check("footgameer"), false, "COMPOUNDFORBIDFLAG affixes can't be used in compounds.");
+		equal(dict.check("gameer"), true);
+		equal(dict.check("glue"), false);
+		equal(dict.check("glueball"), true, "ONLYINCOMPOUND words are allowed in compounds.");
+
+		affData += "\nCOMPOUNDWORDMAX 2";
+		dict = new Typo("xx_XX", affData, wordData);
+
+		equal(dict.check("football"), true);
+		equal(dict.check("footballgame"), false, "COMPOUNDWORDMAX is respected.");
+
+		// Words made of many short parts can be split up in a huge number of ways, which shouldn't all be tried.
+		dict = new Typo("xx_XX", "COMPOUNDMIN 1\nCOMPOUNDFLAG X", "3\na/X\naa/X\naaa/X\n");
+
+		equal(dict.check(new Array(41).join("a")), true);
+		equal(dict.check(new Array(41).join("a") + "b"), false);
+	});
+
+	test("Compound safety checks", function() {
+		var wordData = [
+			"9",
+			"foo/X",
+			"bar/X",
+			"bars",
+			"ball/X",
+			"lamp/X",
+			"Paris/X",
+			"schiff/X",
+			"fahrt/X",
+			"zoo/XY",
+		].join("\n");
+
+		var dict = new Typo("xx_XX", "COMPOUNDFLAG X", wordData);
+
+		equal(dict.check("foofoo"), true);
+		equal(dict.check("barfoo"), true);
+		equal(dict.check("fooParis"), true);
+		equal(dict.check("balllamp"), true);
+		equal(dict.check("schifffahrt"), true);
+		equal(dict.check("schiffahrt"), false);
+
+		var affData = [
+			"COMPOUNDFLAG X",
+			"FORCEUCASE Y",
+			"CHECKCOMPOUNDDUP",
+			"CHECKCOMPOUNDREP",
+			"CHECKCOMPOUNDCASE",
+			"CHECKCOMPOUNDTRIPLE",
+			"SIMPLIFIEDTRIPLE",
+			"CHECKCOMPOUNDPATTERN 1",
+			"CHECKCOMPOUNDPATTERN oo ba",
+			"REP 1",
+			"REP rf rs",
+		].join("\n");
+
+		dict = new Typo("xx_XX", affData, wordData);
+
+		equal(dict.check("foofoo"), false, "CHECKCOMPOUNDDUP is respected.");
+		equal(dict.check("foobarfoo"), false, "CHECKCOMPOUNDPATTERN is respected.");
+		equal(dict.check("barfoo"), true);
+		equal(dict.check("barfoobar"), false, "CHECKCOMPOUNDPATTERN is respected in the middle of a compound.");
+		equal(dict.check("fooParis"), false, "CHECKCOMPOUNDCASE is respected.");
+		equal(dict.check("balllamp"), false, "CHECKCOMPOUNDTRIPLE is respected.");
+		equal(dict.check("schifffahrt"), false, "CHECKCOMPOUNDTRIPLE is respected.");
+		equal(dict.check("schiffahrt"), true, "SIMPLIFIEDTRIPLE is respected.");
+		equal(dict.check("barschiffahrt"), true, "SIMPLIFIEDTRIPLE is respected in the middle of a compound.");
+		equal(dict.check("foozoo"), false, "FORCEUCASE is respected.");
+		equal(dict.check("Foozoo"), true, "FORCEUCASE is respected.");
+		equal(dict.check("FOOZOO"), true, "FORCEUCASE is respected.");
+
+		affData = [
+			"COMPOUNDFLAG X",
+			"CHECKCOMPOUNDREP",
+			"REP 1",
+			"REP rf rs",
+		].join("\n");
+
+		wordData = wordData.replace("9", "10") + "\nbarsoo";
+
+		dict = new Typo("xx_XX", affData, wordData);
+
+		equal(dict.check("barfoo"), false, "CHECKCOMPOUNDREP is respected.");
+		equal(dict.check("foobar"), true);
+
+		affData = [
+			"COMPOUNDFLAG X",
+			"CHECKCOMPOUNDPATTERN 1",
+			"CHECKCOMPOUNDPATTERN o/A b",
+		].join("\n");
+
+		dict = new Typo("xx_XX", affData, "4\nfoo/XA\nfoo/X\nbar/X\nzoo/XA");
+
+		equal(dict.check("zoobar"), false, "CHECKCOMPOUNDPATTERN flags are respected.");
+		equal(dict.check("foobar"), true, "A homonym without the pattern's flag can be used.");
+		equal(dict.check("foofoobar"), true);
+
+		affData = [
+			"COMPOUNDFLAG X",
+			"CHECKCOMPOUNDPATTERN 2",
+			"CHECKCOMPOUNDPATTERN o b z",
+			"CHECKCOMPOUNDPATTERN r/A f q",
+		].join("\n");
+
+		dict = new Typo("xx_XX", affData, "3\nfoo/X\nbar/XA\nfar/X");
+
+		equal(dict.check("fozar"), true, "CHECKCOMPOUNDPATTERN replacements are respected.");
+		equal(dict.check("foobar"), false, "Parts with a replacement can't be joined without it.");
+		equal(dict.check("farfozar"), true, "CHECKCOMPOUNDPATTERN replacements are respected in the middle of a compound.");
+		equal(dict.check("baqoo"), true);
+		equal(dict.check("faqoo"), false, "A replacement is only used for parts with the pattern's flags.");
+		equal(dict.check("farfoo"), true);
+		equal(dict.check("fazar"), false);
+	});
+
+	test("CIRCUMFIX affixes must be used together", function() {
+		var affData = [
+			"CIRCUMFIX X",
+			"PFX A Y 1",
+			"PFX A 0 leg/X .",
+			"PFX B Y 1",
+			"PFX B 0 legesleg/X .",
+			"SFX C Y 3",
+			"SFX C 0 obb .",
+			"SFX C 0 obb/AX .",
+			"SFX C 0 obb/BX .",
+			"PFX D Y 1",
+			"PFX D 0 un/X .",
+			"SFX E Y 1",
+			"SFX E 0 ly/X ."
+		].join("\n");
+
+		var wordData = [
+			"3",
+			"nagy/C",
+			"kind/DE",
+			"fair/E"
+		].join("\n");
+
+		var dict = new Typo("xx_XX", affData, wordData);
+
+		equal(dict.check("nagy"), true);
+		equal(dict.check("nagyobb"), true);
+		equal(dict.check("legnagyobb"), true);
+		equal(dict.check("legeslegnagyobb"), true);
+		equal(dict.check("legnagy"), false, "A circumfix prefix needs a circumfix suffix.");
+		equal(dict.check("legeslegnagy"), false, "A circumfix prefix needs a circumfix suffix.");
+
+		equal(dict.check("unkindly"), true);
+		equal(dict.check("unkind"), false, "A circumfix prefix needs a circumfix suffix.");
+		equal(dict.check("kindly"), false, "A circumfix suffix needs a circumfix prefix.");
+		equal(dict.check("fairly"), false, "A circumfix suffix needs a circumfix prefix.");
+	});
+
+	test("Lazy affix lookup checks the same words as eager lookup", function() {
+		var affData = [
+			"FORBIDDENWORD !",
+			"NEEDAFFIX N",
+			"CIRCUMFIX X",
+			"COMPOUNDFLAG C",
+			"SFX S Y 1",
+			"SFX S 0 s .",
+			"SFX D Y 3",
+			"SFX D 0 ed [^ey]",
+			"SFX D 0 d e",
+			"SFX D y ied [^aeiou]y",
+			"SFX R N 1",
+			"SFX R 0 er/S .",
+			"PFX U Y 1",
+			"PFX U 0 un .",
+			"PFX A N 1",
+			"PFX A 0 re .",
+			"PFX G Y 1",
+			"PFX G 0 ge/X .",
+			"SFX T Y 1",
+			"SFX T 0 t/X ."
+		].join("\n");
+
+		var wordData = [
+			"9",
+			"walk/SDRUA",
+			"tie/DU",
+			"carry/DA",
+			"talk/S!",
+			"walked/!",
+			"mach/NGT",
+			"foot/CS",
+			"ball/CS",
+			"rain/N"
+		].join("\n");
+
+		var eagerDict = new Typo("xx_XX", affData, wordData);
+		var lazyDict = new Typo("xx_XX", affData, wordData, { lazyAffixes : true });
+
+		equal(lazyDict.lazyAffixes, true);
+		equal(eagerDict.lazyAffixes, false);
+		ok(!lazyDict.dictionaryTable.hasOwnProperty("walks"), "Affixed forms aren't generated when the dictionary is loaded.");
+		ok(eagerDict.dictionaryTable.hasOwnProperty("walks"));
+		ok(lazyDict.formHashes !== null, "The generated words are hashed instead.");
+
+		var words = [
+			"walk", "walks", "walked", "walker", "walkers", "unwalk", "unwalks", "unwalked", "rewalk", "rewalks",
+			"unrewalk", "reunwalk", "unwalker", "walkerss", "tie", "tied", "untied", "tieed", "carry", "carried",
+			"recarried", "carryed", "talk", "talks", "mach", "gemacht", "gemach", "macht", "football", "footballs",
+			"footsball", "ball", "balls", "rain", "rains", "Walks", "WALKED", "Untied", "xyzzy", "s", "un"
+		];
+
+		for (var i = 0, _len = words.length; i < _len; i++) {
+			equal(lazyDict.check(words[i]), eagerDict.check(words[i]), words[i]);
+			equal(lazyDict.checkExact(words[i]), eagerDict.checkExact(words[i]), words[i]);
+		}
+
+		equal(lazyDict.check("carried"), true);
+		equal(lazyDict.check("walked"), false, "FORBIDDENWORD is respected.");
+		equal(lazyDict.check("gemacht"), true, "CIRCUMFIX is respected.");
+		equal(lazyDict.check("rain"), false, "NEEDAFFIX is respected.");
+		equal(lazyDict.check("footballs"), true, "Compounds are checked.");
+
+		deepEqual(lazyDict.suggest("walkd"), eagerDict.suggest("walkd"));
+		deepEqual(lazyDict.stem("unwalked"), eagerDict.stem("unwalked"));
+
+		lazyDict.addWord("jog", "SD");
+		eagerDict.addWord("jog", "SD");
+
+		equal(lazyDict.check("jogs"), true, "The forms of added words are hashed.");
+		deepEqual(lazyDict.suggest("jogz"), eagerDict.suggest("jogz"));
+
+		var slashAffData = "SFX O Y 1\nSFX O / or /";
+		var eagerSlashDict = new Typo("xx_XX", slashAffData, "1\nwalk");
+		var lazySlashDict = new Typo("xx_XX", slashAffData, "1\nwalk", { lazyAffixes : true });
+
+		eagerSlashDict.addWord("and/", "O");
+		lazySlashDict.addWord("and/", "O");
+
+		equal(eagerSlashDict.check("andor"), true);
+		equal(lazySlashDict.check("andor"), true, "The characters to remove are stripped as they're written, not as a regular expression.");
+		equal(Typo.deserialize(lazySlashDict.serialize()).check("andor"), true);
+	});
+
+	test("Serialized dictionaries can be restored", function() {
+		var affData = [
+			"KEY qwertzuiop|asdfghjkl|yxcvbnm",
+			"ICONV 1",
+			"ICONV ’ '",
+			"REP 1",
+			"REP f ph",
+			"COMPOUNDMIN 1",
+			"ONLYINCOMPOUND c",
+			"COMPOUNDRULE 1",
+			"COMPOUNDRULE n*1t",
+			"COMPOUNDFLAG X",
+			"SFX S Y 1",
+			"SFX S 0 s . is:plural",
+			"SFX D Y 2",
+			"SFX D 0 ed [^y] is:past",
+			"SFX D y ied [^aeiou]y is:past",
+			"PFX U Y 1",
+			"PFX U 0 un/S . dp:un",
+			"PFX E N 1",
+			"PFX E i e i"
+		].join("\n");
+
+		var wordData = [
+			"10",
+			"carry/DU po:verb",
+			"walk/SD po:verb",
+			"walk/X po:noun",
+			"ball/XS",
+			"phone/S",
+			"inform/E",
+			"0/n1",
+			"1/n1",
+			"1th/tc",
+			"don't"
+		].join("\n");
+
+		var dict = new Typo("xx_XX", affData, wordData);
+		var serialized = dict.serialize();
+
+		equal(typeof serialized, "string");
+
+		var restored = Typo.deserialize(serialized);
+
+		equal(restored.loaded, true);
+		equal(restored.dictionary, "xx_XX");
+		deepEqual(restored.keyboard, dict.keyboard);
+		equal(restored._keyDistance("z", "u"), 1, "Key positions come from the restored keyboard.");
+		ok(restored.compoundRules[0] instanceof RegExp, "Compound rules are restored as regular expressions.");
+		ok(restored.rules.D.entries[1].remove instanceof RegExp, "Affix rules are restored with regular expressions.");
+		equal(restored.serialize(), serialized, "Restored dictionaries serialize to the same data.");
+
+		var words = [ "carry", "carried", "carryed", "uncarried", "uncarry", "uncarrys", "walk", "walks", "walked",
+			"walkball", "ballwalk", "ballwalks", "walksball", "phones", "eform", "inform", "10th", "11th", "1th",
+			"don't", "don’t", "Walked", "BALLS", "xyzzy" ];
+
+		for (var i = 0, _len = words.length; i < _len; i++) {
+			equal(restored.check(words[i]), dict.check(words[i]), words[i]);
+		}
+
+		equal(restored.check("uncarried"), true);
+		equal(restored.check("11th"), true);
+		equal(restored.check("walkball"), true);
+
+		deepEqual(restored.suggest("fones"), dict.suggest("fones"));
+		deepEqual(restored.suggest("walkd"), dict.suggest("walkd"));
+		deepEqual(restored.analyze("walked"), dict.analyze("walked"));
+		deepEqual(restored.forms("carry"), dict.forms("carry"));
+
+		deepEqual(Typo.deserialize(JSON.parse(serialized)).forms("walk"), dict.forms("walk"), "Parsed data can be restored.");
+
+		var lazyDict = new Typo("xx_XX", affData, wordData, { lazyAffixes : true });
+		var lazyRestored = Typo.deserialize(lazyDict.serialize());
+
+		equal(lazyRestored.lazyAffixes, true);
+		equal(lazyRestored.check("uncarried"), true);
+		equal(lazyRestored.check("carryed"), false);
+
+		throws(function () {
+			Typo.deserialize("{}");
+		}, function (err) {
+			return err instanceof Typo.TypoError && err.message === "Data is not a serialized dictionary.";
+		});
+
+		throws(function () {
+			Typo.deserialize(serialized.replace('"version":' + Typo.SERIALIZATION_VERSION, '"version":0'));
+		}, function (err) {
+			return err instanceof Typo.TypoError && err.message === "Unsupported serialized dictionary version: 0";
+		});
+	});
+
+	test("Words can be added and removed", function() {
+		var affData = [
+			"COMPOUNDMIN 1",
+			"ONLYINCOMPOUND c",
+			"COMPOUNDRULE 1",
+			"COMPOUNDRULE n*1t",
+			"COMPOUNDFLAG X",
+			"SFX S Y 1",
+			"SFX S 0 s .",
+			"SFX D Y 2",
+			"SFX D 0 ed [^y]",
+			"SFX D y ied [^aeiou]y"
+		].join("\n");
+
+		var wordData = [
+			"4",
+			"1/1",
+			"1th/tc",
+			"walk/SD",
+			"ball/XS"
+		].join("\n");
+
+		[ false, true ].forEach(function(lazyAffixes) {
+			var dict = new Typo("xx_XX", affData, wordData, { lazyAffixes : lazyAffixes });
+
+			equal(dict.suggest("talkd").indexOf("talked"), -1);
+
+			dict.addWord("talk", "SD");
+			equal(dict.check("talk"), true);
+			equal(dict.check("talks"), true, "Affixes are applied to added words.");
+			equal(dict.check("talked"), true, "Affixes are applied to added words.");
+			notEqual(dict.suggest("talkd").indexOf("talked"), -1, "Cached suggestions are cleared.");
+
+			dict.addWord("carry", [ "D" ]);
+			equal(dict.check("carried"), true, "Flags can be given as an array.");
+
+			dict.addWordLike("stalk", "walk");
+			equal(dict.check("stalked"), true, "Words can be added with the flags of another word.");
+			equal(dict.check("stalks"), true, "Words can be added with the flags of another word.");
+
+			dict.addWordLike("gawk", "xyzzy");
+			equal(dict.check("gawk"), true);
+			equal(dict.check("gawked"), false, "Words like unknown words are added without flags.");
+
+			equal(dict.check("211th"), false);
+			dict.addWord("2", "n");
+			equal(dict.check("211th"), true, "Compound rules include added words.");
+
+			equal(dict.check("football"), false);
+			dict.addWord("foot", "X");
+			equal(dict.check("football"), true, "Added words can be part of compound words.");
+
+			dict.removeWord("foot");
+			equal(dict.check("foot"), false);
+			equal(dict.check("football"), false, "Removed words can't be part of compound words.");
+
+			dict.removeWord("2");
+			equal(dict.check("211th"), false, "Compound rules don't include removed words.");
+
+			dict.removeWord("talk");
+			equal(dict.check("talk"), false);
+			equal(dict.check("talked"), false, "Affixed forms of removed words are removed.");
+			equal(dict.suggest("talkd").indexOf("talked"), -1, "Cached suggestions are cleared.");
+
+			dict.addWord("balls");
+			dict.removeWord("balls");
+			equal(dict.check("balls"), true, "Words that are also generated from other words aren't removed.");
+
+			dict.removeWord("xyzzy");
+			equal(dict.check("walked"), true);
+
+			dict.addWord("flump", "S");
+			equal(Typo.deserialize(dict.serialize()).check("flumps"), true, "Added words are serialized.");
+		});
+
+		throws(function() {
+			empty_dict.addWord("word");
+		}, function(err) {
+			return err instanceof Typo.NotLoadedError;
+		});
+	});
+
+	test("Suggestions are cached", function() {
+		var affData = "SFX S Y 1\nSFX S 0 s .\n";
+		var wordData = "4\nwalk/S\ntalk/S\nchalk\nstalk\n";
+
+		var dict = new Typo("xx_XX", affData, wordData, { cacheSize : 2 });
+		deepEqual(dict.cacheStats(), { size : 0, maxSize : 2, hits : 0, misses : 0 });
+
+		var suggestions = dict.suggest("walx");
+		deepEqual(dict.suggest("walx"), suggestions);
+		deepEqual(dict.cacheStats(), { size : 1, maxSize : 2, hits : 1, misses : 1 });
+
+		suggestions.pop();
+		notDeepEqual(dict.suggest("walx"), suggestions, "Changing the returned suggestions doesn't change the cache.");
+
+		dict.suggest("talx");
+		dict.suggest("walx");
+		dict.suggest("chalx");
+		equal(dict.cacheStats().size, 2, "The cache doesn't grow past its maximum size.");
+
+		var misses = dict.cacheStats().misses;
+		dict.suggest("walx");
+		equal(dict.cacheStats().misses, misses, "Recently used words are kept.");
+		dict.suggest("talx");
+		equal(dict.cacheStats().misses, misses + 1, "The least recently used words are forgotten.");
+
+		dict.clearCache();
+		equal(dict.cacheStats().size, 0);
+
+		misses = dict.cacheStats().misses;
+		equal(dict.suggest("stalkx", 1).length, 1);
+		equal(dict.suggest("stalkx", 3).length, 3);
+		equal(dict.cacheStats().misses, misses + 2, "Suggestions are found again if more are wanted.");
+
+		dict.addWord("stalker");
+		equal(dict.cacheStats().size, 0, "Adding words clears the cache.");
+		notEqual(dict.suggest("stalkx", 3).indexOf("stalker"), -1);
+
+		dict.removeWord("stalker");
+		equal(dict.suggest("stalkx", 3).indexOf("stalker"), -1, "Removing words clears the cache.");
+
+		var composite = new Typo.Composite([ dict ]);
+		equal(composite.suggest("chalkx").indexOf("chalky"), -1);
+		dict.addWord("chalky");
+		notEqual(composite.suggest("chalkx").indexOf("chalky"), -1, "Composite dictionaries' caches are cleared when their dictionaries change.");
+
+		dict = new Typo("xx_XX", affData, wordData, { cacheSize : 0 });
+		dict.suggest("walx");
+		dict.suggest("walx");
+		deepEqual(dict.cacheStats(), { size : 0, maxSize : 0, hits : 0, misses : 2 }, "Caching can be turned off.");
+	});
+
+	test("Misspellings can be found in text", function() {
+		var dict = new Typo("xx_XX", "WORDCHARS .\nSFX S Y 1\nSFX S 0 s .\n", "5\nword/S\nwell\nknown\nit's\ncafé\n");
+
+		// The emoji is a surrogate pair, and the accents are combining marks.
+		var text = "Word wrod, well-known well-knwn it's 42 😀wrod café caféx e.g. 'words'";
+
+		deepEqual(dict.checkText(text), [
+			{ word : "wrod", start : 5, end : 9 },
+			{ word : "well-knwn", start : 22, end : 31 },
+			{ word : "wrod", start : 42, end : 46 },
+			{ word : "caféx", start : 53, end : 59 },
+			{ word : "e.g", start : 60, end : 63 }
+		]);
+
+		equal(text.substring(42, 46), "wrod", "Offsets are in UTF-16 code units.");
+
+		deepEqual(dict.checkText("wrod well-knwn", { suggestions : true }), [
+			{ word : "wrod", start : 0, end : 4, suggestions : [ "word", "Word" ] },
+			{ word : "well-knwn", start : 5, end : 14, suggestions : [ "well-known", "well-Known" ] }
+		]);
+
+		deepEqual(dict.checkText("wrod", { suggestions : 1 })[0].suggestions, [ "word" ]);
+		deepEqual(dict.checkText(""), [ ]);
+		deepEqual(dict.checkText("-- 'word' ... 1,000"), [ ], "Punctuation and numbers aren't words.");
+
+		var composite = new Typo.Composite([ dict, new Typo("xx_XX", "TRY a", "1\nwrod\n") ]);
+		deepEqual(composite.checkText("wrod e.g"), [ { word : "e.g", start : 5, end : 8 } ]);
+	});
+
+	test("Text can be ignored when looking for misspellings", function() {
+		var dict = new Typo("xx_XX", "SFX S Y 1\nSFX S 0 s .\n", "8\nsee/S\nthe\nat\nor\nand\nrun\nversion/S\nmail\n");
+
+		function misspelledWords(text, options) {
+			return dict.checkText(text, options).map(function(misspelling) {
+				return misspelling.word;
+			});
+		}
+
+		deepEqual(misspelledWords("see https://exampel.com/pathh or www.exampel.org", { ignore : [ "urls" ] }), [ ]);
+		deepEqual(misspelledWords("mail joe.bloggz@exampel.com or mailto:joe@exampel.com", { ignore : [ "emails" ] }), [ ]);
+		deepEqual(misspelledWords("see /usr/lokal/bin or ~/notess.txt or C:\\Userz\\mee or src/libb/indx.js", { ignore : [ "paths" ] }), [ ]);
+		deepEqual(misspelledWords("see /usr/lokal or src/indx.js or lib\\utilz.ts or /notess.txt", { ignore : [ "paths" ] }), [ ], "Two components are a path if they start with a slash or end with a file extension.");
+		deepEqual(misspelledWords("and/orr or see/runn.", { ignore : [ "paths" ] }), [ "orr", "runn" ], "Words separated by a slash aren't paths.");
+		deepEqual(misspelledWords("see a1b2c3d4e5 or 0xdeadbeef", { ignore : [ "hashes" ] }), [ ]);
+		deepEqual(misspelledWords("see versions v1.3.1 and 2.0.0-beta.1 or v2", { ignore : [ "versions" ] }), [ ]);
+		deepEqual(misspelledWords("run getUserNaem or snake_casee or PascalCasee", { ignore : [ "identifiers" ] }), [ ]);
+		deepEqual(misspelledWords("see the FUBAR at the NASA", { ignoreUppercase : true }), [ ]);
+		deepEqual(misspelledWords("see abc123 or 42nd", { ignoreDigits : true }), [ ]);
+		deepEqual(misspelledWords("see TODO-123 or teh", { ignore : [ /TODO-\d+/ ] }), [ "teh" ], "Custom patterns can be used.");
+		deepEqual(misspelledWords("see getUserNaem at www.exampel.org", { ignore : [ "urls", /\bget\w+/g ] }), [ ], "Built-in and custom patterns can be combined.");
+
+		deepEqual(misspelledWords("see https://exampel.com, FUBAR, abc123, and getUserNaem"), [ "https", "exampel", "com", "FUBAR", "abc123", "getUserNaem" ], "Nothing is ignored by default.");
+
+		var pattern = /teh/g;
+		pattern.lastIndex = 2;
+		dict.checkText("teh", { ignore : [ pattern ] });
+		equal(pattern.lastIndex, 2, "Custom patterns aren't changed.");
+
+		ok(Typo.ignorePatterns.urls instanceof RegExp);
+
+		throws(function() {
+			dict.checkText("see", { ignore : [ "xyzzy" ] });
+		}, function(err) {
+			return err instanceof Typo.TypoError && err.message === "Unknown ignore pattern: xyzzy";
+		});
+	});
+
+	test("Ignore patterns are matched in linear time", function() {
+		var dict = new Typo("xx_XX", "SET UTF-8", "1\na\n");
+
+		function repeat(text) {
+			return new Array(Math.ceil(80000 / text.length) + 1).join(text);
+		}
+
+		var ignore = [ "urls", "emails", "paths" ];
+		var start = Date.now();
+
+		equal(dict.checkText(repeat("a."), { ignore : ignore }).length, 0);
+		equal(dict.checkText(repeat("a"), { ignore : ignore }).length, 1);
+		equal(dict.checkText(repeat("a/"), { ignore : ignore }).length, 0);
+
+		ok(Date.now() - start < 10000, "The patterns aren't tried again at every offset in a long word.");
+	});
+
+	test("Identifiers are split up in code mode", function() {
+		var dict = new Typo("xx_XX", "SFX S Y 1\nSFX S 0 s .\n", "12\nreceive/S\nmessage/S\nmax\nretry\nretries\nparse\nresponse/S\nsend\nget\nuser/S\nfor\nco-op\n");
+		var text = "recieveMessage MAX_RETRYS parseJSONRespnse send-mesage getURLForUserId(args, utf8) co-op recieveMesage __init__";
+
+		deepEqual(dict.checkText(text, { code : true, suggestions : true }), [
+			{ word : "recieveMessage", start : 0, end : 14, parts : [ { word : "recieve", start : 0, end : 7 } ], suggestions : [ "receiveMessage" ] },
+			{ word : "MAX_RETRYS", start : 15, end : 25, parts : [ { word : "RETRYS", start : 19, end : 25 } ], suggestions : [ "MAX_RETRY", "MAX_RETRIES" ] },
+			{ word : "parseJSONRespnse", start : 26, end : 42, parts : [ { word : "Respnse", start : 35, end : 42 } ], suggestions : [ "parseJSONResponse" ] },
+			{ word : "send-mesage", start : 43, end : 54, parts : [ { word : "mesage", start : 48, end : 54 } ], suggestions : [ "send-message" ] },
+			{ word : "recieveMesage", start : 89, end : 102, parts : [ { word : "recieve", start : 89, end : 96 }, { word : "Mesage", start : 96, end : 102 } ], suggestions : [ "receiveMessage" ] }
+		]);
+
+		deepEqual(dict.checkText(text).map(function(misspelling) {
+			return misspelling.word;
+		}), [ "recieveMessage", "RETRYS", "parseJSONRespnse", "send-mesage", "getURLForUserId", "args", "utf8", "recieveMesage", "init" ], "Identifiers aren't split up otherwise.");
+
+		deepEqual(dict.checkText("getUserArgz", { code : true, abbreviations : [ "argz" ] }), [ ], "More abbreviations can be accepted.");
+		notEqual(Typo.codeAbbreviations.indexOf("utf"), -1);
+	});
+
+	test("Markup is skipped when looking for misspellings", function() {
+		var dict = new Typo("xx_XX", "SFX S Y 1\nSFX S 0 s .\n", "14\nsee/S\nthe\nlink/S\npicture/S\nof\na\ncat/S\nunlikely\ndon't\ncafé\nand\nor\nrun\ntitle\n");
+
+		function misspellings(text, markup) {
+			return dict.checkText(text, { markup : markup }).map(function(misspelling) {
+				return [ misspelling.word, text.substring(misspelling.start, misspelling.end) ];
+			});
+		}
+
+		var html = '<p class="intro">See the <a href="http://exampel.com/pathh" title="a lnk">lnik</a> and <b>un</b>likely</p>'
+			+ '<img src="katz.png" alt="a pictur of a cat"><script>var fooo = 1;</script> run <code>fooo()</code>'
+			+ '<!-- commnet --> caf&eacute; don&#39;t <em>cta</em>&amp;<br>catz';
+
+		deepEqual(misspellings(html, "html"), [
+			[ "lnk", "lnk" ],
+			[ "lnik", "lnik" ],
+			[ "pictur", "pictur" ],
+			[ "cta", "cta" ],
+			[ "catz", "catz" ]
+		]);
+
+		deepEqual(dict.checkText("<p>caf&eacute;s</p>", { markup : "html" }), [ { word : "cafés", start : 3, end : 15 } ], "Offsets are in the markup.");
+
+		var markdown = "# See teh cats\n\nSee the `fooo()` [lnik](http://exampel.com/pathh \"a lnk\") and ![a pictur](katz.png) "
+			+ "<https://exampel.com> or https://exampel.org and \\*catz\\* [link][exampel]\n\n"
+			+ "```js\nvar fooo = 1;\n```\n\n    fooo();\n\n[exampel]: http://exampel.com \"a titel\"\n\n"
+			+ "- a cat\n\n    a pictur\n\n> ~~~\n> fooo\n> ~~~\n";
+
+		deepEqual(misspellings(markdown, "markdown"), [
+			[ "teh", "teh" ],
+			[ "lnik", "lnik" ],
+			[ "lnk", "lnk" ],
+			[ "pictur", "pictur" ],
+			[ "catz", "catz" ],
+			[ "titel", "titel" ],
+			[ "pictur", "pictur" ]
+		]);
+
+		deepEqual(misspellings("See `fooo\n\nfooo` cta", "markdown"), [ [ "fooo", "fooo" ], [ "fooo", "fooo" ], [ "cta", "cta" ] ], "Code spans don't continue past the end of a paragraph.");
+		deepEqual(misspellings("```\nfooo", "markdown"), [ ], "Code blocks can continue to the end.");
+		deepEqual(misspellings("See un*like*ly and un**like**ly _cta_", "markdown"), [ [ "cta", "cta" ] ], "Emphasis doesn't split words.");
+		deepEqual(misspellings('<img\n  alt="a pictur">', "html"), [ [ "pictur", "pictur" ] ], "Tags can continue on the next line.");
+		deepEqual(misspellings("<em <b>cta</b>", "html"), [ [ "em", "em" ], [ "cta", "cta" ] ], "Tags end before the next \"<\".");
+
+		throws(function() {
+			dict.checkText("see", { markup : "rtf" });
+		}, function(err) {
+			return err instanceof Typo.TypoError && err.message === "Unknown markup: rtf";
+		});
+	});
+
+	test("Unbalanced markup is checked in linear time", function() {
+		var dict = new Typo("xx_XX", "SET UTF-8", "1\na\n");
+
+		function repeat(text) {
+			return new Array(Math.ceil(120000 / text.length) + 1).join(text);
+		}
+
+		var start = Date.now();
+
+		equal(dict.checkText(repeat("<a "), { markup : "html" }).length, 0);
+		equal(dict.checkText(repeat("<a "), { markup : "markdown" }).length, 0);
+		equal(dict.checkText(repeat('<a title="x '), { markup : "html" }).length, 20000, "Attribute values end before the next tag.");
+		equal(dict.checkText(repeat("<http://b c "), { markup : "markdown" }).length, 10000, "Autolinks end before the next \"<\".");
+		equal(dict.checkText(repeat("`a "), { markup : "markdown" }).length, 0);
+		equal(dict.checkText(repeat("a\n\n`b "), { markup : "markdown" }).length, 20000, "Code spans end at the end of the paragraph.");
+		equal(dict.checkText(repeat("[a](<x "), { markup : "markdown" }).length, 17143, "Link destinations end before the next \"<\".");
+
+		ok(Date.now() - start < 10000, "Each unclosed \"<\" or backtick is only scanned up to the next one.");
+	});
+
+	test("Composite dictionaries", function() {
+		var base = new Typo("xx_XX", "SFX S Y 1\nSFX S 0 s .\n", "3\nwalk/S\ntalk/S\nchart/S\n");
+		var glossary = new Typo("xx_XX", "SFX D Y 1\nSFX D 0 ed .\nSFX S Y 1\nSFX S 0 z .\n", "2\nstroll/D\nchartz\n");
+
+		var composite = new Typo.Composite([ base, glossary ]);
+
+		equal(composite.check("walks"), true);
+		equal(composite.check("strolled"), true);
+		equal(composite.check("walked"), false, "Each dictionary uses its own affix rules.");
+		equal(composite.check("walkz"), false, "Each dictionary uses its own affix rules.");
+		equal(composite.checkExact("chartz"), true);
+		equal(composite.check("xyzzy"), false);
+
+		deepEqual(composite.suggest("walks"), [ ], "Correctly spelled words receive no suggestions.");
+		deepEqual(composite.suggest("chartx", 3), [ "chart", "chartz", "charts" ], "Suggestions from all of the dictionaries are ranked together.");
+
+		composite = new Typo.Composite([ base, { dictionary : glossary, priority : 1 } ]);
+		deepEqual(composite.suggest("chartx", 3), [ "chartz", "Chartz", "chart" ], "Suggestions from dictionaries with higher priorities are ranked first.");
+
+		// "charter" is two edits from "chartx", and its dictionary gives it a lower weight than the
+		// base dictionary gives "chart" and "charts".
+		var terms = new Typo("xx_XX", "TRY a", "1\ncharter\n");
+
+		composite = new Typo.Composite([ base, terms ]);
+		deepEqual(composite.suggest("chartx", 3), [ "chart", "charts", "charter" ], "Suggestions are ranked by how close they are to the misspelling.");
+
+		composite = new Typo.Composite([ base, { dictionary : terms, priority : 1 } ]);
+		deepEqual(composite.suggest("chartx", 3), [ "charter", "chart", "charts" ], "A suggestion from a dictionary with a higher priority wins even if it's further from the misspelling.");
+
+		// "charty" is a PRIORITYSUGGEST word, so it's ranked above the base dictionary's suggestions,
+		// but not above "charter", which came from a dictionary with a higher priority.
+		var priorityTerms = new Typo("xx_XX", "PRIORITYSUGGEST @", "1\ncharty/@\n");
+
+		composite = new Typo.Composite([ new Typo.Composite([ base, { dictionary : terms, priority : 1 } ]), priorityTerms ]);
+		deepEqual(composite.suggest("chartx", 4), [ "charter", "charty", "chart", "charts" ], "Priorities in stacked composite dictionaries are kept apart from PRIORITYSUGGEST.");
+
+		composite = new Typo.Composite([ new Typo.Composite([ base ]), glossary ]);
+		equal(composite.check("strolled"), true, "Composite dictionaries can be stacked.");
+
+		throws(function() {
+			new Typo.Composite([ base, empty_dict ]).check("walk");
+		}, function(err) {
+			return err instanceof Typo.NotLoadedError;
+		});
+
+		throws(function() {
+			new Typo.Composite([]);
+		}, function(err) {
+			return err instanceof Typo.TypoError;
+		});
+	});
+
 	test("Public API throws exception if called before dictionary is loaded", function() {
 		var expected = function(err) {
-			return err === "Dictionary not loaded.";
+			return err instanceof Typo.NotLoadedError && err instanceof Typo.TypoError && err instanceof Error && err.message === "Dictionary not loaded.";
 		};
 
 		throws(empty_dict.check, expected);
 		throws(empty_dict.checkExact, expected);
+		throws(empty_dict.analyze, expected);
+		throws(empty_dict.stem, expected);
+		throws(empty_dict.forms, expected);
+		throws(empty_dict.generate, expected);
+		throws(empty_dict.serialize, expected);
 		throws(empty_dict.hasFlag, expected);
+		throws(empty_dict.addWord, expected);
+		throws(empty_dict.addWordLike, expected);
+		throws(empty_dict.removeWord, expected);
+		throws(empty_dict.suggest, expected);
+		throws(empty_dict.checkText, expected);
 		throws(empty_dict.check, expected);
 	});
 }
@@ -24,6 +24,12 @@ function testDictionary(dict) {
 		equal(dict.check("liebe"), true);
 	});
 	
+	test("Umlauts are decoded using the SET directive", function () {
+		equal(dict.check("\u00C4btissin"), true);
+		equal(dict.check("\u00C4chtung"), true);
+		notEqual(dict.flags.TRY.indexOf("\u00E4\u00FC\u00F6\u00DF"), -1);
+	});
+	
 	test("Issue #21", function typo_german_issue_21() {
 		equal(dict.check("Paar"), true);
 		equal(dict.check("paar"), true);
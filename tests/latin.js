@@ -5,6 +5,11 @@ function run() {
 	
 	var hashDict = new Typo("la", affData, wordData, "hash");
 	testDictionary(hashDict);
+
+	// The same dictionary, packaged as a LibreOffice extension.
+	var packageData = utilityDict._readBinaryFile(chrome.runtime.getURL("tests/dictionaries/packages/la.oxt"));
+	var packageDict = new Typo("la", null, null, { loader : Typo.loaders.zip(packageData) });
+	testDictionary(packageDict);
 	
 	var dict = new Typo("la", null, null, { dictionaryPath : "tests/dictionaries", asyncLoad : true, loadedCallback : function () {
 		testDictionary(dict);
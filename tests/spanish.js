@@ -6,6 +6,20 @@ function run() {
 	var hashDict = new Typo("es", affData, wordData);
 	testDictionary(hashDict);
 	
+	var lazyDict = new Typo("es", affData, wordData, { lazyAffixes : true });
+	
+	test("Lazy affix lookup", function () {
+		var words = [ "hablar", "hablamos", "hablaré", "hablando", "hablándole", "canción", "canciones", "árbol",
+			"árboles", "cancion", "arbol", "hablamoss" ];
+		
+		for (var i = 0, _len = words.length; i < _len; i++) {
+			equal(lazyDict.check(words[i]), hashDict.check(words[i]), words[i]);
+		}
+		
+		deepEqual(lazyDict.suggest("arbol"), hashDict.suggest("arbol"));
+		deepEqual(lazyDict.suggest("cancion", 3), [ "canción", "calcino", "calcio" ]);
+	});
+	
 	var dict = new Typo("es", null, null, { dictionaryPath : "tests/dictionaries", asyncLoad : true, loadedCallback : function () {
 		testDictionary(dict);
 	}});
@@ -15,6 +29,31 @@ function testDictionary(dict) {
 	test("Dictionary object attributes are properly set", function () {
 		equal(dict.dictionary, "es");
 	});
+	
+	test("MAP-related characters are suggested first", function () {
+		equal(dict.mapTable.length, 5);
+		deepEqual(dict.mapTable[4], [ "u", "ú", "ü", "U", "Ú", "Ü" ]);
+		
+		equal(dict.suggest("cancion")[0], "canción");
+		equal(dict.suggest("arbol")[0], "árbol");
+	});
+	
+	test("Every form of a verb can be generated", function () {
+		var forms = dict.forms("hablar");
+		var words = forms.map(function (form) { return form.word; });
+		
+		deepEqual(forms[0], { word : "hablar", flags : [ ] });
+		notEqual(words.indexOf("hablamos"), -1);
+		notEqual(words.indexOf("hablaré"), -1);
+		notEqual(words.indexOf("hablando"), -1);
+		deepEqual(forms[words.indexOf("hablamos")].flags, [ "R" ]);
+		deepEqual(dict.forms("hablamos"), [ ], "Only words from the .dic file have forms.");
+		
+		deepEqual(dict.generate("hablar", "cantamos"), [ "hablamos" ]);
+		deepEqual(dict.generate("habló", "cantaré"), [ "hablaré" ]);
+		deepEqual(dict.generate("comer", "hablamos"), [ "comemos" ]);
+		deepEqual(dict.generate("hablé", "comer"), [ "hablar" ]);
+	});
 }
 
 addEventListener( "load", run, false );
\ No newline at end of file
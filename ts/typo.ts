@@ -2,6 +2,9 @@
 /* globals __dirname: false */
 /* globals require: false */
 /* globals Buffer: false */
+/* globals TextDecoder: false */
+/* globals fetch: false */
+/* globals globalThis: false */
 /* globals module: false */
 
 /**
@@ -9,7 +12,7 @@
  * dictionaries.
  */
 
-var Typo;
+var Typo: any;
 
 (function () {
 "use strict";
@@ -33,6 +36,49 @@ interface TypoSettings {
 	flags?: HunspellFlags;
 	asyncLoad?: boolean;
 	loadedCallback?: Function;
+	errorCallback?: Function;
+	lazyAffixes?: boolean;
+	wordCount?: boolean;
+	loader?: TypoLoader;
+	cacheSize?: number;
+}
+
+interface TypoLoader {
+	read(path: string, async?: boolean): Uint8Array | Promise<Uint8Array>;
+	resolve?(path: string): string;
+	dictionaryPath?: string;
+}
+
+interface CompositeLayer {
+	dictionary: any;
+	priority: number;
+}
+
+interface LayerSuggestions {
+	priority: number;
+	suggestions: [ string, number, number[]? ][];
+	next: number;
+}
+
+interface TextToken {
+	word: string;
+	start: number;
+	end: number;
+}
+
+interface Misspelling extends TextToken {
+	parts?: TextToken[];
+	suggestions?: string[];
+}
+
+interface CheckTextOptions {
+	suggestions?: boolean | number;
+	ignore?: (string | RegExp)[];
+	ignoreUppercase?: boolean;
+	ignoreDigits?: boolean;
+	code?: boolean;
+	abbreviations?: string[];
+	markup?: string;
 }
 
 interface HashMap {
@@ -44,756 +90,6890 @@ interface AffixEntry {
 	continuationClasses?: string[];
 	match?: RegExp;
 	remove?: RegExp|string;
+	strip?: string;
+	morphology?: string[];
 }
 
 interface AffixRule {
+	code: string;
 	type: string;
 	combineable: boolean;
 	entries: AffixEntry[];
 }
 
-/**
- * Typo constructor.
- *
- * @param {string} [dictionary] The locale code of the dictionary being used. e.g.,
- *                              "en_US". This is only used to auto-load dictionaries.
- * @param {string} [affData]    The data from the dictionary's .aff file. If omitted
- *                              and Typo.js is being used in a Chrome extension, the .aff
- *                              file will be loaded automatically from
- *                              lib/typo/dictionaries/[dictionary]/[dictionary].aff
- *                              In other environments, it will be loaded from
- *                              [settings.dictionaryPath]/dictionaries/[dictionary]/[dictionary].aff
- * @param {string} [wordsData]  The data from the dictionary's .dic file. If omitted
- *                              and Typo.js is being used in a Chrome extension, the .dic
- *                              file will be loaded automatically from
- *                              lib/typo/dictionaries/[dictionary]/[dictionary].dic
- *                              In other environments, it will be loaded from
- *                              [settings.dictionaryPath]/dictionaries/[dictionary]/[dictionary].dic
- * @param {Object} [settings]   Constructor settings. Available properties are:
- *                              {string} [dictionaryPath]: path to load dictionary from in non-chrome
- *                              environment.
- *                              {Object} [flags]: flag information.
- *                              {boolean} [asyncLoad]: If true, affData and wordsData will be loaded
- *                              asynchronously.
- *                              {Function} [loadedCallback]: Called when both affData and wordsData
- *                              have been loaded. Only used if asyncLoad is set to true. The parameter
- *                              is the instantiated Typo object.
- *
- * @returns {Typo} A Typo object.
- */
-
-Typo = function (dictionary?: string, affData?: string|boolean, wordsData?: string|boolean, settings?: TypoSettings) {
-	settings = settings || {} as TypoSettings;
-
-	this.dictionary = null;
+interface AppliedAffix {
+	rule: AffixRule;
+	entry: AffixEntry;
+}
 
-	this.rules = {};
-	this.dictionaryTable = {};
+interface AffixedForm {
+	word: string;
+	continuationClasses: string[];
+	prefixClasses: string[];
+	suffixClasses: string[];
+	prefixed: boolean;
+	suffixed: boolean;
+	affixes: AppliedAffix[];
+}
 
-	this.compoundRules = [];
-	this.compoundRuleCodes = {};
+interface IndexedAffix {
+	rule: AffixRule;
+	entry: AffixEntry;
+	continued: boolean;
+}
 
-	this.replacementTable = [];
+interface AffixGroup {
+	type: string;
+	add: string;
+	strip: string;
+	affixes: IndexedAffix[];
+	continued: boolean;
+	combineable: boolean;
+}
 
-	this.flags = settings.flags || {};
+interface AffixStep {
+	word: string;
+	rules: HashMap | null;
+	combined: string | null;
+}
 
-	this.memoized = {};
+interface RootEntry {
+	flags: string[];
+	morphology?: string[];
+}
 
-	this.loaded = false;
+interface Reading {
+	root: string;
+	entry: RootEntry;
+	affixes: AppliedAffix[];
+}
 
-	const self = this;
+interface Analysis {
+	root: string;
+	partOfSpeech: string | null;
+	affixes: { type: string, flag: string, add: string, morphology: string[] }[];
+	morphology: string[];
+}
 
-	let path;
+interface CompoundPart {
+	flags: string[];
+	prefixed: boolean;
+	suffixed: boolean;
+}
 
-	// Loop-control variables.
-	let i, j, _len, _jlen;
+interface CompoundPattern {
+	end: string;
+	endFlag: string | null;
+	begin: string;
+	beginFlag: string | null;
+	replacement: string | null;
+}
 
-	if (dictionary) {
-		self.dictionary = dictionary;
+interface ReplacedBoundary {
+	boundary: number;
+	pattern: CompoundPattern;
+}
 
-		// If the data is preloaded, just setup the Typo object.
-		if (affData && wordsData) {
-			setup();
-		}
-		// Loading data for browser extentions.
-		else if (typeof window !== 'undefined' && ((window.chrome && window.chrome.runtime) || (window.browser && window.browser.runtime))) {
-			const runtime = window.chrome && window.chrome.runtime ? window.chrome.runtime : window.browser.runtime;
+/**
+ * The base class of the errors thrown by Typo.
+ */
 
-			if (settings.dictionaryPath) {
-				path = settings.dictionaryPath;
-			}
-			else {
-				path = "typo/dictionaries";
-			}
+class TypoError extends Error {
+	constructor(message: string) {
+		super(message);
 
-			if (!affData) readDataFile(runtime.getURL(path + "/" + dictionary + "/" + dictionary + ".aff"), setAffData);
-			if (!wordsData) readDataFile(runtime.getURL(path + "/" + dictionary + "/" + dictionary + ".dic"), setWordsData);
-		}
-		// Loading data for Node.js or other environments.
-		else {
-			if (settings.dictionaryPath) {
-				path = settings.dictionaryPath;
-			}
-			else if (typeof __dirname !== 'undefined') {
-				path = __dirname + '/dictionaries';
-			}
-			else {
-				path = './dictionaries';
-			}
+		// Compiled to ES5, extending Error loses the subclass's prototype, which breaks instanceof.
+		Object.setPrototypeOf(this, new.target.prototype);
 
-			if (!affData) readDataFile(path + "/" + dictionary + "/" + dictionary + ".aff", setAffData);
-			if (!wordsData) readDataFile(path + "/" + dictionary + "/" + dictionary + ".dic", setWordsData);
-		}
+		this.name = "TypoError";
 	}
+}
 
-	function readDataFile(url: string, setFunc: Function): void {
-		const response = self._readFile(url, null, settings?.asyncLoad);
+/**
+ * Thrown when a method that needs a dictionary is called before the dictionary is loaded.
+ */
 
-		if (settings?.asyncLoad) {
-			response.then(function(data: string): void {
-				setFunc(data);
-			});
-		}
-		else {
-			setFunc(response);
-		}
+class NotLoadedError extends TypoError {
+	constructor() {
+		super("Dictionary not loaded.");
+
+		this.name = "NotLoadedError";
 	}
+}
 
-	function setAffData(data: string): void {
-		affData = data;
+/**
+ * Thrown when a dictionary file doesn't exist.
+ */
 
-		if (wordsData) {
-			setup();
-		}
-	}
+class FileNotFoundError extends TypoError {
+	path: string;
 
-	function setWordsData(data: string): void {
-		wordsData = data;
+	constructor(path: string) {
+		super("Dictionary file " + path + " does not exist.");
 
-		if (affData) {
-			setup();
-		}
+		this.name = "FileNotFoundError";
+		this.path = path;
 	}
+}
 
-	function setup(): void {
-		self.rules = self._parseAFF(affData);
+/**
+ * Thrown when a dictionary file can't be downloaded.
+ */
 
-		// Save the rule codes that are used in compound rules.
-		self.compoundRuleCodes = {};
+class HTTPError extends TypoError {
+	path: string;
+	status: number;
 
-		for (i = 0, _len = self.compoundRules.length; i < _len; i++) {
-			const rule = self.compoundRules[i];
+	/**
+	 * @param {string} path The URL of the file.
+	 * @param {number} status The HTTP status of the response, or 0 if there was no response.
+	 */
 
-			for (j = 0, _jlen = rule.length; j < _jlen; j++) {
-				self.compoundRuleCodes[rule[j]] = [];
-			}
-		}
+	constructor(path: string, status: number) {
+		super("Request for dictionary file " + path + " failed" + (status ? " with HTTP status " + status : "") + ".");
 
-		// If we add this ONLYINCOMPOUND flag to self.compoundRuleCodes, then _parseDIC
-		// will do the work of saving the list of words that are compound-only.
-		if ("ONLYINCOMPOUND" in self.flags) {
-			self.compoundRuleCodes[self.flags.ONLYINCOMPOUND] = [];
-		}
+		this.name = "HTTPError";
+		this.path = path;
+		this.status = status;
+	}
+}
 
-		self.dictionaryTable = self._parseDIC(wordsData);
+/**
+ * Thrown when a dictionary file is malformed.
+ */
 
-		// Get rid of any codes from the compound rule codes that are never used
-		// (or that were special regex characters).  Not especially necessary...
-		for (i in self.compoundRuleCodes) {
-			if (self.compoundRuleCodes[i].length === 0) {
-				delete self.compoundRuleCodes[i];
-			}
-		}
+class ParseError extends TypoError {
+	file: string;
+	line: number;
 
-		// Build the full regular expressions for each compound rule.
-		// I have a feeling (but no confirmation yet) that this method of
-		// testing for compound words is probably slow.
-		for (i = 0, _len = self.compoundRules.length; i < _len; i++) {
-			const ruleText = self.compoundRules[i];
+	/**
+	 * @param {string} message What's wrong with the line.
+	 * @param {string} file The type of the file, "aff" or "dic".
+	 * @param {number} line The (1-based) line number.
+	 */
 
-			let expressionText = "";
+	constructor(message: string, file: string, line: number) {
+		super(message + " on line " + line + " of the ." + file + " file.");
 
-			for (j = 0, _jlen = ruleText.length; j < _jlen; j++) {
-				const character = ruleText[j];
+		this.name = "ParseError";
+		this.file = file;
+		this.line = line;
+	}
+}
 
-				if (character in self.compoundRuleCodes) {
-					expressionText += "(" + self.compoundRuleCodes[character].join("|") + ")";
-				}
-				else {
-					expressionText += character;
-				}
-			}
+/**
+ * A cache of the suggestions for misspelled words. Once it's full, the words that were
+ * looked up least recently are forgotten first.
+ */
 
-			self.compoundRules[i] = new RegExp( '^' + expressionText + '$', "i");
-		}
+class SuggestionCache {
+	maxSize: number;
+	hits: number;
+	misses: number;
+	entries: Map<string, { suggestions: string[], limit: number }>;
 
-		self.loaded = true;
+	/**
+	 * @param {number} [maxSize=1000] The number of words to remember. 0 turns off caching.
+	 */
 
-		if (settings?.asyncLoad && settings?.loadedCallback) {
-			settings.loadedCallback(self);
-		}
+	constructor(maxSize?: number) {
+		this.maxSize = (typeof maxSize === "number") ? Math.max(0, maxSize) : 1000;
+		this.hits = 0;
+		this.misses = 0;
+		this.entries = new Map();
 	}
 
-	return this;
-};
-
-Typo.prototype = {
 	/**
-	 * Loads a Typo instance from a hash of all of the Typo properties.
+	 * Returns the cached suggestions for a word, if there are enough of them.
 	 *
-	 * @param {object} obj A hash of Typo properties, probably gotten from a JSON.parse(JSON.stringify(typo_instance)).
+	 * @param {string} word The misspelling.
+	 * @param {number} limit The number of suggestions that are wanted.
+	 * @returns {string[]|null} The suggestions, or null if they need to be found.
 	 */
 
-	load : function (obj: object) {
-		for (let i in obj) {
-			if (obj.hasOwnProperty(i)) {
-				this[i] = obj[i];
-			}
+	get(word: string, limit: number): string[] | null {
+		const entry = this.entries.get(word);
+
+		// Only return the cached list if it's big enough or if there weren't enough suggestions
+		// to fill a smaller limit.
+		if (entry && (limit <= entry.limit || entry.suggestions.length < entry.limit)) {
+			this.hits++;
+
+			// Move the word to the end of the list, where the most recently used words are.
+			this.entries.delete(word);
+			this.entries.set(word, entry);
+
+			return entry.suggestions.slice(0, limit);
 		}
 
-		return this;
-	},
+		this.misses++;
+
+		return null;
+	}
 
 	/**
-	 * Read the contents of a file.
+	 * Saves the suggestions for a word.
 	 *
-	 * @param {string} path The path (relative) to the file.
-	 * @param {string} [charset="ISO8859-1"] The expected charset of the file
-	 * @param {boolean} async If true, the file will be read asynchronously. For node.js this does nothing, all
-	 *        files are read synchronously.
-	 * @returns {string} The file data if async is false, otherwise a promise object. If running node.js, the data is
-	 *          always returned.
-	 */
-
-	_readFile : function (path: string, charset?: string, async?: boolean): string | Promise<void> {
-		charset = charset || "utf8";
-
-		if (typeof XMLHttpRequest !== 'undefined') {
-			const req = new XMLHttpRequest();
-			req.open("GET", path, !! async);
-			req.overrideMimeType?.("text/plain; charset=" + charset);
-
-			if ( !! async ) {
-				let promise: Promise<void> = new Promise(function(resolve: Function, reject: Function): void {
-					req.onload = function(): void {
-						if (req.status === 200) {
-							resolve(req.responseText);
-						}
-						else {
-							reject(req.statusText);
-						}
-					};
-
-					req.onerror = function(): void {
-						reject(req.statusText);
-					}
-				});
+	 * @param {string} word The misspelling.
+	 * @param {number} limit The number of suggestions that were wanted.
+	 * @param {string[]} suggestions The suggestions.
+	 */
 
-				req.send(null);
+	set(word: string, limit: number, suggestions: string[]): void {
+		if (this.maxSize === 0) {
+			return;
+		}
 
-				return promise;
-			}
-			else {
-				req.send(null);
+		this.entries.delete(word);
 
-				return req.responseText;
-			}
+		// Maps keep their keys in insertion order, so the first one is the least recently used.
+		while (this.entries.size >= this.maxSize) {
+			this.entries.delete(this.entries.keys().next().value as string);
 		}
-		else if (typeof require !== 'undefined') {
-			// Node.js
-			const fs = require("fs");
 
-			try {
-				if (fs.existsSync(path)) {
-					return fs.readFileSync(path, charset);
-				}
-				else {
-					console.log("Path " + path + " does not exist.");
-				}
-			} catch (e) {
-				console.log(e);
-			}
+		// A copy is saved so that changes to the returned array don't change the cache.
+		this.entries.set(word, { suggestions : suggestions.slice(), limit : limit });
+	}
 
-			return '';
-		}
+	/**
+	 * Forgets all of the cached suggestions.
+	 */
 
-		return '';
-	},
+	clear(): void {
+		this.entries.clear();
+	}
 
 	/**
-	 * Parse the rules out from a .aff file.
-	 *
-	 * @param {string} data The contents of the affix file.
-	 * @returns object The rules from the file.
+	 * @returns {Object} The number of cached words, the maximum number, and how many times
+	 *                   suggestions were found in the cache (hits) or not (misses).
 	 */
 
-	_parseAFF : function (data: string): HashMap {
-		let rules: HashMap = {};
+	stats(): { size: number, maxSize: number, hits: number, misses: number } {
+		return { size : this.entries.size, maxSize : this.maxSize, hits : this.hits, misses : this.misses };
+	}
+}
 
-		let line, subline, numEntries, lineParts;
-		let i, j, _len, _jlen;
+/**
+ * The prose in some markup, along with where each of its characters came from in the markup, so
+ * that words found in the prose can be located in the markup.
+ */
 
-		const lines = data.split(/\r?\n/);
+class MarkupText {
+	text: string;
+	starts: number[];
+	ends: number[];
 
-		for (i = 0, _len = lines.length; i < _len; i++) {
-			// Remove comment lines
-			line = this._removeAffixComments(lines[i]);
-			line = line.trim();
+	constructor() {
+		this.text = "";
+		this.starts = [];
+		this.ends = [];
+	}
 
-			if ( ! line ) {
-				continue;
-			}
+	/**
+	 * Adds some prose that's copied straight from the markup.
+	 *
+	 * @param {string} source The markup.
+	 * @param {number} start The offset of the prose in the markup.
+	 * @param {number} end The offset of the end of the prose.
+	 */
 
-			const definitionParts = line.split(/\s+/);
+	copy(source: string, start: number, end: number): void {
+		this.text += source.substring(start, end);
 
-			const ruleType = definitionParts[0];
+		for (let i = start; i < end; i++) {
+			this.starts.push(i);
+			this.ends.push(i + 1);
+		}
+	}
 
-			if (ruleType === "PFX" || ruleType === "SFX") {
-				const ruleCode = definitionParts[1];
-				const combineable = definitionParts[2];
-				numEntries = parseInt(definitionParts[3], 10);
+	/**
+	 * Adds some text that stands for a piece of markup, like the character that a character
+	 * reference (e.g., "&amp;") stands for.
+	 *
+	 * @param {string} text The text.
+	 * @param {number} start The offset of the markup.
+	 * @param {number} end The offset of the end of the markup.
+	 */
 
-				let entries: AffixEntry[] = [];
+	add(text: string, start: number, end: number): void {
+		this.text += text;
 
-				for (j = i + 1, _jlen = i + 1 + numEntries; j < _jlen; j++) {
-					subline = lines[j];
+		for (let i = 0, _len = text.length; i < _len; i++) {
+			this.starts.push(start);
+			this.ends.push(end);
+		}
+	}
 
-					lineParts = subline.split(/\s+/);
-					const charactersToRemove = lineParts[2];
+	/**
+	 * Stands in for a piece of markup that isn't prose, like a code block, so that the words on
+	 * either side of it aren't joined.
+	 *
+	 * @param {number} start The offset of the markup.
+	 * @param {number} end The offset of the end of the markup.
+	 */
 
-					const additionParts = lineParts[3].split("/");
+	separate(start: number, end: number): void {
+		this.add(" ", start, end);
+	}
+
+	/**
+	 * Changes a word's offsets in the prose to its offsets in the markup.
+	 *
+	 * @param {Object} token The word.
+	 */
+
+	locate(token: TextToken): void {
+		const end = this.ends[token.end - 1];
+
+		token.start = this.starts[token.start];
+		token.end = end;
+	}
+}
+
+/**
+ * Adds a word to a table of words, along with the flags it was generated with.
+ *
+ * @param {Object} dictionaryTable The table of words.
+ * @param {string} word The word.
+ * @param {string[]} rules Its flags.
+ */
+
+function addWordForm(dictionaryTable: HashMap, word: string, rules: string[]): void {
+	// Some dictionaries will list the same word multiple times with different rule sets.
+	if (!dictionaryTable.hasOwnProperty(word)) {
+		dictionaryTable[word] = null;
+	}
+
+	if (rules.length > 0) {
+		if (dictionaryTable[word] === null) {
+			dictionaryTable[word] = [];
+		}
+
+		dictionaryTable[word].push(rules);
+	}
+}
+
+/**
+ * Adds a word to a table of the words that can be part of compound words, if it has one of
+ * the flags that allow that.
+ *
+ * @param {Object} compoundParts The table of compound word parts.
+ * @param {string[]} compoundFlags The flags that allow words to be part of compound words.
+ * @param {string} word The word.
+ * @param {string[]} flags Its flags.
+ * @param {boolean} prefixed Whether it was generated by a prefix.
+ * @param {boolean} suffixed Whether it was generated by a suffix.
+ * @returns {boolean} Whether the word was added.
+ */
+
+function addCompoundPart(compoundParts: HashMap, compoundFlags: string[], word: string, flags: string[], prefixed: boolean, suffixed: boolean): boolean {
+	for (let i = 0, _len = flags.length; i < _len; i++) {
+		if (compoundFlags.indexOf(flags[i]) !== -1) {
+			if (!compoundParts.hasOwnProperty(word)) {
+				compoundParts[word] = [];
+			}
+
+			compoundParts[word].push({ flags : flags, prefixed : prefixed, suffixed : suffixed } as CompoundPart);
+
+			return true;
+		}
+	}
+
+	return false;
+}
+
+/**
+ * Adds an entry for a word from the .dic file to the table of them.
+ *
+ * @param {Object} rootTable The table.
+ * @param {string} word The word.
+ * @param {string[]} flags Its flags.
+ * @param {string[]} morphology Its morphological fields.
+ */
+
+function addRootEntry(rootTable: HashMap, word: string, flags: string[], morphology: string[]): void {
+	if (!rootTable.hasOwnProperty(word)) {
+		rootTable[word] = [];
+	}
+
+	let entry: RootEntry = { flags : flags };
+
+	if (morphology.length > 0) entry.morphology = morphology;
+
+	rootTable[word].push(entry);
+}
+
+/**
+ * Hashes a word with 32-bit FNV-1a, for the table of hashes from _hashForms().
+ *
+ * @param {string} word The word.
+ * @returns {number} The hash, as an unsigned integer.
+ */
+
+function hashWord(word: string): number {
+	let hash = 0x811c9dc5;
+
+	for (let i = 0, _len = word.length; i < _len; i++) {
+		hash = Math.imul(hash ^ word.charCodeAt(i), 0x01000193);
+	}
+
+	return hash >>> 0;
+}
+
+/**
+ * Checks whether a sorted array of hashes contains a hash.
+ *
+ * @param {Uint32Array} hashes The hashes.
+ * @param {number} hash The hash.
+ * @returns {boolean}
+ */
+
+function hasHash(hashes: Uint32Array, hash: number): boolean {
+	let low = 0;
+	let high = hashes.length - 1;
+
+	while (low <= high) {
+		const middle = (low + high) >>> 1;
+
+		if (hashes[middle] < hash) {
+			low = middle + 1;
+		}
+		else if (hashes[middle] > hash) {
+			high = middle - 1;
+		}
+		else {
+			return true;
+		}
+	}
+
+	return false;
+}
+
+/**
+ * Counts the edits (insertions, deletions, substitutions, and transpositions of adjacent
+ * characters) needed to turn one word into another.
+ *
+ * @param {string} a The first word.
+ * @param {string} b The second word.
+ * @returns {number}
+ */
+
+function editDistance(a: string, b: string): number {
+	// The distances from each prefix of a to the prefixes of b that are one and two characters
+	// shorter than the current one.
+	let previous: number[] = [];
+	let beforePrevious: number[] = [];
+
+	for (let j = 0; j <= b.length; j++) {
+		previous.push(j);
+	}
+
+	for (let i = 1; i <= a.length; i++) {
+		let current = [ i ];
+
+		for (let j = 1; j <= b.length; j++) {
+			const cost = (a[i - 1] === b[j - 1]) ? 0 : 1;
+
+			current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+			if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+				current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+			}
+		}
+
+		beforePrevious = previous;
+		previous = current;
+	}
+
+	return previous[b.length];
+}
+
+/**
+ * Sorts an array of hashes and removes the duplicates.
+ *
+ * @param {Uint32Array} hashes The hashes, which are sorted in place.
+ * @returns {Uint32Array} A copy of the sorted hashes, without duplicates.
+ */
+
+function uniqueHashes(hashes: Uint32Array): Uint32Array {
+	hashes.sort();
+
+	let unique = 0;
+
+	for (let i = 0, _len = hashes.length; i < _len; i++) {
+		if (i === 0 || hashes[i] !== hashes[i - 1]) {
+			hashes[unique++] = hashes[i];
+		}
+	}
+
+	return hashes.slice(0, unique);
+}
+
+/**
+ * Merges two sorted arrays of hashes without duplicates.
+ *
+ * @param {Uint32Array} hashes The hashes.
+ * @param {Uint32Array} added The hashes to add.
+ * @returns {Uint32Array} The sorted hashes from both arrays, without duplicates.
+ */
+
+function mergeHashes(hashes: Uint32Array, added: Uint32Array): Uint32Array {
+	let merged = new Uint32Array(hashes.length + added.length);
+	let count = 0;
+	let i = 0;
+	let j = 0;
+
+	while (i < hashes.length || j < added.length) {
+		let hash: number;
+
+		if (j === added.length || (i < hashes.length && hashes[i] <= added[j])) {
+			hash = hashes[i++];
+		}
+		else {
+			hash = added[j++];
+		}
+
+		if (count === 0 || merged[count - 1] !== hash) {
+			merged[count++] = hash;
+		}
+	}
+
+	return merged.subarray(0, count);
+}
+
+/**
+ * Adds an affix entry to a table of the entries that add each text, grouped by the characters
+ * they remove, so that what's left after removing them only has to be looked at once. Each
+ * group also records whether any of its entries are continued or combineable.
+ *
+ * @param {Object} table The table.
+ * @param {Object} affix The entry and its rule.
+ * @param {string} strip The characters the entry removes.
+ * @returns {boolean} Whether no other entry in the table adds the same text.
+ */
+
+function indexAffix(table: HashMap, affix: IndexedAffix, strip: string): boolean {
+	const add = affix.entry.add;
+	const isNew = !table.hasOwnProperty(add);
+
+	if (isNew) {
+		table[add] = [];
+	}
+
+	const groups: AffixGroup[] = table[add];
+
+	let group: AffixGroup | null = null;
+
+	for (let i = 0, _len = groups.length; i < _len; i++) {
+		if (groups[i].strip === strip) {
+			group = groups[i];
+			break;
+		}
+	}
+
+	if (!group) {
+		group = { type : affix.rule.type, add : add, strip : strip, affixes : [], continued : false, combineable : false } as AffixGroup;
+		groups.push(group);
+	}
+
+	group.affixes.push(affix);
+	group.continued = group.continued || affix.continued;
+	group.combineable = group.combineable || affix.rule.combineable;
+
+	return isNew;
+}
+
+/**
+ * Adds the text added by an affix to a trie of the texts added by affixes of its type. The
+ * trie is keyed by characters from the end of the text for suffixes, and the end of a text
+ * is marked by an empty key.
+ *
+ * @param {Object} trie The trie.
+ * @param {string} type "PFX" or "SFX".
+ * @param {string} text The text.
+ */
+
+function addAffixText(trie: HashMap, type: string, text: string): void {
+	let node = trie;
+
+	for (let i = 0, _len = text.length; i < _len; i++) {
+		const character = (type === "SFX") ? text.charAt(_len - 1 - i) : text.charAt(i);
+
+		if (!node.hasOwnProperty(character)) {
+			node[character] = {};
+		}
+
+		node = node[character];
+	}
+
+	node[""] = true;
+}
+
+/**
+ * Checks whether any of a word's flags are in a list.
+ *
+ * @param {string[]} ruleCodes The word's flags.
+ * @param {string[]} codes The list.
+ * @returns {boolean}
+ */
+
+function usesAny(ruleCodes: string[], codes: string[]): boolean {
+	for (let i = 0, _len = ruleCodes.length; i < _len; i++) {
+		if (codes.indexOf(ruleCodes[i]) !== -1) {
+			return true;
+		}
+	}
+
+	return false;
+}
+
+/**
+ * Decodes UTF-8 data in environments without TextDecoder or Buffer. Like them, it replaces each
+ * malformed sequence of bytes with U+FFFD instead of throwing.
+ *
+ * @param {Uint8Array} data The raw data.
+ * @returns {string}
+ */
+
+function decodeUTF8(data: Uint8Array): string {
+	let text = "";
+	let codeUnits: number[] = [];
+
+	for (let i = 0, _len = data.length; i < _len; ) {
+		const byte = data[i];
+		let codePoint = 0xFFFD;
+		let length = 1;
+
+		if (byte < 0x80) {
+			codePoint = byte;
+		}
+		else if (byte >= 0xC2 && byte <= 0xF4) {
+			const needed = (byte < 0xE0) ? 1 : (byte < 0xF0) ? 2 : 3;
+
+			// The second byte is limited further to rule out overlong forms, surrogates, and code
+			// points above U+10FFFF.
+			let lower = (byte === 0xE0) ? 0xA0 : (byte === 0xF0) ? 0x90 : 0x80;
+			let upper = (byte === 0xED) ? 0x9F : (byte === 0xF4) ? 0x8F : 0xBF;
+			let value = byte & (0x3F >> needed);
+
+			// A malformed sequence ends before the first byte that can't continue it.
+			for (; length <= needed && i + length < _len; length++) {
+				const next = data[i + length];
+
+				if (next < lower || next > upper) {
+					break;
+				}
+
+				value = (value << 6) | (next & 0x3F);
+				lower = 0x80;
+				upper = 0xBF;
+			}
+
+			if (length > needed) {
+				codePoint = value;
+			}
+		}
+
+		if (codePoint > 0xFFFF) {
+			codePoint -= 0x10000;
+			codeUnits.push(0xD800 + (codePoint >> 10), 0xDC00 + (codePoint & 0x3FF));
+		}
+		else {
+			codeUnits.push(codePoint);
+		}
+
+		i += length;
+
+		if (codeUnits.length >= 8192 || i >= _len) {
+			text += String.fromCharCode.apply(null, codeUnits);
+			codeUnits = [];
+		}
+	}
+
+	return text;
+}
+
+// Letters, combining marks, and digits, which make up words. Created by isWordCharacter() the
+// first time it's called, so that environments without Unicode property escapes can still use
+// the rest of Typo.
+let wordCharacterPattern: RegExp | null = null;
+let letterPattern: RegExp | null = null;
+let digitPattern: RegExp | null = null;
+
+function isWordCharacter(character: string): boolean {
+	if (!wordCharacterPattern) {
+		wordCharacterPattern = new RegExp("^[\\p{L}\\p{M}\\p{N}]$", "u");
+	}
+
+	return wordCharacterPattern.test(character);
+}
+
+function hasLetter(word: string): boolean {
+	if (!letterPattern) {
+		letterPattern = new RegExp("\\p{L}", "u");
+	}
+
+	return letterPattern.test(word);
+}
+
+function hasDigit(word: string): boolean {
+	if (!digitPattern) {
+		digitPattern = new RegExp("\\p{N}", "u");
+	}
+
+	return digitPattern.test(word);
+}
+
+/**
+ * Creates a pattern that only matches at the start of a run of the given characters, so that it
+ * isn't tried again at every offset in a long run of them (which takes quadratic time). Not every
+ * environment supports lookbehind assertions, and without them the pattern can match anywhere.
+ *
+ * @param {string} characters The characters, as the contents of a character class.
+ * @param {string} source The pattern.
+ * @returns {RegExp} The case-insensitive pattern.
+ */
+
+function tokenPattern(characters: string, source: string): RegExp {
+	try {
+		return new RegExp("(?<![" + characters + "])(?:" + source + ")", "i");
+	} catch (e) {
+		return new RegExp(source, "i");
+	}
+}
+
+// How far each of the first three rows of a keyboard is shifted to the right, in keys, so that
+// keys that are diagonally next to each other are closer than keys that aren't.
+const KEY_ROW_OFFSETS = [ 0, 0.25, 0.75 ];
+
+// Keys next to each other, in the same row or diagonally, are less than this far apart.
+const MAX_NEIGHBORING_KEY_DISTANCE = 1.5;
+
+/**
+ * The built-in patterns for text that checkText() can ignore, by name.
+ */
+
+const IGNORE_PATTERNS: HashMap = {
+	// http://example.com/path, www.example.com, etc.
+	urls : tokenPattern("\\w+.-", "(?:[a-z][a-z0-9+.-]*:\\/\\/|www\\.)[^\\s<>\"']+"),
+
+	// someone@example.com, or mailto:someone@example.com
+	emails : tokenPattern("\\w.%+-", "(?:mailto:)?[a-z0-9._%+-]+@[a-z0-9-]+(?:\\.[a-z0-9-]+)*\\.[a-z]{2,}"),
+
+	// ~/notes.txt, ./build.sh, C:\Users, /usr/bin, src/lib/index.js, src/index.js, etc. Without a
+	// prefix, a path needs two slashes or a file name with an extension, so "and/or" is still prose.
+	paths : tokenPattern("\\w.~:\\\\\\/-", "(?:[a-z]:|~|\\.{1,2})(?:[\\\\\\/][\\w.-]+)+|[\\w.-]*(?:[\\\\\\/][\\w.-]+){2,}|[\\w.-]*[\\\\\\/][\\w-]+\\.[a-z0-9]+\\b"),
+
+	// Hexadecimal numbers, like commit hashes and 0x1f.
+	hashes : /\b(?=[0-9a-f]*[0-9])(?=[0-9a-f]*[a-f])[0-9a-f]{7,}\b|\b0x[0-9a-f]+\b/i,
+
+	// 1.2, v1.3.1, 2.0.0-beta.1, v2, etc.
+	versions : /\bv?\d+(?:\.\d+)+(?:[-+][0-9a-z][0-9a-z.-]*)?\b|\bv\d+\b/i,
+
+	// snake_case, camelCase, and PascalCase identifiers.
+	identifiers : /\b\w*_\w*\b|\b[A-Za-z0-9]*[a-z][A-Z]\w*/
+};
+
+/**
+ * Common abbreviations in source code, which are accepted in code mode even though they aren't
+ * in dictionaries.
+ */
+
+const CODE_ABBREVIATIONS: string[] = [
+	"addr", "alloc", "api", "app", "arg", "argc", "args", "argv", "arr", "ascii", "async", "attr", "attrs",
+	"auth", "bg", "bool", "btn", "buf", "cb", "cfg", "charset", "cli", "cmd", "cmp", "config", "const", "coord",
+	"cpu", "css", "csv", "ctor", "ctx", "cwd", "db", "dec", "decl", "def", "del", "dest", "dev", "dir", "dirs",
+	"dirname", "div", "doc", "docs", "dom", "dst", "elem", "env", "eof", "eol", "eq", "err", "errno", "errs",
+	"eval", "exe", "expr", "ext", "fd", "fg", "fmt", "fn", "func", "gpu", "gt", "gte", "gz", "hex", "href",
+	"html", "http", "https", "id", "idx", "ids", "img", "impl", "inc", "init", "int", "io", "ip", "iter", "js",
+	"json", "jsx", "len", "lhs", "lib", "libs", "ln", "lt", "lte", "md", "mem", "meta", "middleware", "min",
+	"misc", "msg", "msgs", "mutex", "namespace", "nav", "neq", "nil", "num", "obj", "opt", "opts", "os",
+	"param", "params", "pid", "pkg", "pos", "prev", "proc", "prod", "prop", "props", "ptr", "px", "qty", "rect",
+	"ref", "refs", "regex", "regexp", "repo", "req", "res", "resp", "rgb", "rgba", "rhs", "src", "sql", "ssl",
+	"stderr", "stdin", "stdio", "stdout", "str", "struct", "svg", "sys", "tcp", "tls", "tmp", "todo", "ts", "tsx",
+	"tx", "uid", "ui", "uint", "url", "urls", "uri", "usr", "utf", "util", "utils", "uuid", "val", "vals", "var",
+	"vars", "xml", "yaml", "yml"
+];
+
+/**
+ * HTML elements whose content isn't prose.
+ */
+
+const NON_PROSE_ELEMENTS: string[] = [ "code", "kbd", "pre", "samp", "script", "style", "template" ];
+
+/**
+ * HTML elements that don't separate the text on either side of them, so that e.g. "<b>un</b>likely"
+ * is one word. Other tags end words.
+ */
+
+const INLINE_ELEMENTS: string[] = [
+	"a", "abbr", "b", "bdi", "bdo", "cite", "data", "del", "dfn", "em", "font", "i", "ins", "mark", "q", "s",
+	"small", "span", "strong", "sub", "sup", "time", "u", "wbr"
+];
+
+/**
+ * HTML attributes whose values are prose.
+ */
+
+const PROSE_ATTRIBUTES: string[] = [ "alt", "title" ];
+
+/**
+ * The named character references that are decoded in markup. The uppercase versions of the
+ * letters (like "&Eacute;") are decoded too.
+ */
+
+const CHARACTER_REFERENCES: HashMap = {
+	amp : "&", apos : "'", quot : "\"", lt : "<", gt : ">", nbsp : "\u00a0", shy : "", ensp : "\u2002",
+	emsp : "\u2003", thinsp : "\u2009", ndash : "\u2013", mdash : "\u2014", lsquo : "\u2018", rsquo : "\u2019",
+	sbquo : "\u201a", ldquo : "\u201c", rdquo : "\u201d", bdquo : "\u201e", laquo : "\u00ab", raquo : "\u00bb",
+	hellip : "\u2026", middot : "\u00b7", bull : "\u2022", copy : "\u00a9", reg : "\u00ae", trade : "\u2122",
+	deg : "\u00b0", times : "\u00d7", iexcl : "\u00a1", iquest : "\u00bf",
+	agrave : "\u00e0", aacute : "\u00e1", acirc : "\u00e2", atilde : "\u00e3", auml : "\u00e4", aring : "\u00e5",
+	aelig : "\u00e6", ccedil : "\u00e7", egrave : "\u00e8", eacute : "\u00e9", ecirc : "\u00ea", euml : "\u00eb",
+	igrave : "\u00ec", iacute : "\u00ed", icirc : "\u00ee", iuml : "\u00ef", ntilde : "\u00f1", ograve : "\u00f2",
+	oacute : "\u00f3", ocirc : "\u00f4", otilde : "\u00f5", ouml : "\u00f6", oslash : "\u00f8", ugrave : "\u00f9",
+	uacute : "\u00fa", ucirc : "\u00fb", uuml : "\u00fc", yacute : "\u00fd", yuml : "\u00ff", oelig : "\u0153",
+	szlig : "\u00df"
+};
+
+/**
+ * Splits an identifier into the words in it: at underscores and hyphens (snake_case and kebab-case),
+ * and (in parts without any other punctuation) where lowercase letters are followed by uppercase
+ * letters or an acronym is followed by a capitalized word (camelCase and PascalCase), and around digits.
+ *
+ * @param {Object} token The identifier.
+ * @returns {Object[]} The words, with their offsets in the text the identifier came from.
+ */
+
+function splitIdentifier(token: TextToken): TextToken[] {
+	const camelCasePart = new RegExp("[\\p{Lu}\\p{Lt}]?[\\p{Ll}\\p{Lm}\\p{Lo}\\p{M}]+|[\\p{Lu}\\p{Lt}][\\p{Lu}\\p{Lt}\\p{M}]*(?![\\p{Ll}])|\\p{N}+", "gu");
+	const identifierPart = new RegExp("^[\\p{L}\\p{M}\\p{N}]+$", "u");
+
+	let parts: TextToken[] = [];
+
+	const pieces = token.word.split(/[_-]/);
+
+	let offset = token.start;
+
+	for (let i = 0, _len = pieces.length; i < _len; i++) {
+		const piece = pieces[i];
+
+		if (!identifierPart.test(piece)) {
+			// Words like "don't" aren't split.
+			if (piece) {
+				parts.push({ word : piece, start : offset, end : offset + piece.length });
+			}
+		}
+		else {
+			let match: RegExpExecArray | null;
+
+			camelCasePart.lastIndex = 0;
+
+			while ((match = camelCasePart.exec(piece)) !== null) {
+				parts.push({ word : match[0], start : offset + match.index, end : offset + match.index + match[0].length });
+			}
+		}
+
+		// Skip the piece and the separator after it.
+		offset += piece.length + 1;
+	}
+
+	return parts;
+}
+
+/**
+ * Changes the capitalization of a word to match the capitalization of another word, the way the
+ * words in an identifier are capitalized: all uppercase, capitalized, or all lowercase.
+ *
+ * @param {string} word The word to change.
+ * @param {string} model The word with the capitalization to match.
+ * @returns {string}
+ */
+
+function matchCapitalization(word: string, model: string): string {
+	if (model === model.toUpperCase()) {
+		return word.toUpperCase();
+	}
+
+	const modelCharacters = Array.from(model) as string[];
+
+	if (modelCharacters[0] !== modelCharacters[0].toLowerCase()) {
+		const characters = Array.from(word) as string[];
+
+		return characters[0].toUpperCase() + characters.slice(1).join("");
+	}
+
+	return word.toLowerCase();
+}
+
+/**
+ * Finds suggestions for a misspelled identifier by replacing each misspelled word in it with the
+ * suggestions for that word, capitalized the same way.
+ *
+ * @param {Typo|Typo.Composite} dictionary The dictionary to get suggestions from.
+ * @param {Object} identifier The identifier.
+ * @param {Object[]} misspelledParts The misspelled words in it.
+ * @param {number} [limit=5] The maximum number of suggestions.
+ * @returns {string[]} The suggested identifiers.
+ */
+
+function suggestIdentifiers(dictionary: any, identifier: TextToken, misspelledParts: TextToken[], limit?: number): string[] {
+	limit = limit || 5;
+
+	const identifierPart = new RegExp("^[\\p{L}\\p{M}\\p{N}]+$", "u");
+
+	// The suggestions for each misspelled word that can be used in an identifier.
+	let partSuggestions: string[][] = [];
+
+	for (let i = 0, _len = misspelledParts.length; i < _len; i++) {
+		const part = misspelledParts[i];
+
+		let suggestions: string[] = [];
+
+		dictionary.suggest(part.word, limit).forEach(function (suggestion: string): void {
+			suggestion = matchCapitalization(suggestion, part.word);
+
+			if (identifierPart.test(suggestion) && suggestions.indexOf(suggestion) === -1) {
+				suggestions.push(suggestion);
+			}
+		});
+
+		if (suggestions.length === 0) {
+			return [];
+		}
+
+		partSuggestions.push(suggestions);
+	}
+
+	let identifiers: string[] = [];
+
+	// The first suggestion uses the best suggestion for each word, the second uses the second-best, etc.
+	for (let i = 0; identifiers.length < limit; i++) {
+		let suggestion = "";
+		let offset = identifier.start;
+		let more = false;
+
+		for (let j = 0, _jlen = misspelledParts.length; j < _jlen; j++) {
+			const suggestions = partSuggestions[j];
+
+			suggestion += identifier.word.substring(offset - identifier.start, misspelledParts[j].start - identifier.start);
+			suggestion += suggestions[Math.min(i, suggestions.length - 1)];
+			offset = misspelledParts[j].end;
+
+			if (i < suggestions.length - 1) {
+				more = true;
+			}
+		}
+
+		suggestion += identifier.word.substring(offset - identifier.start);
+
+		if (identifiers.indexOf(suggestion) === -1) {
+			identifiers.push(suggestion);
+		}
+
+		if (!more) {
+			break;
+		}
+	}
+
+	return identifiers;
+}
+
+/**
+ * Finds the parts of some text that match any of the patterns to ignore.
+ *
+ * @param {string} text The text.
+ * @param {Array} patterns The names of built-in patterns (from Typo.ignorePatterns) and RegExps.
+ * @returns {number[][]} The start and end offsets of the matching text, in order and without any overlaps.
+ */
+
+function ignoredRanges(text: string, patterns: (string | RegExp)[]): number[][] {
+	let ranges: number[][] = [];
+
+	for (let i = 0, _len = patterns.length; i < _len; i++) {
+		let pattern = patterns[i];
+
+		if (typeof pattern === "string") {
+			if (!IGNORE_PATTERNS.hasOwnProperty(pattern)) {
+				throw new TypoError("Unknown ignore pattern: " + pattern);
+			}
+
+			pattern = IGNORE_PATTERNS[pattern] as RegExp;
+		}
+
+		// A copy with the global flag is used, so that every match is found and the pattern's
+		// own lastIndex isn't changed.
+		const expression = new RegExp(pattern.source, (pattern.flags.indexOf("g") === -1) ? pattern.flags + "g" : pattern.flags);
+
+		let match: RegExpExecArray | null;
+
+		while ((match = expression.exec(text)) !== null) {
+			if (match[0].length === 0) {
+				expression.lastIndex++;
+				continue;
+			}
+
+			ranges.push([ match.index, match.index + match[0].length ]);
+		}
+	}
+
+	ranges.sort(function (a: number[], b: number[]): number {
+		return a[0] - b[0];
+	});
+
+	// Combine overlapping ranges.
+	let merged: number[][] = [];
+
+	for (let i = 0, _len = ranges.length; i < _len; i++) {
+		const last = merged[merged.length - 1];
+
+		if (last && ranges[i][0] < last[1]) {
+			last[1] = Math.max(last[1], ranges[i][1]);
+		}
+		else {
+			merged.push(ranges[i]);
+		}
+	}
+
+	return merged;
+}
+
+/**
+ * Splits text into words. A word is a run of letters, combining marks, and digits, which can also
+ * contain "joiners" (like apostrophes and hyphens) as long as there's a letter, mark, or digit on
+ * each side of them.
+ *
+ * @param {string} text The text.
+ * @param {string} joiners The characters that can join the parts of a word.
+ * @returns {Object[]} The words, with their start and end offsets (in UTF-16 code units, like
+ *                     string indexes).
+ */
+
+function tokenize(text: string, joiners: string): TextToken[] {
+	let tokens: TextToken[] = [];
+
+	// The characters of the text, keeping surrogate pairs together.
+	const characters = Array.from(text) as string[];
+
+	let offset = 0;
+	let start = -1;
+	let end = -1;
+
+	for (let i = 0, _len = characters.length; i <= _len; i++) {
+		const character = (i < _len) ? characters[i] : "";
+
+		if (character && isWordCharacter(character)) {
+			if (start === -1) {
+				start = offset;
+			}
+
+			end = offset + character.length;
+		}
+		else if (start !== -1 && !(character && joiners.indexOf(character) !== -1 && end === offset && i + 1 < _len && isWordCharacter(characters[i + 1]))) {
+			tokens.push({ word : text.substring(start, end), start : start, end : end });
+			start = -1;
+		}
+
+		offset += character.length;
+	}
+
+	return tokens;
+}
+
+/**
+ * Decodes the character reference (like "&amp;", "&eacute;", or "&#8217;") at an offset in some markup.
+ *
+ * @param {string} source The markup.
+ * @param {number} offset The offset of the "&".
+ * @returns {Object|null} The text that the reference stands for and the reference's length, or null
+ *                        if there isn't a reference there.
+ */
+
+function characterReference(source: string, offset: number): { text: string, length: number } | null {
+	const match = /^&(?:#([0-9]{1,7})|#[xX]([0-9a-fA-F]{1,6})|([A-Za-z][A-Za-z0-9]{1,31}));/.exec(source.substring(offset, offset + 40));
+
+	if (!match) {
+		return null;
+	}
+
+	if (match[3]) {
+		const name = match[3];
+
+		if (CHARACTER_REFERENCES.hasOwnProperty(name)) {
+			return { text : CHARACTER_REFERENCES[name], length : match[0].length };
+		}
+
+		// "&Eacute;", "&AElig;", etc.
+		const lowercaseName = name.toLowerCase();
+
+		if (name !== lowercaseName && CHARACTER_REFERENCES.hasOwnProperty(lowercaseName)) {
+			const character = CHARACTER_REFERENCES[lowercaseName];
+			const uppercaseCharacter = character.toUpperCase();
+
+			if (uppercaseCharacter !== character && uppercaseCharacter.length === 1) {
+				return { text : uppercaseCharacter, length : match[0].length };
+			}
+		}
+
+		return null;
+	}
+
+	const codePoint = match[1] ? parseInt(match[1], 10) : parseInt(match[2], 16);
+
+	// Invalid code points are replaced, like browsers do.
+	const valid = codePoint > 0 && codePoint <= 0x10FFFF && !(codePoint >= 0xD800 && codePoint <= 0xDFFF);
+
+	return { text : valid ? String.fromCodePoint(codePoint) : "\uFFFD", length : match[0].length };
+}
+
+/**
+ * Adds some prose from markup that can contain character references, and in Markdown, backslash
+ * escapes, like the value of an alt attribute or a link title.
+ *
+ * @param {string} source The markup.
+ * @param {number} start The offset of the prose.
+ * @param {number} end The offset of the end of the prose.
+ * @param {boolean} markdown Whether the markup is Markdown.
+ * @param {MarkupText} prose The prose to add to.
+ */
+
+function addDecodedText(source: string, start: number, end: number, markdown: boolean, prose: MarkupText): void {
+	let copied = start;
+
+	for (let i = start; i < end; i++) {
+		const character = source.charAt(i);
+
+		let replacement: { text: string, length: number } | null = null;
+
+		if (character === "&") {
+			replacement = characterReference(source, i);
+		}
+		else if (markdown && character === "\\" && /[!-\/:-@\[-`{-~]/.test(source.charAt(i + 1))) {
+			replacement = { text : source.charAt(i + 1), length : 2 };
+		}
+
+		if (replacement && i + replacement.length <= end) {
+			prose.copy(source, copied, i);
+			prose.add(replacement.text, i, i + replacement.length);
+			i += replacement.length - 1;
+			copied = i + 1;
+		}
+	}
+
+	prose.copy(source, copied, end);
+}
+
+/**
+ * Parses the HTML tag at an offset in some markup.
+ *
+ * @param {string} source The markup.
+ * @param {number} start The offset of the "<".
+ * @param {number} end The offset to stop looking at.
+ * @returns {Object|null} The tag's lowercase name, whether it's a closing tag, whether it's self-closing
+ *                        (like "<br/>"), the offsets of its attributes' names and values, and the
+ *                        offset of the end of the tag; or null if there isn't a tag there.
+ */
+
+function parseTag(source: string, start: number, end: number): { name: string, closing: boolean, selfClosing: boolean, attributes: { name: string, start: number, end: number }[], end: number } | null {
+	// Tags can't contain "<", so an unclosed "<" can't make the rest of the markup look like a tag.
+	const nextTag = source.indexOf("<", start + 1);
+	const limit = (nextTag !== -1 && nextTag < end) ? nextTag : end;
+
+	let i = start + 1;
+
+	const closing = source.charAt(i) === "/";
+
+	if (closing) {
+		i++;
+	}
+
+	const nameStart = i;
+
+	if (!/[A-Za-z]/.test(source.charAt(i))) {
+		return null;
+	}
+
+	while (i < limit && /[A-Za-z0-9-]/.test(source.charAt(i))) {
+		i++;
+	}
+
+	const name = source.substring(nameStart, i).toLowerCase();
+
+	let attributes: { name: string, start: number, end: number }[] = [];
+
+	while (i < limit) {
+		while (i < limit && /\s/.test(source.charAt(i))) {
+			i++;
+		}
+
+		if (source.charAt(i) === ">") {
+			return { name : name, closing : closing, selfClosing : false, attributes : attributes, end : i + 1 };
+		}
+
+		if (source.charAt(i) === "/" && source.charAt(i + 1) === ">") {
+			return { name : name, closing : closing, selfClosing : true, attributes : attributes, end : i + 2 };
+		}
+
+		const attributeStart = i;
+
+		while (i < limit && !/[\s"'>\/=]/.test(source.charAt(i))) {
+			i++;
+		}
+
+		if (i === attributeStart) {
+			// A stray "/", quote, or "=".
+			i++;
+			continue;
+		}
+
+		const attributeName = source.substring(attributeStart, i).toLowerCase();
+
+		let j = i;
+
+		while (j < limit && /\s/.test(source.charAt(j))) {
+			j++;
+		}
+
+		if (source.charAt(j) !== "=") {
+			continue;
+		}
+
+		j++;
+
+		while (j < limit && /\s/.test(source.charAt(j))) {
+			j++;
+		}
+
+		const quote = source.charAt(j);
+
+		if (quote === "\"" || quote === "'") {
+			let valueEnd = j + 1;
+
+			while (valueEnd < limit && source.charAt(valueEnd) !== quote) {
+				valueEnd++;
+			}
+
+			if (valueEnd >= limit) {
+				return null;
+			}
+
+			attributes.push({ name : attributeName, start : j + 1, end : valueEnd });
+			i = valueEnd + 1;
+		}
+		else {
+			const valueStart = j;
+
+			while (j < limit && !/[\s"'=<>`]/.test(source.charAt(j))) {
+				j++;
+			}
+
+			attributes.push({ name : attributeName, start : valueStart, end : j });
+			i = j;
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Handles the HTML at an offset in some markup: comments, doctypes, and the like are skipped, and
+ * so are tags (except for the values of attributes like alt and title) and the content of elements
+ * that aren't prose, like <code>.
+ *
+ * @param {string} source The markup.
+ * @param {number} start The offset of the "<".
+ * @param {number} end The offset to stop looking at.
+ * @param {MarkupText} prose The prose to add to.
+ * @returns {number} The length of the HTML, or 0 if there isn't any HTML there.
+ */
+
+function skipHTML(source: string, start: number, end: number, prose: MarkupText): number {
+	let skipTo = -1;
+
+	if (source.substring(start, start + 4) === "<!--") {
+		skipTo = source.indexOf("-->", start + 4);
+		skipTo = (skipTo === -1 || skipTo + 3 > end) ? end : skipTo + 3;
+	}
+	else if (/^<[!?][A-Za-z\[]/.test(source.substring(start, start + 3))) {
+		// <!DOCTYPE html>, <![CDATA[...]]>, <?xml ...?>, etc.
+		skipTo = source.indexOf(">", start);
+		skipTo = (skipTo === -1 || skipTo + 1 > end) ? end : skipTo + 1;
+	}
+
+	if (skipTo !== -1) {
+		prose.separate(start, skipTo);
+
+		return skipTo - start;
+	}
+
+	const tag = parseTag(source, start, end);
+
+	if (!tag) {
+		return 0;
+	}
+
+	if (!tag.closing && !tag.selfClosing && NON_PROSE_ELEMENTS.indexOf(tag.name) !== -1) {
+		const closingTag = new RegExp("</" + tag.name + "(?=[\\s/>])", "ig");
+
+		closingTag.lastIndex = tag.end;
+
+		const match = closingTag.exec(source);
+
+		skipTo = (match && match.index < end) ? source.indexOf(">", match.index) + 1 : end;
+
+		if (skipTo === 0 || skipTo > end) {
+			skipTo = end;
+		}
+
+		prose.separate(start, skipTo);
+
+		return skipTo - start;
+	}
+
+	const inline = INLINE_ELEMENTS.indexOf(tag.name) !== -1;
+
+	if (!inline) {
+		prose.separate(start, tag.end);
+	}
+
+	for (let i = 0, _len = tag.attributes.length; i < _len; i++) {
+		const attribute = tag.attributes[i];
+
+		if (PROSE_ATTRIBUTES.indexOf(attribute.name) !== -1) {
+			prose.separate(start, attribute.start);
+			addDecodedText(source, attribute.start, attribute.end, false, prose);
+			prose.separate(attribute.end, tag.end);
+		}
+	}
+
+	return tag.end - start;
+}
+
+/**
+ * Finds the ">" that closes the "<" at an offset in some Markdown, as in autolinks and link
+ * destinations, which can't contain another "<" or a line break.
+ *
+ * @param {string} source The markup.
+ * @param {number} start The offset of the "<".
+ * @param {number} end The offset to stop looking at.
+ * @returns {number} The offset after the ">", or -1 if there isn't one.
+ */
+
+function angleBracketEnd(source: string, start: number, end: number): number {
+	for (let i = start + 1; i < end; i++) {
+		const character = source.charAt(i);
+
+		if (character === ">") {
+			return i + 1;
+		}
+		else if (character === "<" || character === "\n") {
+			break;
+		}
+	}
+
+	return -1;
+}
+
+/**
+ * Handles the Markdown link destination (and optional title) after a link's text, as in
+ * [text](http://example.com "Title"), or the reference label, as in [text][label]. The title is
+ * prose, and the rest is skipped.
+ *
+ * @param {string} source The markup.
+ * @param {number} start The offset of the "]" at the end of the link's text.
+ * @param {number} end The offset of the end of the paragraph.
+ * @param {MarkupText} prose The prose to add to.
+ * @returns {number} The length of the markup, or 0 if there isn't a link destination there.
+ */
+
+function skipLinkDestination(source: string, start: number, end: number, prose: MarkupText): number {
+	if (source.charAt(start + 1) === "[") {
+		const labelEnd = source.indexOf("]", start + 2);
+
+		if (labelEnd === -1 || labelEnd >= end) {
+			return 0;
+		}
+
+		prose.separate(start, labelEnd + 1);
+
+		return labelEnd + 1 - start;
+	}
+
+	if (source.charAt(start + 1) !== "(") {
+		return 0;
+	}
+
+	let i = start + 2;
+
+	while (i < end && /\s/.test(source.charAt(i))) {
+		i++;
+	}
+
+	if (source.charAt(i) === "<") {
+		const destinationEnd = angleBracketEnd(source, i, end);
+
+		if (destinationEnd === -1) {
+			return 0;
+		}
+
+		i = destinationEnd;
+	}
+	else {
+		// Destinations can contain balanced parentheses.
+		let depth = 0;
+
+		for (; i < end; i++) {
+			const character = source.charAt(i);
+
+			if (/\s/.test(character)) {
+				break;
+			}
+			else if (character === "\\") {
+				i++;
+			}
+			else if (character === "(") {
+				depth++;
+			}
+			else if (character === ")") {
+				if (depth === 0) {
+					break;
+				}
+
+				depth--;
+			}
+		}
+	}
+
+	while (i < end && /\s/.test(source.charAt(i))) {
+		i++;
+	}
+
+	let titleStart = -1;
+	let titleEnd = -1;
+
+	const opener = source.charAt(i);
+
+	if (opener === "\"" || opener === "'" || opener === "(") {
+		const closer = (opener === "(") ? ")" : opener;
+
+		titleStart = i + 1;
+		titleEnd = titleStart;
+
+		// Titles in parentheses can't contain another "(".
+		while (titleEnd < end && source.charAt(titleEnd) !== closer && !(opener === "(" && source.charAt(titleEnd) === "(")) {
+			titleEnd++;
+		}
+
+		if (titleEnd >= end || source.charAt(titleEnd) !== closer) {
+			return 0;
+		}
+
+		i = titleEnd + 1;
+
+		while (i < end && /\s/.test(source.charAt(i))) {
+			i++;
+		}
+	}
+
+	if (source.charAt(i) !== ")") {
+		return 0;
+	}
+
+	if (titleStart === -1) {
+		prose.separate(start, i + 1);
+	}
+	else {
+		prose.separate(start, titleStart);
+		addDecodedText(source, titleStart, titleEnd, true, prose);
+		prose.separate(titleEnd, i + 1);
+	}
+
+	return i + 1 - start;
+}
+
+/**
+ * Handles the Markdown code span (like `code`) at an offset in some markup. The code is skipped.
+ *
+ * @param {string} source The markup.
+ * @param {number} start The offset of the first backtick.
+ * @param {number} end The offset of the end of the paragraph, since code spans don't continue past it.
+ * @param {MarkupText} prose The prose to add to.
+ * @returns {number} The length of the code span, or of the backticks if they don't start one.
+ */
+
+function skipCodeSpan(source: string, start: number, end: number, prose: MarkupText): number {
+	let length = 1;
+
+	while (source.charAt(start + length) === "`") {
+		length++;
+	}
+
+	const backticks = source.substring(start, start + length);
+
+	let i = start + length;
+
+	// Code spans end at the same number of backticks.
+	while (true) {
+		const closing = source.indexOf(backticks, i);
+
+		if (closing === -1 || closing + length > end) {
+			// A backtick that doesn't start a code span is just a backtick.
+			prose.copy(source, start, start + length);
+
+			return length;
+		}
+
+		let closingLength = length;
+
+		while (source.charAt(closing + closingLength) === "`") {
+			closingLength++;
+		}
+
+		if (closingLength === length) {
+			prose.separate(start, closing + length);
+
+			return closing + length - start;
+		}
+
+		i = closing + closingLength;
+	}
+}
+
+/**
+ * Returns the length of the Markdown emphasis delimiters (like "*" or "__") at an offset in some
+ * markup. They don't separate the text on either side of them, like inline HTML elements, so that
+ * e.g. "un*like*ly" is one word. Underscores inside a word (as in snake_case) aren't emphasis.
+ *
+ * @param {string} source The markup.
+ * @param {number} start The offset of the first delimiter.
+ * @param {number} end The offset to stop looking at.
+ * @returns {number} The length of the delimiters, or 0 if they aren't emphasis.
+ */
+
+function emphasisLength(source: string, start: number, end: number): number {
+	const character = source.charAt(start);
+
+	let length = 1;
+
+	while (start + length < end && source.charAt(start + length) === character) {
+		length++;
+	}
+
+	if (character === "_" && /[A-Za-z0-9]/.test(source.charAt(start - 1)) && /[A-Za-z0-9]/.test(source.charAt(start + length))) {
+		return 0;
+	}
+
+	return length;
+}
+
+/**
+ * Adds the prose in part of some HTML or Markdown (apart from Markdown's code blocks, which are
+ * handled by parseMarkdown()).
+ *
+ * @param {string} source The markup.
+ * @param {number} start The offset to start at.
+ * @param {number} end The offset to stop at.
+ * @param {boolean} markdown Whether the markup is Markdown, rather than HTML.
+ * @param {MarkupText} prose The prose to add to.
+ */
+
+function addProse(source: string, start: number, end: number, markdown: boolean, prose: MarkupText): void {
+	let copied = start;
+
+	// The end of the current Markdown paragraph, which code spans and links don't continue past. It's
+	// only looked for again once it has been passed, so each paragraph is only searched once.
+	const blankLine = /\n[ \t>]*\n/g;
+	let paragraphEnd = -1;
+
+	for (let i = start; i < end;) {
+		const character = source.charAt(i);
+
+		if (character !== "<" && character !== "&" && !(markdown && (character === "`" || character === "\\" || character === "]" || character === "*" || character === "_"))) {
+			i++;
+			continue;
+		}
+
+		prose.copy(source, copied, i);
+
+		if (markdown && paragraphEnd < i) {
+			blankLine.lastIndex = i;
+
+			const blankLineMatch = blankLine.exec(source);
+
+			paragraphEnd = (blankLineMatch && blankLineMatch.index < end) ? blankLineMatch.index : end;
+		}
+
+		let length = 0;
+
+		if (character === "&") {
+			const reference = characterReference(source, i);
+
+			if (reference) {
+				prose.add(reference.text, i, i + reference.length);
+				length = reference.length;
+			}
+		}
+		else if (character === "\\") {
+			if (/[!-\/:-@\[-`{-~]/.test(source.charAt(i + 1))) {
+				prose.add(source.charAt(i + 1), i, i + 2);
+				length = 2;
+			}
+		}
+		else if (character === "`") {
+			length = skipCodeSpan(source, i, paragraphEnd, prose);
+		}
+		else if (character === "]") {
+			length = skipLinkDestination(source, i, paragraphEnd, prose);
+		}
+		else if (character === "*" || character === "_") {
+			length = emphasisLength(source, i, end);
+		}
+		else {
+			// Markdown autolinks, like <http://example.com> and <someone@example.com>.
+			const autolinkEnd = markdown ? angleBracketEnd(source, i, end) : -1;
+
+			if (autolinkEnd !== -1 && /^<(?:[A-Za-z][A-Za-z0-9+.-]{1,31}:[^\s<>]*|[^\s<>@]+@[^\s<>]+)>$/.test(source.substring(i, autolinkEnd))) {
+				prose.separate(i, autolinkEnd);
+				length = autolinkEnd - i;
+			}
+			else {
+				length = skipHTML(source, i, end, prose);
+			}
+		}
+
+		if (length) {
+			i += length;
+			copied = i;
+		}
+		else {
+			copied = i;
+			i++;
+		}
+	}
+
+	prose.copy(source, copied, end);
+}
+
+/**
+ * Finds the prose in some Markdown. Code blocks (fenced and indented), code spans, link
+ * destinations, autolinks, and HTML tags are skipped; link titles, image descriptions, and HTML
+ * alt and title attributes are prose.
+ *
+ * @param {string} source The Markdown.
+ * @returns {MarkupText} The prose.
+ */
+
+function parseMarkdown(source: string): MarkupText {
+	let prose = new MarkupText();
+
+	// The offset of the first character that hasn't been added to the prose yet.
+	let proseStart = 0;
+
+	// Adds the prose up to some markup that isn't prose, and skips the markup.
+	function skip(start: number, end: number): void {
+		addProse(source, proseStart, start, true, prose);
+		prose.separate(start, end);
+		proseStart = end;
+	}
+
+	// The fence that opened the fenced code block that the current line is in, like "```".
+	let fence: string | null = null;
+	let inIndentedCode = false;
+	let codeStart = -1;
+
+	let inList = false;
+	let previousLineBlank = true;
+
+	for (let lineStart = 0, _len = source.length; lineStart < _len;) {
+		let lineEnd = source.indexOf("\n", lineStart);
+
+		if (lineEnd === -1) {
+			lineEnd = _len;
+		}
+
+		// Block quote markers are removed, since code blocks can be in block quotes.
+		const line = source.substring(lineStart, lineEnd).replace(/^(?: {0,3}>[ ]?)+/, "");
+		const blank = /^\s*$/.test(line);
+		const indented = /^(?: {4}| {0,3}\t)/.test(line);
+
+		if (fence) {
+			const closingFence = /^\s*(`{3,}|~{3,})\s*$/.exec(line);
+
+			if (closingFence && closingFence[1].charAt(0) === fence.charAt(0) && closingFence[1].length >= fence.length) {
+				skip(codeStart, lineEnd);
+				fence = null;
+			}
+		}
+		else if (inIndentedCode && (blank || indented)) {
+			// Blank lines in indented code blocks are part of them.
+		}
+		else {
+			if (inIndentedCode) {
+				skip(codeStart, lineStart);
+				inIndentedCode = false;
+			}
+
+			const openingFence = /^\s*(`{3,}|~{3,})(.*)$/.exec(line);
+
+			// Link reference definitions, like [label]: http://example.com "Title"
+			const definition = /^( {0,3}\[[^\]]+\]:\s*(?:<[^>]*>|\S+)\s+)(?:(["'(])(.*)["')])?\s*$/.exec(line + " ");
+
+			if (indented && !blank && previousLineBlank && !inList) {
+				inIndentedCode = true;
+				codeStart = lineStart;
+			}
+			else if (openingFence && !(openingFence[1].charAt(0) === "`" && openingFence[2].indexOf("`") !== -1)) {
+				fence = openingFence[1];
+				codeStart = lineStart;
+			}
+			else if (definition) {
+				if (definition[3] === undefined) {
+					skip(lineStart, lineEnd);
+				}
+				else {
+					// The title is prose.
+					const titleStart = lineEnd - line.length + definition[1].length + 1;
+					const titleEnd = titleStart + definition[3].length;
+
+					skip(lineStart, titleStart);
+					addDecodedText(source, titleStart, titleEnd, true, prose);
+					prose.separate(titleEnd, lineEnd);
+					proseStart = lineEnd;
+				}
+			}
+			else if (/^\s*(?:[*+-]|[0-9]{1,9}[.)])(?:[ \t]|$)/.test(line)) {
+				inList = true;
+			}
+			else if (!blank && previousLineBlank && !/^\s/.test(line)) {
+				// A paragraph that isn't indented ends a list.
+				inList = false;
+			}
+		}
+
+		previousLineBlank = blank;
+		lineStart = lineEnd + 1;
+	}
+
+	if (fence || inIndentedCode) {
+		// The document ends in a code block.
+		skip(codeStart, source.length);
+	}
+	else {
+		addProse(source, proseStart, source.length, true, prose);
+	}
+
+	return prose;
+}
+
+/**
+ * Finds the prose in some markup.
+ *
+ * @param {string} source The markup.
+ * @param {string} markup The kind of markup: "html" or "markdown".
+ * @returns {MarkupText} The prose.
+ */
+
+function parseMarkup(source: string, markup: string): MarkupText {
+	if (markup === "markdown") {
+		return parseMarkdown(source);
+	}
+
+	if (markup !== "html") {
+		throw new TypoError("Unknown markup: " + markup);
+	}
+
+	let prose = new MarkupText();
+
+	addProse(source, 0, source.length, false, prose);
+
+	return prose;
+}
+
+/**
+ * Finds the misspelled words in some text. Words without any letters (e.g., numbers) aren't checked,
+ * and neither are the words that the options say to ignore.
+ *
+ * @param {Typo|Typo.Composite} dictionary The dictionary to check the words with.
+ * @param {string} text The text.
+ * @param {Object} [options] The options passed to checkText().
+ * @returns {Object[]} The misspelled words.
+ */
+
+function checkText(dictionary: any, text: string, options?: CheckTextOptions): Misspelling[] {
+	options = options || {};
+
+	let prose: MarkupText | null = null;
+	let ignore = options.ignore || [];
+
+	if (options.markup) {
+		// Only the prose is checked, and URLs in it are skipped too.
+		prose = parseMarkup(text, options.markup);
+		text = prose.text;
+		ignore = ignore.concat([ "urls" ]);
+	}
+
+	// In code mode, words can be joined by underscores too, since they're split up again later.
+	const tokens = tokenize(text, dictionary._wordJoiners() + (options.code ? "_" : ""));
+	const ignored = ignoredRanges(text, ignore);
+
+	let abbreviations: HashMap = {};
+
+	if (options.code) {
+		CODE_ABBREVIATIONS.concat(options.abbreviations || []).forEach(function (abbreviation: string): void {
+			abbreviations[abbreviation.toLowerCase()] = true;
+		});
+	}
+
+	let misspellings: Misspelling[] = [];
+
+	// The ranges and the tokens are both in order, so this is the first range that could overlap the next token.
+	let rangeIndex = 0;
+
+	for (let i = 0, _len = tokens.length; i < _len; i++) {
+		const token: Misspelling = tokens[i];
+
+		while (rangeIndex < ignored.length && ignored[rangeIndex][1] <= token.start) {
+			rangeIndex++;
+		}
+
+		if (rangeIndex < ignored.length && ignored[rangeIndex][0] < token.end) {
+			continue;
+		}
+
+		if (!hasLetter(token.word)) {
+			continue;
+		}
+
+		if (options.ignoreUppercase && token.word === token.word.toUpperCase()) {
+			continue;
+		}
+
+		if (options.ignoreDigits && hasDigit(token.word)) {
+			continue;
+		}
+
+		if (dictionary.check(token.word)) {
+			continue;
+		}
+
+		if (options.code) {
+			// Words that are in the dictionary (like "co-op") aren't split up.
+			const parts = splitIdentifier(token);
+
+			const misspelledParts = parts.filter(function (part: TextToken): boolean {
+				return hasLetter(part.word) && !abbreviations.hasOwnProperty(part.word.toLowerCase()) && !dictionary.check(part.word);
+			});
+
+			if (misspelledParts.length === 0) {
+				continue;
+			}
+
+			token.parts = misspelledParts;
+
+			// Words that aren't split up get the same suggestions as they would in other text.
+			if (parts.length > 1 && options.suggestions) {
+				token.suggestions = suggestIdentifiers(dictionary, token, misspelledParts, (typeof options.suggestions === "number") ? options.suggestions : undefined);
+			}
+		}
+
+		if (options.suggestions && !token.suggestions) {
+			token.suggestions = dictionary.suggest(token.word, (typeof options.suggestions === "number") ? options.suggestions : undefined);
+		}
+
+		if (prose) {
+			prose.locate(token);
+
+			if (token.parts) {
+				token.parts.forEach(function (part: TextToken): void {
+					(prose as MarkupText).locate(part);
+				});
+			}
+		}
+
+		misspellings.push(token);
+	}
+
+	return misspellings;
+}
+
+/**
+ * Typo constructor.
+ *
+ * @param {string} [dictionary] The locale code of the dictionary being used. e.g.,
+ *                              "en_US". This is only used to auto-load dictionaries.
+ * @param {string} [affData]    The data from the dictionary's .aff file. If omitted
+ *                              and Typo.js is being used in a Chrome extension, the .aff
+ *                              file will be loaded automatically from
+ *                              lib/typo/dictionaries/[dictionary]/[dictionary].aff
+ *                              In other environments, it will be loaded from
+ *                              [settings.dictionaryPath]/dictionaries/[dictionary]/[dictionary].aff
+ * @param {string} [wordsData]  The data from the dictionary's .dic file. If omitted
+ *                              and Typo.js is being used in a Chrome extension, the .dic
+ *                              file will be loaded automatically from
+ *                              lib/typo/dictionaries/[dictionary]/[dictionary].dic
+ *                              In other environments, it will be loaded from
+ *                              [settings.dictionaryPath]/dictionaries/[dictionary]/[dictionary].dic
+ *                              Either file's data can also be passed as a Uint8Array or ArrayBuffer of
+ *                              raw bytes, which will be decoded using the .aff file's SET directive.
+ * @param {Object} [settings]   Constructor settings. Available properties are:
+ *                              {string} [dictionaryPath]: path to load dictionary from in non-chrome
+ *                              environment.
+ *                              {Object} [loader]: How the dictionary files are read, e.g.,
+ *                              Typo.loaders.fetch(). An object with a read(path, async) method that
+ *                              returns the file's bytes as a Uint8Array (or a promise for them), and
+ *                              optionally a resolve(path) method that turns the path of a file into
+ *                              the path to read and a default dictionaryPath. If omitted, the loader
+ *                              for the environment is used: Typo.loaders.extension() in browser
+ *                              extensions, Typo.loaders.xhr() in other browsers, and
+ *                              Typo.loaders.fs() in Node.js.
+ *                              {Object} [flags]: flag information.
+ *                              {boolean} [asyncLoad]: If true, affData and wordsData will be loaded
+ *                              asynchronously.
+ *                              {Function} [loadedCallback]: Called when both affData and wordsData
+ *                              have been loaded. Only used if asyncLoad is set to true. The parameter
+ *                              is the instantiated Typo object.
+ *                              {Function} [errorCallback]: Called instead of loadedCallback if either
+ *                              file can't be loaded or parsed. Only used if asyncLoad is set to true.
+ *                              The parameter is a Typo.TypoError (e.g., a Typo.FileNotFoundError).
+ *                              The error is also saved as the loadError property, and it's thrown
+ *                              (instead of a Typo.NotLoadedError) by check(), suggest(), and the
+ *                              other methods that need the dictionary.
+ *                              When asyncLoad isn't set, these errors are thrown by the constructor.
+ *                              {boolean} [lazyAffixes]: If true, the affixed forms of words aren't
+ *                              generated when the dictionary is loaded. They're found by stripping
+ *                              affixes when a word is looked up instead, which makes lookups slower.
+ *                              For dictionaries whose words have many affixed forms (like French),
+ *                              loading is much faster and takes less than half as much memory, but
+ *                              for ones like English it isn't faster and takes more memory. Every
+ *                              affixed form is still hashed when the dictionary is loaded (taking
+ *                              four bytes each), so that suggest() can rule out misspellings quickly.
+ *                              {boolean} [wordCount=true]: Whether the first line of the .dic file is
+ *                              the number of words in it. Set to false for .dic files that leave it
+ *                              out, so that their first line is read as a word.
+ *                              {number} [cacheSize=1000]: The number of misspelled words whose
+ *                              suggestions are cached. Once the cache is full, the words that were
+ *                              looked up least recently are forgotten first. 0 turns off caching.
+ *
+ * @returns {Typo} A Typo object.
+ */
+
+Typo = function (dictionary?: string, affData?: string|Uint8Array|ArrayBuffer|boolean|null, wordsData?: string|Uint8Array|ArrayBuffer|boolean|null, settings?: TypoSettings) {
+	settings = settings || {} as TypoSettings;
+
+	this.dictionary = null;
+
+	this.rules = {};
+	this.dictionaryTable = {};
+
+	// The words from the .dic file, with their flags and morphological fields. Unless affixes are
+	// removed at lookup time, they're only needed by the methods that look at how words are formed
+	// (and by those that add and remove words), so the .dic file is kept until _roots() needs them.
+	this.rootTable = {};
+	this.unparsedRoots = null;
+
+	// Built on demand by _affixIndex().
+	this.affixIndex = null;
+
+	// Built by _hashForms() when the dictionary is loaded, if affixes are removed at lookup time.
+	this.formHashes = null;
+
+	this.lazyAffixes = !!settings.lazyAffixes;
+
+	this.wordCount = (settings.wordCount !== false);
+
+	// How dictionary files are read. If not set, the default loader for the environment is used.
+	this.loader = settings.loader || null;
+
+	// The COMPOUNDRULE patterns, and the regular expressions built from them by _buildCompoundRules().
+	this.compoundRuleTexts = [];
+	this.compoundRules = [];
+	this.compoundRuleCodes = {};
+	this.compoundParts = {};
+	this.compoundPatterns = [];
+	this.hasCompoundParts = false;
+
+	this.replacementTable = [];
+
+	this.mapTable = [];
+
+	// The rows (and any other groups of neighboring keys) of the keyboard, as defined by the KEY
+	// directive. Hunspell assumes a QWERTY keyboard if there is no KEY.
+	this.keyboard = [ "qwertyuiop", "asdfghjkl", "zxcvbnm" ];
+
+	// The row and column of each key, built from the keyboard by _keyDistance().
+	this.keyPositions = null;
+
+	// Without a BREAK directive, Hunspell breaks words at hyphens.
+	this.breakTable = [ "-", "^-", "-$" ];
+
+	this.inputConversionTable = [];
+	this.outputConversionTable = [];
+	this.conversionExpressions = {};
+
+	// Flag sets and morphological descriptions can be abbreviated as the (1-based) number
+	// of an AF or AM alias.
+	this.flagAliases = [];
+	this.morphAliases = [];
+
+	this.flags = settings.flags || {};
+
+	this.suggestionCache = new SuggestionCache(settings.cacheSize);
+
+	// How many times words have been added or removed, so that composite dictionaries know when
+	// their cached suggestions are out of date.
+	this.revision = 0;
+
+	this.loaded = false;
+
+	// The error that kept the dictionary from loading asynchronously, which is thrown by the
+	// methods that need the dictionary.
+	this.loadError = null;
+
+	const self = this;
+
+	let path;
+
+	// Loop-control variables.
+	let i, j, _len, _jlen;
+
+	if (dictionary) {
+		self.dictionary = dictionary;
+
+		// If the data is preloaded, just setup the Typo object.
+		if (affData && wordsData) {
+			finishLoading();
+		}
+		// Loading data with the loader from the settings, or the one for this environment.
+		else {
+			const loader: TypoLoader = self._loader();
+
+			if (settings.dictionaryPath) {
+				path = settings.dictionaryPath;
+			}
+			else if (loader.dictionaryPath) {
+				path = loader.dictionaryPath;
+			}
+			else if (typeof __dirname !== 'undefined') {
+				path = __dirname + '/dictionaries';
+			}
+			else {
+				path = './dictionaries';
+			}
+
+			const resolve = function (file: string): string {
+				return loader.resolve ? loader.resolve(file) : file;
+			};
+
+			if (!affData) readDataFile(resolve(path + "/" + dictionary + "/" + dictionary + ".aff"), setAffData);
+			if (!wordsData) readDataFile(resolve(path + "/" + dictionary + "/" + dictionary + ".dic"), setWordsData);
+		}
+	}
+
+	// The files are read as raw bytes, since the encoding of both of them is declared by
+	// the SET directive in the .aff file, which can't be read until the file is loaded.
+	function readDataFile(url: string, setFunc: Function): void {
+		if (settings?.asyncLoad) {
+			// Errors thrown while starting to read the file are reported the same way as the
+			// errors that happen while reading it.
+			Promise.resolve().then(function(): Uint8Array | Promise<Uint8Array> {
+				return self._readBinaryFile(url, true);
+			}).catch(function(error: Error): Promise<Uint8Array> {
+				if (!isMissingFile(error)) {
+					throw error;
+				}
+
+				return Promise.resolve().then(function(): Uint8Array | Promise<Uint8Array> {
+					return self._readBinaryFile(url + ".gz", true);
+				}).catch(function(): never {
+					throw error;
+				});
+			}).then(function(data: Uint8Array): void {
+				setFunc(data);
+			}, fail).catch(function(error: Error): void {
+				// Errors thrown by loadedCallback or errorCallback are rethrown outside of the promise,
+				// like errors in any other callback, instead of becoming unhandled rejections.
+				setTimeout(function(): never {
+					throw error;
+				}, 0);
+			});
+		}
+		else {
+			let response;
+
+			try {
+				response = self._readBinaryFile(url, false);
+			} catch (error) {
+				if (!isMissingFile(error)) {
+					throw error;
+				}
+
+				try {
+					response = self._readBinaryFile(url + ".gz", false);
+				} catch (e) {
+					throw error;
+				}
+			}
+
+			if (response && typeof response.then === 'function') {
+				throw new TypoError("The loader can only read files asynchronously. Use Typo.load() or the asyncLoad setting.");
+			}
+
+			setFunc(response);
+		}
+	}
+
+	// A dictionary's files can also be gzipped (e.g., en_US.aff.gz), so those are tried if the
+	// files don't exist. (Browsers don't say why a file in an extension couldn't be read.)
+	function isMissingFile(error: Error): boolean {
+		return (error instanceof FileNotFoundError) || (error instanceof HTTPError && (error.status === 404 || error.status === 0));
+	}
+
+	// Only the first error is reported, since the other file isn't going to be used.
+	let failed = false;
+
+	function fail(error: Error): void {
+		if (failed) {
+			return;
+		}
+
+		failed = true;
+
+		// Throwing the error would only reject a promise that nothing is waiting for, so it's kept
+		// until the dictionary is used.
+		self.loadError = error;
+
+		if (settings?.errorCallback) {
+			settings.errorCallback(error);
+		}
+	}
+
+	function setAffData(data: Uint8Array): void {
+		affData = data;
+
+		if (wordsData) {
+			finishLoading();
+		}
+	}
+
+	function setWordsData(data: Uint8Array): void {
+		wordsData = data;
+
+		if (affData) {
+			finishLoading();
+		}
+	}
+
+	// When loading asynchronously, errors from parsing the files are reported to errorCallback,
+	// but errors thrown by loadedCallback aren't, since they have nothing to do with loading.
+	function finishLoading(): void {
+		if (!settings?.asyncLoad) {
+			setup();
+			return;
+		}
+
+		try {
+			setup();
+		} catch (error) {
+			fail(error as Error);
+			return;
+		}
+
+		if (settings.loadedCallback) {
+			settings.loadedCallback(self);
+		}
+	}
+
+	function setup(): void {
+		if (affData instanceof ArrayBuffer) {
+			affData = new Uint8Array(affData);
+		}
+
+		if (wordsData instanceof ArrayBuffer) {
+			wordsData = new Uint8Array(wordsData);
+		}
+
+		if (affData instanceof Uint8Array) {
+			affData = decompress(affData);
+		}
+
+		if (wordsData instanceof Uint8Array) {
+			wordsData = decompress(wordsData);
+		}
+
+		if (typeof affData !== "string") {
+			affData = self._decode(affData, self._detectCharset(affData));
+		}
+
+		if (typeof wordsData !== "string") {
+			wordsData = self._decode(wordsData, self._detectCharset(affData));
+		}
+
+		self.rules = self._parseAFF(affData);
+
+		// Save the rule codes that are used in compound rules.
+		self.compoundRuleCodes = {};
+
+		for (i = 0, _len = self.compoundRuleTexts.length; i < _len; i++) {
+			const rule = self.compoundRuleTexts[i];
+
+			for (j = 0, _jlen = rule.length; j < _jlen; j++) {
+				self.compoundRuleCodes[rule[j]] = [];
+			}
+		}
+
+		// If we add this ONLYINCOMPOUND flag to self.compoundRuleCodes, then _parseDIC
+		// will do the work of saving the list of words that are compound-only.
+		if ("ONLYINCOMPOUND" in self.flags) {
+			self.compoundRuleCodes[self.flags.ONLYINCOMPOUND] = [];
+		}
+
+		self.dictionaryTable = self._parseDIC(wordsData);
+
+		self._buildCompoundRules();
+
+		self.loaded = true;
+	}
+
+	return this;
+};
+
+Typo.prototype = {
+	/**
+	 * Loads a Typo instance from a hash of all of the Typo properties.
+	 *
+	 * @param {object} obj A hash of Typo properties, probably gotten from a JSON.parse(JSON.stringify(typo_instance)).
+	 *
+	 * Regular expressions don't survive being converted to JSON, so an instance loaded this way can't
+	 * check affixed or compound words correctly. Use serialize() and Typo.deserialize() instead.
+	 */
+
+	load : function (obj: HashMap) {
+		for (let i in obj) {
+			// The suggestion cache doesn't survive being converted to JSON.
+			if (obj.hasOwnProperty(i) && i !== "suggestionCache") {
+				this[i] = obj[i];
+			}
+		}
+
+		this.suggestionCache.clear();
+		this.revision++;
+
+		// Nor do the hashes of the generated words, so words are looked up without them.
+		this.formHashes = null;
+
+		return this;
+	},
+
+	/**
+	 * Serializes the loaded dictionary, so that it can be restored with Typo.deserialize() without
+	 * parsing the .aff and .dic files again.
+	 *
+	 * Words are stored as newline-separated string tables, and every distinct set of flags (and
+	 * morphological fields) is stored once and referred to by its index.
+	 *
+	 * @returns {string} The serialized dictionary.
+	 */
+
+	serialize : function (): string {
+		if (!this.loaded) {
+			throw this.loadError || new NotLoadedError();
+		}
+
+		let flagSets: string[][] = [];
+		let flagSetIndexes: HashMap = {};
+
+		// Flags can be more than one character long, so the key is the JSON of the array.
+		function flagSetIndex(flags: string[]): number {
+			const key = JSON.stringify(flags);
+
+			if (!flagSetIndexes.hasOwnProperty(key)) {
+				flagSetIndexes[key] = flagSets.length;
+				flagSets.push(flags);
+			}
+
+			return flagSetIndexes[key];
+		}
+
+		let morphologySets: string[][] = [];
+		let morphologySetIndexes: HashMap = {};
+
+		// 0 means that there are no morphological fields.
+		function morphologySetIndex(morphology?: string[]): number {
+			if (!morphology) {
+				return 0;
+			}
+
+			const key = JSON.stringify(morphology);
+
+			if (!morphologySetIndexes.hasOwnProperty(key)) {
+				morphologySets.push(morphology);
+				morphologySetIndexes[key] = morphologySets.length;
+			}
+
+			return morphologySetIndexes[key];
+		}
+
+		let rules: any[] = [];
+
+		for (let code in this.rules) {
+			const rule: AffixRule = this.rules[code];
+
+			rules.push([
+				rule.code,
+				rule.type,
+				rule.combineable ? 1 : 0,
+				rule.entries.map(function (entry: AffixEntry): any[] {
+					return [
+						entry.add,
+						entry.continuationClasses ? flagSetIndex(entry.continuationClasses) : -1,
+						entry.match ? entry.match.source : null,
+						entry.strip || null,
+						morphologySetIndex(entry.morphology)
+					];
+				})
+			]);
+		}
+
+		// A word whose value is null is stored as -1, a word with one set of flags as the set's index,
+		// and any other word as an array of indexes.
+		let words: string[] = [];
+		let wordValues: (number | number[])[] = [];
+
+		for (let word in this.dictionaryTable) {
+			const value: string[][] | null = this.dictionaryTable[word];
+
+			words.push(word);
+
+			if (value === null) {
+				wordValues.push(-1);
+			}
+			else if (value.length === 1) {
+				wordValues.push(flagSetIndex(value[0]));
+			}
+			else {
+				wordValues.push(value.map(flagSetIndex));
+			}
+		}
+
+		// If the roots haven't been needed yet, they're only built for as long as this takes.
+		const rootTable: HashMap = (this.unparsedRoots !== null) ? this._parseRoots(this.unparsedRoots) : this.rootTable;
+
+		// A root with one entry and no morphological fields is stored as the index of its flags, and
+		// any other root as an array of flag and morphology index pairs.
+		let roots: string[] = [];
+		let rootValues: (number | number[])[] = [];
+
+		for (let root in rootTable) {
+			const entries: RootEntry[] = rootTable[root];
+
+			roots.push(root);
+
+			if (entries.length === 1 && !entries[0].morphology) {
+				rootValues.push(flagSetIndex(entries[0].flags));
+			}
+			else {
+				let value: number[] = [];
+
+				for (let i = 0, _len = entries.length; i < _len; i++) {
+					value.push(flagSetIndex(entries[i].flags), morphologySetIndex(entries[i].morphology));
+				}
+
+				rootValues.push(value);
+			}
+		}
+
+		// Each compound part is stored as the index of its flags followed by whether it was
+		// prefixed (1) and/or suffixed (2).
+		let compoundParts: string[] = [];
+		let compoundPartValues: number[][] = [];
+
+		for (let part in this.compoundParts) {
+			const entries: CompoundPart[] = this.compoundParts[part];
+
+			compoundParts.push(part);
+
+			let value: number[] = [];
+
+			for (let i = 0, _len = entries.length; i < _len; i++) {
+				value.push(flagSetIndex(entries[i].flags), (entries[i].prefixed ? 1 : 0) | (entries[i].suffixed ? 2 : 0));
+			}
+
+			compoundPartValues.push(value);
+		}
+
+		const data = {
+			format : "typo",
+			version : Typo.SERIALIZATION_VERSION,
+			dictionary : this.dictionary,
+			lazyAffixes : this.lazyAffixes,
+			flags : this.flags,
+			keyboard : this.keyboard,
+			replacementTable : this.replacementTable,
+			mapTable : this.mapTable,
+			breakTable : this.breakTable,
+			inputConversionTable : this.inputConversionTable,
+			outputConversionTable : this.outputConversionTable,
+			flagAliases : this.flagAliases,
+			morphAliases : this.morphAliases,
+			compoundRules : this.compoundRuleTexts,
+			compoundRuleCodes : this.compoundRuleCodes,
+			compoundPatterns : this.compoundPatterns,
+			flagSets : flagSets,
+			morphologySets : morphologySets,
+			rules : rules,
+			words : words.join("\n"),
+			wordValues : wordValues,
+			roots : roots.join("\n"),
+			rootValues : rootValues,
+			compoundParts : compoundParts.join("\n"),
+			compoundPartValues : compoundPartValues
+		};
+
+		return JSON.stringify(data);
+	},
+
+	/**
+	 * Read the contents of a file.
+	 *
+	 * @param {string} path The path (relative) to the file.
+	 * @param {string} [charset] The expected charset of the file. If not given, the charset named by the file's
+	 *        SET directive is used, or UTF-8 if it doesn't have one.
+	 * @param {boolean} async If true, a promise for the file data is returned.
+	 * @returns {string} The file data if async is false, otherwise a promise object.
+	 * @throws {Typo.FileNotFoundError|Typo.HTTPError} If the file can't be read. If async is true, the promise
+	 *         is rejected with the error instead.
+	 */
+
+	_readFile : function (path: string, charset?: string, async?: boolean): string | Promise<string> {
+		const self = this;
+
+		function decode(data: Uint8Array): string {
+			data = decompress(data);
+
+			return self._decode(data, charset || self._detectCharset(data));
+		}
+
+		const response = this._readBinaryFile(path, async);
+
+		if (async) {
+			return response.then(decode);
+		}
+
+		return decode(response);
+	},
+
+	/**
+	 * Read the raw contents of a file.
+	 *
+	 * @param {string} path The path (relative) to the file.
+	 * @param {boolean} async If true, a promise for the file data is returned.
+	 * @returns {Uint8Array} The file data if async is false, otherwise a promise object.
+	 * @throws {Typo.FileNotFoundError|Typo.HTTPError} If the file can't be read. If async is true, the promise
+	 *         is rejected with the error instead. Loaders that can only read files asynchronously throw a
+	 *         Typo.TypoError if async is false.
+	 */
+
+	_readBinaryFile : function (path: string, async?: boolean): Uint8Array | Promise<Uint8Array> {
+		return this._loader().read(path, async);
+	},
+
+	/**
+	 * Returns the loader used to read dictionary files.
+	 *
+	 * @returns {Object} The loader from the settings, or the default loader for the environment.
+	 */
+
+	_loader : function (): TypoLoader {
+		return this.loader || defaultLoader();
+	},
+
+	/**
+	 * Find the charset named by the SET directive of an affix file.
+	 *
+	 * @param {string|Uint8Array} data The contents of the affix file.
+	 * @returns {string} The charset, or UTF-8 if there is no SET directive.
+	 */
+
+	_detectCharset : function (data: string | Uint8Array): string {
+		if (typeof data !== "string") {
+			// The directive itself is ASCII, which every supported charset agrees on.
+			data = this._decode(data, "ISO8859-1");
+		}
+
+		const match = /^[ \t]*SET[ \t]+(\S+)/m.exec(data as string);
+
+		return match ? match[1] : "UTF-8";
+	},
+
+	/**
+	 * Decode the contents of a file.
+	 *
+	 * @param {Uint8Array} data The raw file data.
+	 * @param {string} [charset="UTF-8"] The charset of the data, as named by a SET directive
+	 *        (e.g., "ISO8859-1", "KOI8-R", or "microsoft-cp1251").
+	 * @returns {string} The decoded data.
+	 * @throws {TypoError} If the environment can't decode the charset.
+	 */
+
+	_decode : function (data: Uint8Array, charset?: string): string {
+		charset = charset || "UTF-8";
+
+		let encoding = charset.toLowerCase();
+
+		if (encoding === "microsoft-cp1251") {
+			encoding = "windows-1251";
+		}
+		else if (/^iso-?8859-?[0-9]+$/.test(encoding)) {
+			encoding = "iso-8859-" + encoding.replace(/^iso-?8859-?/, "");
+		}
+
+		const utf8 = (encoding === "utf-8" || encoding === "utf8");
+
+		if (typeof TextDecoder !== 'undefined') {
+			let decoder: TextDecoder | null = null;
+
+			try {
+				decoder = new TextDecoder(encoding);
+			} catch (e) {
+				// Decoding the data some other way would load a garbled dictionary.
+				throw new TypoError("Unsupported SET encoding: " + charset);
+			}
+
+			return decoder.decode(data);
+		}
+
+		if (typeof Buffer !== 'undefined' && utf8) {
+			return Buffer.from(data.buffer, data.byteOffset, data.byteLength).toString("utf8");
+		}
+
+		if (utf8) {
+			return decodeUTF8(data);
+		}
+
+		if (encoding !== "iso-8859-1") {
+			throw new TypoError("Unsupported SET encoding: " + charset);
+		}
+
+		// Without TextDecoder, ISO8859-1 can be decoded by mapping each byte directly to a character.
+		let text = "";
+
+		for (let i = 0, _len = data.length; i < _len; i += 8192) {
+			text += String.fromCharCode.apply(null, Array.prototype.slice.call(data, i, i + 8192));
+		}
+
+		return text;
+	},
+
+	/**
+	 * Parse the rules out from a .aff file.
+	 *
+	 * @param {string} data The contents of the affix file.
+	 * @returns object The rules from the file.
+	 */
+
+	_parseAFF : function (data: string): HashMap {
+		let rules: HashMap = {};
+
+		let line, subline, numEntries, lineParts;
+		let i, j, _len, _jlen;
+
+		const lines = data.split(/\r?\n/);
+
+		// Tables (affix rules, REP, MAP, etc.) begin with a line that says how many lines follow it.
+		function tableSize(definitionParts: string[], index: number, lineIndex: number): number {
+			const size = parseInt(definitionParts[index], 10);
+
+			if (isNaN(size)) {
+				throw new ParseError("Missing or invalid number of entries for " + definitionParts[0], "aff", lineIndex + 1);
+			}
+
+			if (lineIndex + size >= lines.length) {
+				throw new ParseError("Unexpected end of file in the " + definitionParts[0] + " table", "aff", lines.length);
+			}
+
+			return size;
+		}
+
+		// Conditions match the end of the word for suffixes and the beginning for prefixes.
+		function parseCondition(text: string, ruleType: string, lineIndex: number): RegExp {
+			try {
+				return new RegExp(ruleType === "SFX" ? text + "$" : "^" + text);
+			} catch (e) {
+				throw new ParseError("Invalid condition " + text, "aff", lineIndex + 1);
+			}
+		}
+
+		for (i = 0, _len = lines.length; i < _len; i++) {
+			// Remove comment lines
+			line = this._removeAffixComments(lines[i]);
+			line = line.trim();
+
+			if ( ! line ) {
+				continue;
+			}
+
+			const definitionParts = line.split(/\s+/);
+
+			const ruleType = definitionParts[0];
+
+			if (ruleType === "PFX" || ruleType === "SFX") {
+				const ruleCode = definitionParts[1];
+				const combineable = definitionParts[2];
+				numEntries = tableSize(definitionParts, 3, i);
+
+				let entries: AffixEntry[] = [];
+
+				// Comments and blank lines in the table aren't counted as entries.
+				for (j = i + 1; entries.length < numEntries; j++) {
+					if (j >= lines.length) {
+						throw new ParseError("Unexpected end of file in the " + ruleType + " table", "aff", lines.length);
+					}
+
+					subline = this._removeAffixComments(lines[j]).trim();
+
+					if (!subline) {
+						continue;
+					}
+
+					lineParts = subline.split(/\s+/);
+
+					if (lineParts.length < 4 || lineParts[0] !== ruleType || lineParts[1] !== ruleCode) {
+						throw new ParseError("Invalid " + ruleType + " " + ruleCode + " entry", "aff", j + 1);
+					}
+
+					const charactersToRemove = lineParts[2];
+
+					const additionParts = lineParts[3].split("/");
 
 					let charactersToAdd = additionParts[0];
 					if (charactersToAdd === "0") charactersToAdd = "";
 
-					const continuationClasses = this.parseRuleCodes(additionParts[1]);
+					const continuationClasses = this._parseAliasedRuleCodes(additionParts[1]);
+
+					const regexToMatch = lineParts[4];
+
+					const morphology = this._parseMorphology(lineParts.slice(5).join(" "));
+
+					let entry: AffixEntry = {
+						add : charactersToAdd
+					};
+
+					if (continuationClasses.length > 0) entry.continuationClasses = continuationClasses;
+					if (morphology.length > 0) entry.morphology = morphology;
+
+					if (regexToMatch && regexToMatch !== ".") {
+						entry.match = parseCondition(regexToMatch, ruleType, j);
+					}
+
+					if (charactersToRemove != "0") {
+						entry.strip = charactersToRemove;
+
+						if (ruleType === "SFX") {
+							entry.remove = parseCondition(charactersToRemove, ruleType, j);
+						}
+						else {
+							entry.remove = charactersToRemove;
+						}
+					}
+
+					entries.push(entry);
+				}
+
+				rules[ruleCode] = { "code" : ruleCode, "type" : ruleType, "combineable" : (combineable === "Y"), "entries" : entries } as AffixRule;
+
+				i = j - 1;
+			}
+			else if (ruleType === "COMPOUNDRULE") {
+				numEntries = tableSize(definitionParts, 1, i);
+
+				for (j = i + 1, _jlen = i + 1 + numEntries; j < _jlen; j++) {
+					line = lines[j];
+
+					lineParts = line.split(/\s+/);
+					this.compoundRuleTexts.push(lineParts[1]);
+				}
+
+				i += numEntries;
+			}
+			else if (ruleType === "REP") {
+				lineParts = line.split(/\s+/);
+
+				if (lineParts.length === 3) {
+					this.replacementTable.push([ lineParts[1], lineParts[2] ]);
+				}
+			}
+			else if (ruleType === "CHECKCOMPOUNDPATTERN") {
+				numEntries = tableSize(definitionParts, 1, i);
+
+				for (j = i + 1, _jlen = i + 1 + numEntries; j < _jlen; j++) {
+					line = this._removeAffixComments(lines[j]).trim();
+
+					lineParts = line.split(/\s+/);
+
+					if (lineParts.length < 3) {
+						continue;
+					}
+
+					// Each side is "characters" or "characters/flag", where "0" means no characters.
+					// The optional third field is what the two sides are written as when they're joined.
+					const endParts = lineParts[1].split("/");
+					const beginParts = lineParts[2].split("/");
+
+					this.compoundPatterns.push({
+						end : (endParts[0] === "0") ? "" : endParts[0],
+						endFlag : endParts[1] ? this.parseRuleCodes(endParts[1])[0] : null,
+						begin : (beginParts[0] === "0") ? "" : beginParts[0],
+						beginFlag : beginParts[1] ? this.parseRuleCodes(beginParts[1])[0] : null,
+						replacement : (lineParts.length > 3) ? lineParts[3] : null
+					} as CompoundPattern);
+				}
+
+				i += numEntries;
+			}
+			else if (ruleType === "BREAK") {
+				numEntries = tableSize(definitionParts, 1, i);
+
+				// "BREAK 0" turns off word breaking entirely.
+				this.breakTable = [];
+
+				for (j = i + 1, _jlen = i + 1 + numEntries; j < _jlen; j++) {
+					line = this._removeAffixComments(lines[j]).trim();
+
+					lineParts = line.split(/\s+/);
+
+					if (lineParts[1]) {
+						this.breakTable.push(lineParts[1]);
+					}
+				}
+
+				i += numEntries;
+			}
+			else if (ruleType === "ICONV" || ruleType === "OCONV") {
+				numEntries = tableSize(definitionParts, 1, i);
+
+				const conversionTable = (ruleType === "ICONV") ? this.inputConversionTable : this.outputConversionTable;
+
+				for (j = i + 1, _jlen = i + 1 + numEntries; j < _jlen; j++) {
+					line = this._removeAffixComments(lines[j]).trim();
+
+					lineParts = line.split(/\s+/);
+
+					if (lineParts.length >= 3) {
+						conversionTable.push([ lineParts[1], lineParts[2] ]);
+					}
+				}
+
+				i += numEntries;
+			}
+			else if (ruleType === "KEY") {
+				if (definitionParts[1]) {
+					this.keyboard = definitionParts[1].split("|");
+					this.keyPositions = null;
+				}
+			}
+			else if (ruleType === "AF" || ruleType === "AM") {
+				numEntries = tableSize(definitionParts, 1, i);
+
+				for (j = i + 1, _jlen = i + 1 + numEntries; j < _jlen; j++) {
+					line = this._removeAffixComments(lines[j]).trim();
+
+					if (ruleType === "AF") {
+						this.flagAliases.push(line.split(/\s+/)[1] || "");
+					}
+					else {
+						this.morphAliases.push(line.replace(/^AM\s*/, ""));
+					}
+				}
+
+				i += numEntries;
+			}
+			else if (ruleType === "MAP") {
+				numEntries = tableSize(definitionParts, 1, i);
+
+				for (j = i + 1, _jlen = i + 1 + numEntries; j < _jlen; j++) {
+					line = this._removeAffixComments(lines[j]).trim();
+
+					lineParts = line.split(/\s+/);
+					this.mapTable.push(this._parseMapEntry(lineParts[1]));
+				}
+
+				i += numEntries;
+			}
+			else {
+				// ONLYINCOMPOUND
+				// COMPOUNDMIN
+				// FLAG
+				// KEEPCASE
+				// NEEDAFFIX
+
+				this.flags[ruleType] = definitionParts[1];
+			}
+		}
+
+		return rules;
+	},
+
+	/**
+	 * Splits a MAP entry into the characters it considers related. Multi-character
+	 * sequences are wrapped in parentheses, e.g. "u(ü)(ue)".
+	 *
+	 * @param {string} text The entry from the affix file.
+	 * @return {string[]} The related characters and character sequences.
+	 */
+
+	_parseMapEntry : function (text: string): string[] {
+		let equivalents: string[] = [];
+
+		if (!text) {
+			return equivalents;
+		}
+
+		const characters = Array.from(text);
+
+		for (let i = 0, _len = characters.length; i < _len; i++) {
+			if (characters[i] === "(") {
+				const end = characters.indexOf(")", i);
+
+				if (end !== -1) {
+					equivalents.push(characters.slice(i + 1, end).join(""));
+					i = end;
+					continue;
+				}
+			}
+
+			equivalents.push(characters[i]);
+		}
+
+		return equivalents;
+	},
+
+	/**
+	 * Applies the ICONV or OCONV conversion table to a word. Like Hunspell, the longest
+	 * pattern that matches at each position wins, and converted text isn't converted again.
+	 *
+	 * @param {string} word The word to convert.
+	 * @param {string} type Either "ICONV" (for input) or "OCONV" (for output).
+	 * @return {string} The converted word.
+	 */
+
+	_convert : function (word: string, type: string): string {
+		const conversionTable: string[][] = (type === "ICONV") ? this.inputConversionTable : this.outputConversionTable;
+
+		if (!conversionTable || conversionTable.length === 0) {
+			return word;
+		}
+
+		if (!(this.conversionExpressions[type] instanceof RegExp)) {
+			let patterns: string[] = [];
+
+			for (let i = 0, _len = conversionTable.length; i < _len; i++) {
+				patterns.push(conversionTable[i][0]);
+			}
+
+			// Regex alternation takes the first alternative that matches, so trying the
+			// longest patterns first gives us the longest match.
+			patterns.sort(function (a: string, b: string): number {
+				return b.length - a.length;
+			});
+
+			this.conversionExpressions[type] = new RegExp(patterns.map(function (pattern: string): string {
+				return pattern.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+			}).join("|"), "g");
+		}
+
+		return word.replace(this.conversionExpressions[type], function (match: string): string {
+			for (let i = 0, _len = conversionTable.length; i < _len; i++) {
+				if (conversionTable[i][0] === match) {
+					return conversionTable[i][1];
+				}
+			}
+
+			return match;
+		});
+	},
+
+	/**
+	 * Removes comments.
+	 *
+	 * @param {string} data A line from an affix file.
+	 * @return {string} The cleaned-up line.
+	 */
+
+	_removeAffixComments : function (line: string): string {
+		// This used to remove any string starting with '#' up to the end of the line,
+		// but some COMPOUNDRULE definitions include '#' as part of the rule.
+		// So, only remove lines that begin with a comment, optionally preceded by whitespace.
+		if ( line.match( /^\s*#/ ) ) {
+			return '';
+		}
+
+		return line;
+	},
+
+	/**
+	 * Parses the morphological fields (e.g., "po:noun is:plural") of a .dic entry or an affix.
+	 * If the affix file defines AM aliases, these can be the number of an alias instead.
+	 *
+	 * @param {string} text The fields.
+	 * @return {string[]} The fields, without any trailing comment or text that isn't a field.
+	 */
+
+	_parseMorphology : function (text: string): string[] {
+		let fields = text.trim().split(/\s+/);
+		let morphology: string[] = [];
+
+		if (fields.length === 1 && this.morphAliases.length > 0 && /^[0-9]+$/.test(fields[0])) {
+			fields = (this.morphAliases[parseInt(fields[0], 10) - 1] || "").split(/\s+/);
+		}
+
+		for (let i = 0, _len = fields.length; i < _len; i++) {
+			if (fields[i][0] === "#") {
+				break;
+			}
+
+			// Fields are a two-letter tag followed by a colon and the value.
+			if (/^[a-z]{2}:/.test(fields[i])) {
+				morphology.push(fields[i]);
+			}
+		}
+
+		return morphology;
+	},
+
+	/**
+	 * Parses the words out from the .dic file.
+	 *
+	 * @param {string} data The data from the dictionary file.
+	 * @returns HashMap The lookup table containing all of the words and
+	 *                 word forms from the dictionary.
+	 */
+
+	_parseDIC : function (data: string): HashMap {
+		data = this._removeDicComments(data);
+
+		let dictionaryTable: HashMap = {};
+
+		if (!this.lazyAffixes) {
+			this.unparsedRoots = data;
+		}
+
+		const self = this;
+
+		this._parseDicEntries(data, function (word: string, ruleCodesArray: string[], morphology: string[]): void {
+			if (self.lazyAffixes) {
+				self._addRoot(word, ruleCodesArray, morphology);
+			}
+			else {
+				self._addCompoundRuleWord(word, ruleCodesArray);
+			}
+
+			self._addForms(word, ruleCodesArray, dictionaryTable, self.compoundParts);
+		});
+
+		if (this.lazyAffixes) {
+			this._hashForms();
+		}
+
+		return dictionaryTable;
+	},
+
+	/**
+	 * Calls a function with each word in the .dic file, along with its flags and morphological fields.
+	 *
+	 * @param {string} data The data from the dictionary file, without comments.
+	 * @param {Function} callback The function.
+	 * @throws {ParseError} If the file doesn't start with the number of words (unless the wordCount
+	 *         setting is false).
+	 */
+
+	_parseDicEntries : function (data: string, callback: (word: string, ruleCodesArray: string[], morphology: string[]) => void): void {
+		const lines = data.split(/\r?\n/);
+
+		// The first line is the number of words in the dictionary (which is often only approximate),
+		// unless the wordCount setting says that the file leaves it out.
+		if (this.wordCount && !/^\s*[0-9]+/.test(lines[0])) {
+			throw new ParseError("Missing word count", "dic", 1);
+		}
+
+		for (let i = this.wordCount ? 1 : 0, _len = lines.length; i < _len; i++) {
+			const line = lines[i];
+
+			if (!line) {
+				// Ignore empty lines.
+				continue;
+			}
+
+			// The line format is one of:
+			//     word
+			//     word/flags
+			//     word/flags xx:abc yy:def
+			//     word xx:abc yy:def
+			// The morphological fields (xx:abc, yy:def) are saved separately so that they
+			// aren't included in the extracted flags.
+			const just_word_and_flags = line.replace(/\s.*$/, '');
+			const morphology = this._parseMorphology(line.substring(just_word_and_flags.length));
+
+			// just_word_and_flags is definitely one of:
+			//     word
+			//     word/flags
+			const parts = just_word_and_flags.split('/', 2);
+
+			if (parts.length > 1) {
+				callback(parts[0], this._parseAliasedRuleCodes(parts[1]), morphology);
+			}
+			else {
+				callback(parts[0].trim(), [], morphology);
+			}
+		}
+	},
+
+	/**
+	 * Returns the words from the .dic file (and any that were added later), parsing them from
+	 * the .dic file the first time they're needed.
+	 *
+	 * @returns {Object} A hash of each word to its entries' flags and morphological fields.
+	 */
+
+	_roots : function (): HashMap {
+		if (this.unparsedRoots !== null) {
+			this.rootTable = this._parseRoots(this.unparsedRoots);
+			this.unparsedRoots = null;
+		}
+
+		return this.rootTable;
+	},
+
+	/**
+	 * Builds a table of the words in a .dic file.
+	 *
+	 * @param {string} data The contents of the .dic file, without comments.
+	 * @returns {Object} A hash of each word to its entries' flags and morphological fields.
+	 */
+
+	_parseRoots : function (data: string): HashMap {
+		let rootTable: HashMap = {};
+
+		this._parseDicEntries(data, function (word: string, ruleCodesArray: string[], morphology: string[]): void {
+			addRootEntry(rootTable, word, ruleCodesArray, morphology);
+		});
+
+		return rootTable;
+	},
+
+	/**
+	 * Saves a word from the .dic file (or one that was added later) with its flags and
+	 * morphological fields.
+	 *
+	 * @param {string} word The word.
+	 * @param {string[]} ruleCodesArray Its flags.
+	 * @param {string[]} morphology Its morphological fields.
+	 */
+
+	_addRoot : function (word: string, ruleCodesArray: string[], morphology: string[]): void {
+		addRootEntry(this._roots(), word, ruleCodesArray, morphology);
+
+		// Words that are added after the dictionary is loaded need their forms added to the hashes.
+		if (this.formHashes !== null) {
+			const newWords = this._applyRules(word, ruleCodesArray);
+
+			this.formHashes = mergeHashes(this.formHashes, uniqueHashes(Uint32Array.from(newWords, hashWord)));
+		}
+
+		this._addCompoundRuleWord(word, ruleCodesArray);
+	},
+
+	/**
+	 * Saves a word for the COMPOUNDRULE patterns that use any of its flags.
+	 *
+	 * @param {string} word The word.
+	 * @param {string[]} ruleCodesArray Its flags.
+	 */
+
+	_addCompoundRuleWord : function (word: string, ruleCodesArray: string[]): void {
+		for (let i = 0, _len = ruleCodesArray.length; i < _len; i++) {
+			if (ruleCodesArray[i] in this.compoundRuleCodes) {
+				this.compoundRuleCodes[ruleCodesArray[i]].push(word);
+			}
+		}
+	},
+
+	/**
+	 * Figures out which flags and affix rules affect how the forms of words are saved. The
+	 * result only depends on the .aff file, so it's only figured out once.
+	 *
+	 * @returns {Object} The flags that let words be part of compound words, the codes of the
+	 *                   affix rules that can give words one of those flags, and the codes of the
+	 *                   affix rules that can give words the CIRCUMFIX flag.
+	 */
+
+	_formTracking : function (): { compoundFlags: string[], compoundAffixCodes: string[], circumfixAffixCodes: string[] } {
+		if (this.formTracking) {
+			return this.formTracking;
+		}
+
+		// Words that can be part of a compound word (via COMPOUNDFLAG, COMPOUNDBEGIN, etc.)
+		// are saved along with their flags and whether they were generated by a prefix or suffix.
+		const compoundFlags: string[] = [];
+
+		if (this._usesCompoundFlags()) {
+			[ "COMPOUNDFLAG", "COMPOUNDBEGIN", "COMPOUNDMIDDLE", "COMPOUNDEND" ].forEach(function (flag: string): void {
+				if (flag in this.flags) {
+					compoundFlags.push(this.flags[flag]);
+				}
+			}, this);
+		}
+
+		// Tracking how every word was generated is expensive, so figure out which affix rules can give a
+		// word one of these flags through their continuation classes, and only track words that use them.
+		const rules: HashMap = this.rules;
+
+		function affixCodesUsing(flags: string[]): string[] {
+			let codes: string[] = [];
+			let foundMore = flags.length > 0;
+
+			function isUsed(continuationClass: string): boolean {
+				return flags.indexOf(continuationClass) !== -1 || codes.indexOf(continuationClass) !== -1;
+			}
+
+			while (foundMore) {
+				foundMore = false;
+
+				for (let code in rules) {
+					if (codes.indexOf(code) !== -1) {
+						continue;
+					}
+
+					const entries: AffixEntry[] = rules[code].entries;
+
+					for (let i = 0, _len = entries.length; i < _len; i++) {
+						if ((entries[i].continuationClasses || []).some(isUsed)) {
+							codes.push(code);
+							foundMore = true;
+							break;
+						}
+					}
+				}
+			}
+
+			return codes;
+		}
+
+		this.formTracking = {
+			compoundFlags : compoundFlags,
+			compoundAffixCodes : compoundFlags.concat(affixCodesUsing(compoundFlags)),
+			circumfixAffixCodes : affixCodesUsing(("CIRCUMFIX" in this.flags) ? [ this.flags.CIRCUMFIX ] : [])
+		};
+
+		return this.formTracking;
+	},
+
+	/**
+	 * Generates the forms of a word from the .dic file (or one that was added later) and saves
+	 * them in a table of words and in a table of the words that can be part of compound words.
+	 *
+	 * @param {string} word The word.
+	 * @param {string[]} ruleCodesArray Its flags.
+	 * @param {Object} dictionaryTable The table of words.
+	 * @param {Object} compoundParts The table of words that can be part of compound words.
+	 */
+
+	_addForms : function (word: string, ruleCodesArray: string[], dictionaryTable: HashMap, compoundParts: HashMap): void {
+		const tracking = this._formTracking();
+
+		if (ruleCodesArray.length === 0) {
+			addWordForm(dictionaryTable, word, []);
+			return;
+		}
+
+		const trackCompoundParts = tracking.compoundFlags.length > 0 && usesAny(ruleCodesArray, tracking.compoundAffixCodes);
+		const trackForms = trackCompoundParts || usesAny(ruleCodesArray, tracking.circumfixAffixCodes);
+
+		if (!("NEEDAFFIX" in this.flags) || ruleCodesArray.indexOf(this.flags.NEEDAFFIX) === -1) {
+			addWordForm(dictionaryTable, word, ruleCodesArray);
+
+			if (trackCompoundParts && addCompoundPart(compoundParts, tracking.compoundFlags, word, ruleCodesArray, false, false)) {
+				this.hasCompoundParts = true;
+			}
+		}
+
+		// The affixed forms of a forbidden word are forbidden too, so flag them that way.
+		let generatedRuleCodes: string[] = [];
+
+		if ("FORBIDDENWORD" in this.flags && ruleCodesArray.indexOf(this.flags.FORBIDDENWORD) !== -1) {
+			generatedRuleCodes = [ this.flags.FORBIDDENWORD ];
+		}
+
+		// When affixes are stripped at lookup time, only the words that can be part of a compound
+		// word need to be generated now.
+		if (!this.lazyAffixes || trackCompoundParts) {
+			const newForms: AffixedForm[] | undefined = trackForms ? [] : undefined;
+			const newWords = this._applyRules(word, ruleCodesArray, newForms);
+
+			for (let j = 0, _jlen = newWords.length; j < _jlen; j++) {
+				const newWord = newWords[j];
+
+				if (!newForms) {
+					addWordForm(dictionaryTable, newWord, generatedRuleCodes);
+				}
+				else if (this._satisfiesCircumfix(newForms[j])) {
+					if (!this.lazyAffixes) {
+						addWordForm(dictionaryTable, newWord, generatedRuleCodes);
+					}
+
+					if (trackCompoundParts && addCompoundPart(compoundParts, tracking.compoundFlags, newWord, ruleCodesArray.concat(newForms[j].continuationClasses), newForms[j].prefixed, newForms[j].suffixed)) {
+						this.hasCompoundParts = true;
+					}
+				}
+			}
+		}
+	},
+
+	/**
+	 * Builds the regular expressions for the compound rules, which match the compound words
+	 * that can be made from the words with the flags in each rule.
+	 */
+
+	_buildCompoundRules : function (): void {
+		// I have a feeling (but no confirmation yet) that this method of
+		// testing for compound words is probably slow.
+		this.compoundRules = [];
+
+		for (let i = 0, _len = this.compoundRuleTexts.length; i < _len; i++) {
+			const ruleText = this.compoundRuleTexts[i];
+
+			let expressionText = "";
+
+			for (let j = 0, _jlen = ruleText.length; j < _jlen; j++) {
+				const character = ruleText[j];
+
+				// Flags that no words have are left as they are (as are special regex characters).
+				if (character in this.compoundRuleCodes && this.compoundRuleCodes[character].length > 0) {
+					expressionText += "(" + this.compoundRuleCodes[character].join("|") + ")";
+				}
+				else {
+					expressionText += character;
+				}
+			}
+
+			this.compoundRules.push(new RegExp('^' + expressionText + '$', "i"));
+		}
+	},
+
+	/**
+	 * Removes comment lines and then cleans up blank lines and trailing whitespace.
+	 *
+	 * @param {string} data The data from a .dic file.
+	 * @return {string} The cleaned-up data.
+	 */
+
+	_removeDicComments : function (data: string): string {
+		// I can't find any official documentation on it, but at least the de_DE
+		// dictionary uses tab-indented lines as comments.
+
+		// Remove comments
+		data = data.replace(/^\t.*$/mg, "");
+
+		return data;
+	},
+
+	parseRuleCodes : function (textCodes: string): string[] {
+		if (!textCodes) {
+			return [];
+		}
+		else if (!("FLAG" in this.flags)) {
+			// The flag symbols are single characters
+			return textCodes.split("");
+		}
+		else if (this.flags.FLAG === "long") {
+			// The flag symbols are two characters long.
+			let flags = [];
+
+			for (let i = 0, _len = textCodes.length; i < _len; i += 2) {
+				flags.push(textCodes.substr(i, 2));
+			}
+
+			return flags;
+		}
+		else if (this.flags.FLAG === "num") {
+			// The flag symbols are a CSV list of numbers.
+			return textCodes.split(",");
+		}
+		else if (this.flags.FLAG === "UTF-8") {
+			// The flags are single UTF-8 characters.
+			// @see https://github.com/cfinke/Typo.js/issues/57
+			return Array.from(textCodes);
+		}
+		else {
+			// It's possible that this fallback case will not work for all FLAG values,
+			// but I think it's more likely to work than not returning anything at all.
+			return textCodes.split("");
+		}
+	},
+
+	/**
+	 * Parses the flags of a .dic entry or the continuation classes of an affix. If the
+	 * affix file defines AF aliases, these are the number of an alias instead.
+	 *
+	 * @param {string} textCodes The flags or alias number.
+	 * @returns {string[]} The flags.
+	 */
+
+	_parseAliasedRuleCodes : function (textCodes: string): string[] {
+		if (textCodes && this.flagAliases.length > 0 && /^[0-9]+$/.test(textCodes)) {
+			textCodes = this.flagAliases[parseInt(textCodes, 10) - 1] || "";
+		}
+
+		return this.parseRuleCodes(textCodes);
+	},
+
+	/**
+	 * Applies all of a word's affix rules to it, including the combinations of a
+	 * prefix and a suffix allowed by the cross product setting of the rules.
+	 *
+	 * @param {string} word The base word.
+	 * @param {string[]} ruleCodes The word's flags.
+	 * @param {Object[]} [forms] If supplied, details about how each new word was generated
+	 *                           are pushed onto this array, as in _applyRule().
+	 * @returns {string[]} The new words generated by the rules.
+	 */
+
+	_applyRules : function (word: string, ruleCodes: string[], forms?: AffixedForm[]): string[] {
+		let newWords: string[] = [];
+
+		for (let i = 0, _len = ruleCodes.length; i < _len; i++) {
+			const rule = this.rules[ruleCodes[i]];
+
+			if (!rule) {
+				continue;
+			}
+
+			const ruleForms: AffixedForm[] | undefined = forms ? [] : undefined;
+			const ruleWords = this._applyRule(word, rule, ruleForms);
+
+			for (let j = 0, _jlen = ruleWords.length; j < _jlen; j++) {
+				newWords.push(ruleWords[j]);
+
+				if (forms && ruleForms) {
+					forms.push(ruleForms[j]);
+				}
+
+				if (rule.combineable) {
+					for (let k = i + 1; k < _len; k++) {
+						const combineRule = this.rules[ruleCodes[k]];
+
+						if (combineRule && combineRule.combineable && (rule.type != combineRule.type)) {
+							const combinedForms: AffixedForm[] | undefined = ruleForms ? [] : undefined;
+							const combinedWords = this._applyRule(ruleWords[j], combineRule, combinedForms);
+
+							for (let l = 0, _llen = combinedWords.length; l < _llen; l++) {
+								newWords.push(combinedWords[l]);
+
+								if (forms && ruleForms && combinedForms) {
+									forms.push(this._combineForms(ruleForms[j], combinedForms[l]));
+								}
+							}
+						}
+					}
+				}
+			}
+		}
+
+		return newWords;
+	},
+
+	/**
+	 * Applies an affix rule to a word.
+	 *
+	 * @param {string} word The base word.
+	 * @param {Object} rule The affix rule.
+	 * @param {Object[]} [forms] If supplied, details about how each new word was generated
+	 *                           (the continuation classes of its affixes and whether a prefix
+	 *                           and/or suffix was added) are pushed onto this array, in the
+	 *                           same order as the returned words.
+	 * @returns {string[]} The new words generated by the rule.
+	 */
+
+	_applyRule : function (word: string, rule: AffixRule, forms?: AffixedForm[]): string[] {
+		const entries = rule.entries;
+		let newWords: string[] = [];
+
+		for (let i = 0, _len = entries.length; i < _len; i++) {
+			const entry = entries[i];
+
+			if (!entry.match || word.match(entry.match)) {
+				let newWord = word;
+
+				if (entry.remove) {
+					newWord = newWord.replace(entry.remove, "");
+				}
+
+				if (rule.type === "SFX") {
+					newWord = newWord + entry.add;
+				}
+				else {
+					newWord = entry.add + newWord;
+				}
+
+				newWords.push(newWord);
+
+				const continuationClasses = entry.continuationClasses || [];
+
+				let form: AffixedForm | null = null;
+
+				if (forms) {
+					form = {
+						word : newWord,
+						continuationClasses : continuationClasses,
+						prefixClasses : (rule.type === "PFX") ? continuationClasses : [],
+						suffixClasses : (rule.type === "SFX") ? continuationClasses : [],
+						prefixed : rule.type === "PFX",
+						suffixed : rule.type === "SFX",
+						affixes : [ { rule : rule, entry : entry } ]
+					};
+
+					forms.push(form);
+				}
+
+				if ("continuationClasses" in entry) {
+					for (let j = 0, _jlen = entry.continuationClasses!.length; j < _jlen; j++) {
+						const continuationRule = this.rules[entry.continuationClasses![j]];
+
+						if (continuationRule) {
+							const continuationForms: AffixedForm[] | undefined = forms ? [] : undefined;
+
+							newWords = newWords.concat(this._applyRule(newWord, continuationRule, continuationForms));
+
+							if (form && forms && continuationForms) {
+								for (let k = 0, _klen = continuationForms.length; k < _klen; k++) {
+									forms.push(this._combineForms(form, continuationForms[k]));
+								}
+							}
+						}
+						/*
+						else {
+							// This shouldn't happen, but it does, at least in the de_DE dictionary.
+							// I think the author mistakenly supplied lower-case rule codes instead
+							// of upper-case.
+						}
+						*/
+					}
+				}
+			}
+		}
+
+		return newWords;
+	},
+
+	/**
+	 * Combines the details of a word generated by one affix with the details of a word
+	 * generated from it by another affix.
+	 *
+	 * @param {Object} form The details of the first word.
+	 * @param {Object} otherForm The details of the word generated from the first word.
+	 * @returns {Object} The details of the second word, including both affixes.
+	 */
+
+	_combineForms : function (form: AffixedForm, otherForm: AffixedForm): AffixedForm {
+		return {
+			word : otherForm.word,
+			continuationClasses : form.continuationClasses.concat(otherForm.continuationClasses),
+			prefixClasses : form.prefixClasses.concat(otherForm.prefixClasses),
+			suffixClasses : form.suffixClasses.concat(otherForm.suffixClasses),
+			prefixed : form.prefixed || otherForm.prefixed,
+			suffixed : form.suffixed || otherForm.suffixed,
+			affixes : form.affixes.concat(otherForm.affixes)
+		};
+	},
+
+	/**
+	 * Checks that a word generated with CIRCUMFIX affixes has them on both sides.
+	 *
+	 * @param {Object} form The details of the generated word.
+	 * @returns {boolean} False if the word has a CIRCUMFIX affix on only one side.
+	 */
+
+	_satisfiesCircumfix : function (form: AffixedForm): boolean {
+		if (!("CIRCUMFIX" in this.flags)) {
+			return true;
+		}
+
+		return (form.prefixClasses.indexOf(this.flags.CIRCUMFIX) !== -1) === (form.suffixClasses.indexOf(this.flags.CIRCUMFIX) !== -1);
+	},
+
+	/**
+	 * Looks up a word's entry in the dictionary table. If affixes are stripped at lookup time,
+	 * the entry is built from the roots that generate the word.
+	 *
+	 * @param {string} word The word.
+	 * @returns {string[][]|null|undefined} The flags of each dictionary entry that has flags, null
+	 *                                       if the word is in the dictionary without any flags, or
+	 *                                       undefined if the word isn't in the dictionary.
+	 */
+
+	_lookup : function (word: string): string[][] | null | undefined {
+		let ruleCodes = this.dictionaryTable.hasOwnProperty(word) ? this.dictionaryTable[word] : undefined;
+
+		if (!this.lazyAffixes) {
+			return ruleCodes;
+		}
+
+		// Most of the words that suggest() looks up aren't generated by any root, and they can be ruled
+		// out without removing any affixes.
+		if (this.formHashes !== null && !hasHash(this.formHashes, hashWord(word))) {
+			return ruleCodes;
+		}
+
+		const rootTable: HashMap = this._roots();
+
+		let usedRuleCodes: string[] = [];
+		const roots = this._rootCandidates(word, usedRuleCodes);
+
+		for (let i = 0, _len = roots.length; i < _len; i++) {
+			if (!rootTable.hasOwnProperty(roots[i])) {
+				continue;
+			}
+
+			const entries: RootEntry[] = rootTable[roots[i]];
+
+			for (let j = 0, _jlen = entries.length; j < _jlen; j++) {
+				if (!this._generates(roots[i], entries[j], word, usedRuleCodes)) {
+					continue;
+				}
+
+				// As in _parseDIC(), the affixed forms of a forbidden word are flagged as forbidden.
+				if (ruleCodes === undefined) {
+					ruleCodes = null;
+				}
+
+				if ("FORBIDDENWORD" in this.flags && entries[j].flags.indexOf(this.flags.FORBIDDENWORD) !== -1) {
+					ruleCodes = (ruleCodes || []).concat([ [ this.flags.FORBIDDENWORD ] ]);
+				}
+			}
+		}
+
+		return ruleCodes;
+	},
+
+	/**
+	 * Checks whether a .dic entry generates a word by adding affixes.
+	 *
+	 * @param {string} root The word from the .dic file.
+	 * @param {Object} entry Its flags and morphological fields.
+	 * @param {string} word The word.
+	 * @param {string[]} ruleCodes The only rules that might have been used, from _rootCandidates().
+	 * @returns {boolean}
+	 */
+
+	_generates : function (root: string, entry: RootEntry, word: string, ruleCodes: string[]): boolean {
+		const flags = entry.flags.filter(function (flag: string): boolean { return ruleCodes.indexOf(flag) !== -1; });
+
+		// The details of how each word was generated are only needed for CIRCUMFIX.
+		const forms: AffixedForm[] | undefined = ("CIRCUMFIX" in this.flags) ? [] : undefined;
+		const newWords = this._applyRules(root, flags, forms);
+
+		for (let i = 0, _len = newWords.length; i < _len; i++) {
+			if (newWords[i] === word && (!forms || this._satisfiesCircumfix(forms[i]))) {
+				return true;
+			}
+		}
+
+		return false;
+	},
+
+	/**
+	 * Hashes every word that the .dic entries generate, so that _lookup() can rule out the
+	 * hundreds of thousands of words that suggest() looks up without removing affixes from
+	 * them. This takes four bytes per word, rather than the table of every word that's built
+	 * when affixes aren't removed at lookup time.
+	 */
+
+	_hashForms : function (): void {
+		const rootTable: HashMap = this._roots();
+
+		let hashes = new Uint32Array(1024);
+		let count = 0;
+
+		for (let root in rootTable) {
+			const entries: RootEntry[] = rootTable[root];
+
+			for (let i = 0, _len = entries.length; i < _len; i++) {
+				const newWords = this._applyRules(root, entries[i].flags);
+
+				for (let j = 0, _jlen = newWords.length; j < _jlen; j++) {
+					if (count === hashes.length) {
+						const larger = new Uint32Array(count * 2);
+						larger.set(hashes);
+						hashes = larger;
+					}
+
+					hashes[count++] = hashWord(newWords[j]);
+				}
+			}
+		}
+
+		this.formHashes = uniqueHashes(hashes.subarray(0, count));
+	},
+
+	/**
+	 * Checks whether a word or a capitalization variant exists in the current dictionary.
+	 * The word is trimmed and several variations of capitalizations are checked.
+	 * If you want to check a word without any changes made to it, call checkExact()
+	 *
+	 * @see http://blog.stevenlevithan.com/archives/faster-trim-javascript re:trimming function
+	 *
+	 * @param {string} aWord The word to check.
+	 * @returns {boolean}
+	 */
+
+	check : function (aWord: string): boolean {
+		if (!this.loaded) {
+			throw this.loadError || new NotLoadedError();
+		}
+
+		if (!aWord) {
+			return false;
+		}
+
+		// Remove leading and trailing whitespace
+		const trimmedWord = aWord.replace(/^\s\s*/, '').replace(/\s\s*$/, '');
+
+		const convertedWord = this._convert(trimmedWord, "ICONV");
+
+		if (this.hasFlag(convertedWord, "FORBIDDENWORD")) {
+			// Neither capitalization variants nor word breaks can rescue a forbidden word.
+			return false;
+		}
+
+		return this._check(convertedWord) || this._checkBreaks(convertedWord);
+	},
+
+	/**
+	 * Finds the misspelled words in some text, e.g., to underline them in an editor. Words are
+	 * runs of letters, combining marks, and digits, and they can also contain the .aff file's
+	 * WORDCHARS, the characters in its BREAK patterns, and apostrophes, as long as those aren't at
+	 * the start or end of the word. Words without any letters (e.g., numbers) aren't checked.
+	 *
+	 * @param {string} text The text to check.
+	 * @param {Object} [options] Available properties are:
+	 *                           {boolean|number} [suggestions]: If set, the suggestions for each
+	 *                           misspelled word are included. If it's a number, it's the maximum
+	 *                           number of suggestions, as with suggest().
+	 *                           {Array} [ignore]: Text to skip. Each item is either the name of one of
+	 *                           the built-in patterns in Typo.ignorePatterns ("urls", "emails", "paths",
+	 *                           "hashes", "versions", or "identifiers") or a RegExp. Words that overlap
+	 *                           any text that matches one of them aren't checked.
+	 *                           {boolean} [ignoreUppercase]: If true, words in all capital letters
+	 *                           (like acronyms) aren't checked.
+	 *                           {boolean} [ignoreDigits]: If true, words with digits in them aren't checked.
+	 *                           {boolean} [code]: If true, the text is treated as source code. Identifiers
+	 *                           are split into words at underscores, hyphens, and changes in capitalization
+	 *                           (e.g., "recieveMessage" is "recieve" and "Message"), and common abbreviations
+	 *                           (Typo.codeAbbreviations) are accepted. If any of the words in an identifier
+	 *                           are misspelled, the identifier is returned with a parts property listing
+	 *                           them, and its suggestions are identifiers (e.g., "receiveMessage").
+	 *                           {string[]} [abbreviations]: More abbreviations to accept in code mode.
+	 *                           {string} [markup]: "html" or "markdown", to check only the prose in HTML
+	 *                           or Markdown. Tags, code, and URLs are skipped, but HTML alt and title
+	 *                           attributes (and Markdown link titles and image descriptions) are checked.
+	 *                           Character references like "&eacute;" are decoded. The ignore patterns are
+	 *                           matched against the prose.
+	 * @returns {Object[]} The misspelled words in the order they appear, each with its start and end
+	 *                     offsets. The offsets are in UTF-16 code units, so text.substring(start, end)
+	 *                     is the word. With markup, the offsets are still offsets into the text, but
+	 *                     the word is the decoded prose (e.g., "don't" for "don&#39;t").
+	 */
+
+	checkText : function (text: string, options?: CheckTextOptions): Misspelling[] {
+		if (!this.loaded) {
+			throw this.loadError || new NotLoadedError();
+		}
+
+		return checkText(this, text, options);
+	},
+
+	/**
+	 * Returns the characters that can join the parts of a word in text, other than letters,
+	 * combining marks, and digits.
+	 *
+	 * @returns {string}
+	 */
+
+	_wordJoiners : function (): string {
+		let joiners = "'\u2019";
+
+		if ("WORDCHARS" in this.flags) {
+			joiners += this.flags.WORDCHARS;
+		}
+
+		// Words are broken at BREAK patterns when they're checked, so they're kept together here.
+		for (let i = 0, _len = this.breakTable.length; i < _len; i++) {
+			joiners += this.breakTable[i].replace(/^\^|\$$/g, "");
+		}
+
+		return joiners;
+	},
+
+	/**
+	 * Checks whether a word can be broken into valid words using the BREAK table,
+	 * e.g., "well-known" at the hyphen. Patterns beginning with ^ or ending with $ only
+	 * match at the beginning or end of the word.
+	 *
+	 * @param {string} word The word to check.
+	 * @param {Object} [checkedParts] The parts of the word that have already been checked, and whether
+	 *                                they're valid. Each part is only checked once, since a word with
+	 *                                many hyphens can be broken up in a huge number of ways.
+	 * @returns {boolean}
+	 */
+
+	_checkBreaks : function (word: string, checkedParts?: HashMap): boolean {
+		if (!word || !this.breakTable) {
+			return false;
+		}
+
+		const self = this;
+
+		const results: HashMap = checkedParts || {};
+
+		function checkPart(part: string): boolean {
+			if (!results.hasOwnProperty(part)) {
+				results[part] = self._check(part) || self._checkBreaks(part, results);
+			}
+
+			return results[part];
+		}
+
+		for (let i = 0, _len = this.breakTable.length; i < _len; i++) {
+			const pattern = this.breakTable[i];
+
+			if (pattern.length > 1 && pattern[0] === "^") {
+				const start = pattern.substring(1);
+
+				if (word.length > start.length && word.indexOf(start) === 0 && checkPart(word.substring(start.length))) {
+					return true;
+				}
+			}
+			else if (pattern.length > 1 && pattern[pattern.length - 1] === "$") {
+				const end = pattern.substring(0, pattern.length - 1);
+
+				if (word.length > end.length && word.substring(word.length - end.length) === end && checkPart(word.substring(0, word.length - end.length))) {
+					return true;
+				}
+			}
+			else {
+				let index = word.indexOf(pattern);
+
+				while (index !== -1) {
+					if (index > 0 && index + pattern.length < word.length) {
+						if (checkPart(word.substring(0, index)) && checkPart(word.substring(index + pattern.length))) {
+							return true;
+						}
+					}
+
+					index = word.indexOf(pattern, index + 1);
+				}
+			}
+		}
+
+		return false;
+	},
+
+	/**
+	 * The internals of check(), for a word that has already been trimmed and run through
+	 * the ICONV table.
+	 *
+	 * @param {string} trimmedWord The word to check.
+	 * @returns {boolean}
+	 */
+
+	_check : function (trimmedWord: string): boolean {
+		if (!trimmedWord) {
+			return false;
+		}
+
+		if (this._checkExact(trimmedWord)) {
+			return true;
+		}
+
+		// The exact word is not in the dictionary.
+		if (trimmedWord.toUpperCase() === trimmedWord) {
+			// The word was supplied in all uppercase.
+			// Check for a capitalized form of the word.
+			const capitalizedWord = trimmedWord[0] + trimmedWord.substring(1).toLowerCase();
+
+			if (this.hasFlag(capitalizedWord, "KEEPCASE")) {
+				// Capitalization variants are not allowed for this word.
+				return false;
+			}
+
+			if (this._checkExact(capitalizedWord)) {
+				// The all-caps word is a capitalized word spelled correctly.
+				return true;
+			}
+
+			if (this._checkExact(trimmedWord.toLowerCase())) {
+				// The all-caps is a lowercase word spelled correctly.
+				return true;
+			}
+		}
+
+		const uncapitalizedWord = trimmedWord[0].toLowerCase() + trimmedWord.substring(1);
+
+		if (uncapitalizedWord !== trimmedWord) {
+			if (this.hasFlag(uncapitalizedWord, "KEEPCASE")) {
+				// Capitalization variants are not allowed for this word.
+				return false;
+			}
+
+			// Check for an uncapitalized form
+			if (this._checkExact(uncapitalizedWord)) {
+				// The word is spelled correctly but with the first letter capitalized.
+				return true;
+			}
+
+			// A compound word whose last part has the FORCEUCASE flag is only correct when capitalized.
+			if (this.hasCompoundParts && "FORCEUCASE" in this.flags) {
+				if (this._checkCompoundParts(uncapitalizedWord, true) || this._checkCompoundParts(trimmedWord.toLowerCase(), true)) {
+					return true;
+				}
+			}
+		}
+
+		return false;
+	},
+
+	/**
+	 * Checks whether a word exists in the current dictionary.
+	 *
+	 * @param {string} word The word to check.
+	 * @returns {boolean}
+	 */
+
+	checkExact : function (word: string): boolean {
+		if (!this.loaded) {
+			throw this.loadError || new NotLoadedError();
+		}
+
+		return this._checkExact(this._convert(word, "ICONV"));
+	},
+
+	/**
+	 * The internals of checkExact(), for a word that has already been run through the ICONV table.
+	 *
+	 * @param {string} word The word to check.
+	 * @returns {boolean}
+	 */
+
+	_checkExact : function (word: string): boolean {
+		const ruleCodes = this._lookup(word);
+
+		let i, _len;
+
+		if (typeof ruleCodes === 'undefined') {
+			// Check if this might be a compound word.
+			if ("COMPOUNDMIN" in this.flags && word.length >= this.flags.COMPOUNDMIN) {
+				for (i = 0, _len = this.compoundRules.length; i < _len; i++) {
+					if (word.match(this.compoundRules[i])) {
+						return true;
+					}
+				}
+			}
+		}
+		else if (ruleCodes === null) {
+			// a null (but not undefined) value for an entry in the dictionary table
+			// means that the word is in the dictionary but has no flags.
+			return true;
+		}
+		else if (typeof ruleCodes === 'object') { // this.dictionary['hasOwnProperty'] will be a function.
+			if (this.hasFlag(word, "FORBIDDENWORD")) {
+				// The word is forbidden, even if some other rule also generates it.
+				return false;
+			}
+
+			for (i = 0, _len = ruleCodes.length; i < _len; i++) {
+				if (!this.hasFlag(word, "ONLYINCOMPOUND", ruleCodes[i])) {
+					return true;
+				}
+			}
+		}
+
+		if (this.hasCompoundParts && this._checkCompoundParts(word)) {
+			return true;
+		}
+
+		return false;
+	},
+
+	/**
+	 * Whether the affix file defines any of the flags used for flag-based compounding.
+	 *
+	 * @returns {boolean}
+	 */
+
+	_usesCompoundFlags : function (): boolean {
+		return ("COMPOUNDFLAG" in this.flags) || ("COMPOUNDBEGIN" in this.flags) || ("COMPOUNDMIDDLE" in this.flags) || ("COMPOUNDEND" in this.flags);
+	},
+
+	/**
+	 * Checks whether a word can be split into dictionary words that are allowed to form a compound
+	 * word, according to COMPOUNDFLAG, COMPOUNDBEGIN, COMPOUNDMIDDLE, COMPOUNDEND, COMPOUNDPERMITFLAG
+	 * and COMPOUNDFORBIDFLAG. Each part must be at least COMPOUNDMIN characters long, and there can be
+	 * no more than COMPOUNDWORDMAX parts.
+	 *
+	 * Compounds that are probably typos are rejected according to CHECKCOMPOUNDDUP, CHECKCOMPOUNDREP,
+	 * CHECKCOMPOUNDCASE, CHECKCOMPOUNDTRIPLE (and SIMPLIFIEDTRIPLE), CHECKCOMPOUNDPATTERN and FORCEUCASE.
+	 *
+	 * @param {string} word The word to check.
+	 * @param {boolean} [capitalized] Whether the word was originally capitalized, which is required
+	 *                                when the last part has the FORCEUCASE flag.
+	 * @returns {boolean}
+	 */
+
+	_checkCompoundParts : function (word: string, capitalized?: boolean): boolean {
+		if (typeof capitalized === 'undefined') {
+			capitalized = (word[0] !== word[0].toLowerCase());
+		}
+
+		let found = this._checkCompoundSplits(word, capitalized, null);
+
+		// A CHECKCOMPOUNDPATTERN replacement is how the end of one part and the beginning of the next
+		// are written when they're joined (e.g., "fozar" for "foo" + "bar" with "o b z").
+		for (let i = 0, _len = this.compoundPatterns.length; i < _len && !found; i++) {
+			const pattern: CompoundPattern = this.compoundPatterns[i];
+
+			if (!pattern.replacement) {
+				continue;
+			}
+
+			let index = word.indexOf(pattern.replacement);
+
+			while (index !== -1 && !found) {
+				const joinedWord = word.substring(0, index) + pattern.end + pattern.begin + word.substring(index + pattern.replacement.length);
+
+				found = this._checkCompoundSplits(joinedWord, capitalized, { boundary : index + pattern.end.length, pattern : pattern });
+
+				index = word.indexOf(pattern.replacement, index + 1);
+			}
+		}
+
+		if (!found) {
+			return false;
+		}
+
+		if ("CHECKCOMPOUNDREP" in this.flags) {
+			// If a REP replacement turns the compound into a regular word, the compound is probably
+			// a misspelling of that word.
+			for (let i = 0, _len = this.replacementTable.length; i < _len; i++) {
+				const replacementEntry = this.replacementTable[i];
+
+				let index = word.indexOf(replacementEntry[0]);
+
+				while (index !== -1) {
+					const replacedWord = word.substring(0, index) + replacementEntry[1] + word.substring(index + replacementEntry[0].length);
+
+					if (typeof this._lookup(replacedWord) !== 'undefined' && this._checkExact(replacedWord)) {
+						return false;
+					}
+
+					index = word.indexOf(replacementEntry[0], index + 1);
+				}
+			}
+		}
+
+		return true;
+	},
+
+	/**
+	 * Checks whether a word can be split into parts that are allowed to form a compound word, for
+	 * _checkCompoundParts().
+	 *
+	 * @param {string} word The word to check.
+	 * @param {boolean} capitalized Whether the word was originally capitalized.
+	 * @param {Object|null} replaced If the word was written with a CHECKCOMPOUNDPATTERN replacement,
+	 *                               the index where the replaced parts are joined and the pattern.
+	 *                               The word is only split there if the pattern allows it.
+	 * @returns {boolean}
+	 */
+
+	_checkCompoundSplits : function (word: string, capitalized: boolean, replaced: ReplacedBoundary | null): boolean {
+		const self = this;
+
+		// Hunspell's default minimum length for a compound part is 3, and 0 means 1.
+		const minLength = ("COMPOUNDMIN" in this.flags) ? Math.max(1, parseInt(this.flags.COMPOUNDMIN, 10)) : 3;
+		const maxParts = ("COMPOUNDWORDMAX" in this.flags) ? parseInt(this.flags.COMPOUNDWORDMAX, 10) : Infinity;
+
+		if (word.length < minLength * 2) {
+			return false;
+		}
+
+		function hasCompoundFlag(flags: string[], flag: string): boolean {
+			return (flag in self.flags) && flags.indexOf(self.flags[flag]) !== -1;
+		}
+
+		function isUpperCase(character: string): boolean {
+			return character !== character.toLowerCase();
+		}
+
+		/**
+		 * Returns the entries that allow a string to be used in the given position in a compound.
+		 * A word can have several (e.g., homonyms with different flags), and CHECKCOMPOUNDPATTERN
+		 * conditions can allow some of them and not others.
+		 *
+		 * @arg string part The possible part of the compound word.
+		 * @arg string position "BEGIN", "MIDDLE", or "END".
+		 */
+		function findPart(part: string, position: string): CompoundPart[] {
+			let found: CompoundPart[] = [];
+
+			if (!self.compoundParts.hasOwnProperty(part)) {
+				return found;
+			}
+
+			const entries: CompoundPart[] = self.compoundParts[part];
+
+			for (let i = 0, _len = entries.length; i < _len; i++) {
+				const flags = entries[i].flags;
+
+				if (hasCompoundFlag(flags, "COMPOUNDFORBIDFLAG")) {
+					// This affixed form can never be part of a compound.
+					continue;
+				}
+
+				if (!hasCompoundFlag(flags, "COMPOUNDFLAG") && !hasCompoundFlag(flags, "COMPOUND" + position)) {
+					continue;
+				}
+
+				// Prefixes are only allowed at the beginning of a compound and suffixes only at the end,
+				// unless the affix says otherwise.
+				if (entries[i].prefixed && position !== "BEGIN" && !hasCompoundFlag(flags, "COMPOUNDPERMITFLAG")) {
+					continue;
+				}
+
+				if (entries[i].suffixed && position !== "END" && !hasCompoundFlag(flags, "COMPOUNDPERMITFLAG")) {
+					continue;
+				}
+
+				if (position === "END" && !capitalized && hasCompoundFlag(flags, "FORCEUCASE")) {
+					continue;
+				}
+
+				found.push(entries[i]);
+			}
+
+			return found;
+		}
+
+		/**
+		 * Checks whether a CHECKCOMPOUNDPATTERN entry matches two parts with the given entries.
+		 */
+		function matchesPattern(pattern: CompoundPattern, firstPart: string, firstEntry: CompoundPart, secondPart: string, secondEntry: CompoundPart): boolean {
+			return firstPart.substring(firstPart.length - pattern.end.length) === pattern.end
+				&& secondPart.indexOf(pattern.begin) === 0
+				&& (!pattern.endFlag || firstEntry.flags.indexOf(pattern.endFlag) !== -1)
+				&& (!pattern.beginFlag || secondEntry.flags.indexOf(pattern.beginFlag) !== -1);
+		}
+
+		/**
+		 * Checks whether a CHECKCOMPOUNDPATTERN entry forbids joining two parts with the given entries.
+		 */
+		function matchesCompoundPattern(firstPart: string, firstEntry: CompoundPart, secondPart: string, secondEntry: CompoundPart): boolean {
+			for (let i = 0, _len = self.compoundPatterns.length; i < _len; i++) {
+				if (matchesPattern(self.compoundPatterns[i], firstPart, firstEntry, secondPart, secondEntry)) {
+					return true;
+				}
+			}
+
+			return false;
+		}
+
+		/**
+		 * Returns the entries of the second of two adjacent parts of a compound that it can be joined
+		 * to the first part with.
+		 *
+		 * @arg CompoundPart[] firstEntries The entries that the first part can be used with.
+		 * @arg CompoundPart[] secondEntries The entries that the second part can be used with.
+		 * @arg number boundary The index in the word where the second part begins.
+		 * @arg boolean simplified Whether the parts share a letter because of SIMPLIFIEDTRIPLE.
+		 */
+		function allowedEntries(firstPart: string, firstEntries: CompoundPart[], secondPart: string, secondEntries: CompoundPart[], boundary: number, simplified: boolean): CompoundPart[] {
+			if (!isAllowedBoundary(firstPart, secondPart, boundary, simplified)) {
+				return [];
+			}
+
+			// Where the word was written with a replacement, the parts must be the ones its pattern joins.
+			const isReplaced = (replaced !== null && boundary === replaced.boundary);
+
+			return secondEntries.filter(function (secondEntry: CompoundPart): boolean {
+				for (let i = 0, _len = firstEntries.length; i < _len; i++) {
+					if (isReplaced ? matchesPattern((replaced as ReplacedBoundary).pattern, firstPart, firstEntries[i], secondPart, secondEntry) : !matchesCompoundPattern(firstPart, firstEntries[i], secondPart, secondEntry)) {
+						return true;
+					}
+				}
+
+				return false;
+			});
+		}
+
+		/**
+		 * Checks whether two adjacent parts of a compound can be joined, whatever their entries are.
+		 *
+		 * @arg number boundary The index in the word where the second part begins.
+		 * @arg boolean simplified Whether the parts share a letter because of SIMPLIFIEDTRIPLE.
+		 */
+		function isAllowedBoundary(firstPart: string, secondPart: string, boundary: number, simplified: boolean): boolean {
+			if ("CHECKCOMPOUNDDUP" in self.flags && firstPart === secondPart) {
+				return false;
+			}
+
+			if ("CHECKCOMPOUNDCASE" in self.flags) {
+				const lastCharacter = firstPart[firstPart.length - 1];
+				const firstCharacter = secondPart[0];
+
+				if ((isUpperCase(lastCharacter) || isUpperCase(firstCharacter)) && lastCharacter !== "-" && firstCharacter !== "-") {
+					return false;
+				}
+			}
+
+			if ("CHECKCOMPOUNDTRIPLE" in self.flags && !simplified) {
+				const letters = word.substring(boundary - 2, boundary + 2);
+
+				if (letters.length === 4 && ((letters[0] === letters[1] && letters[1] === letters[2]) || (letters[1] === letters[2] && letters[2] === letters[3]))) {
+					return false;
+				}
+				else if (letters.length === 3 && letters[0] === letters[1] && letters[1] === letters[2]) {
+					return false;
+				}
+			}
+
+			return true;
+		}
+
+		function crossesReplacement(start: number, end: number): boolean {
+			return replaced !== null && start < replaced.boundary && end > replaced.boundary;
+		}
+
+		// The ways of splitting the rest of the word that have already failed, so that they aren't tried
+		// again: a word with many short parts can be split in an exponential number of ways.
+		let failures: HashMap = {};
+
+		/**
+		 * @arg number start The index in the word where the next part begins.
+		 * @arg number partCount The number of parts before this one.
+		 * @arg string previousPart The part before this one, if any.
+		 * @arg CompoundPart[] previousEntries The entries that allowed the previous part, if any.
+		 * @arg boolean simplified Whether the previous part shares its last letter with this one.
+		 */
+		function checkFrom(start: number, partCount: number, previousPart: string | null, previousEntries: CompoundPart[], simplified: boolean): boolean {
+			// The result depends on the previous part and its entries (and whether it began the compound)
+			// and, when the number of parts is limited, on how many parts there already are.
+			let state = start + ":" + (previousPart === null ? -1 : previousPart.length) + ":" + (simplified ? 1 : 0) + ":" + ((maxParts === Infinity) ? Math.min(partCount, 2) : partCount);
+
+			if (previousPart !== null && previousEntries.length < self.compoundParts[previousPart].length) {
+				state += ":" + previousEntries.map(function (entry: CompoundPart): number {
+					return self.compoundParts[previousPart].indexOf(entry);
+				}).join(",");
+			}
+
+			if (failures.hasOwnProperty(state)) {
+				return false;
+			}
+
+			for (let end = start + minLength, _len = word.length - minLength; end <= _len; end++) {
+				// No part can span the replaced boundary.
+				if (crossesReplacement(start, end)) {
+					break;
+				}
+
+				const part = word.substring(start, end);
+
+				let entries = findPart(part, partCount === 0 ? "BEGIN" : "MIDDLE");
+
+				if (previousPart !== null && entries.length) {
+					entries = allowedEntries(previousPart, previousEntries, part, entries, start, simplified);
+				}
+
+				if (!entries.length) {
+					continue;
+				}
+
+				// The next part normally begins right after this one, but with SIMPLIFIEDTRIPLE, a part ending in
+				// a double letter can share its last letter with the next part (e.g., "Schiff" + "fahrt" = "Schiffahrt").
+				let nextStarts = [ end ];
+
+				if ("SIMPLIFIEDTRIPLE" in self.flags && part.length > 1 && part[part.length - 1] === part[part.length - 2]) {
+					nextStarts.push(end - 1);
+				}
+
+				for (let i = 0, _ilen = nextStarts.length; i < _ilen; i++) {
+					const next = nextStarts[i];
+					const nextIsSimplified = (next !== end);
+
+					if (partCount + 2 <= maxParts && !crossesReplacement(next, word.length)) {
+						const lastPart = word.substring(next);
+						const lastEntries = findPart(lastPart, "END");
+
+						if (lastEntries.length && allowedEntries(part, entries, lastPart, lastEntries, next, nextIsSimplified).length) {
+							return true;
+						}
+					}
+
+					if (partCount + 3 <= maxParts && checkFrom(next, partCount + 1, part, entries, nextIsSimplified)) {
+						return true;
+					}
+				}
+			}
+
+			failures[state] = true;
+
+			return false;
+		}
+
+		return checkFrom(0, 0, null, [], false);
+	},
+
+	/**
+	 * Looks up whether a given word is flagged with a given flag.
+	 *
+	 * @param {string} word The word in question.
+	 * @param {string} flag The flag in question.
+	 * @return {boolean}
+	 */
+
+	hasFlag : function (word: string, flag: string, wordFlags?: string[]): boolean {
+		if (!this.loaded) {
+			throw this.loadError || new NotLoadedError();
+		}
+
+		if (flag in this.flags) {
+			if (typeof wordFlags === 'undefined') {
+				wordFlags = Array.prototype.concat.apply([], this._lookup(word) || []);
+			}
+
+			if (wordFlags && wordFlags.indexOf(this.flags[flag]) !== -1) {
+				return true;
+			}
+		}
+
+		return false;
+	},
+
+	/**
+	 * Analyzes the morphology of a word.
+	 *
+	 * @param {string} aWord The word to analyze.
+	 * @returns {Object[]} One entry for each way the word can be generated from a word in the
+	 *                     .dic file, with the root word, its part of speech (from its po: field),
+	 *                     the affixes that were applied, and the morphological fields of the root
+	 *                     and the affixes, in that order. Compound words and words that are only
+	 *                     correct when split at BREAK patterns aren't analyzed.
+	 */
+
+	analyze : function (aWord: string): Analysis[] {
+		if (!this.loaded) {
+			throw this.loadError || new NotLoadedError();
+		}
+
+		const readings: Reading[] = this._readings(aWord);
+
+		let analyses: Analysis[] = [];
+
+		for (let i = 0, _len = readings.length; i < _len; i++) {
+			const reading = readings[i];
+
+			let morphology = (reading.entry.morphology || []).concat(this._affixMorphology(reading.affixes));
+			let partOfSpeech: string | null = null;
+
+			for (let j = 0, _jlen = morphology.length; j < _jlen && partOfSpeech === null; j++) {
+				if (morphology[j].indexOf("po:") === 0) {
+					partOfSpeech = morphology[j].substring(3);
+				}
+			}
+
+			analyses.push({
+				root : this._convert(reading.root, "OCONV"),
+				partOfSpeech : partOfSpeech,
+				affixes : reading.affixes.map(function (affix: AppliedAffix) {
+					return {
+						type : affix.rule.type,
+						flag : affix.rule.code,
+						add : affix.entry.add,
+						morphology : affix.entry.morphology || []
+					};
+				}),
+				morphology : morphology
+			});
+		}
+
+		return analyses;
+	},
+
+	/**
+	 * Finds the dictionary roots of a word, e.g., "walk" for "walked", "walking" or "walks".
+	 *
+	 * @param {string} aWord The word to stem.
+	 * @returns {string[]} Every root that can generate the word, along with the stem given by a
+	 *                     root's st: field when it has one. Empty if the word isn't in the dictionary.
+	 */
+
+	stem : function (aWord: string): string[] {
+		if (!this.loaded) {
+			throw this.loadError || new NotLoadedError();
+		}
+
+		const analyses: Analysis[] = this.analyze(aWord);
+
+		let stems: string[] = [];
+
+		function addStem(stem: string): void {
+			if (stems.indexOf(stem) === -1) {
+				stems.push(stem);
+			}
+		}
+
+		for (let i = 0, _len = analyses.length; i < _len; i++) {
+			addStem(analyses[i].root);
+
+			for (let j = 0, _jlen = analyses[i].morphology.length; j < _jlen; j++) {
+				if (analyses[i].morphology[j].indexOf("st:") === 0) {
+					addStem(this._convert(analyses[i].morphology[j].substring(3), "OCONV"));
+				}
+			}
+		}
+
+		return stems;
+	},
+
+	/**
+	 * Lists every word that can be generated from a word in the .dic file.
+	 *
+	 * @param {string} root The word from the .dic file.
+	 * @returns {Object[]} Each generated word (including the root itself, unless it needs an affix)
+	 *                     along with the flags of the affixes that generated it, in the order
+	 *                     they were applied. Empty if the root isn't in the .dic file.
+	 */
+
+	forms : function (root: string): { word: string, flags: string[] }[] {
+		if (!this.loaded) {
+			throw this.loadError || new NotLoadedError();
+		}
+
+		const word = this._convert((root || "").replace(/^\s\s*/, '').replace(/\s\s*$/, ''), "ICONV");
+
+		const rootTable: HashMap = this._roots();
+
+		let forms: { word: string, flags: string[] }[] = [];
+
+		if (!rootTable.hasOwnProperty(word)) {
+			return forms;
+		}
+
+		const entries: RootEntry[] = rootTable[word];
+
+		for (let i = 0, _len = entries.length; i < _len; i++) {
+			const rootForms = this._rootForms(word, entries[i]);
+
+			for (let j = 0, _jlen = rootForms.length; j < _jlen; j++) {
+				forms.push({
+					word : this._convert(rootForms[j].word, "OCONV"),
+					flags : rootForms[j].affixes.map(function (affix: AppliedAffix): string { return affix.rule.code; })
+				});
+			}
+		}
+
+		return forms;
+	},
+
+	/**
+	 * Inflects a word the same way as an example word, e.g., "drinks" for "drink" and "walks".
+	 * If the example's affixes have morphological fields, the forms of the word whose affixes
+	 * have the same fields are returned, so the two words don't need to use the same affix rules.
+	 * Otherwise, the forms generated by exactly the same affixes as the example are returned.
+	 *
+	 * @param {string} aWord The word to inflect. It can be a root or any of its forms.
+	 * @param {string} aExample The example word.
+	 * @returns {string[]} The inflected forms of the word.
+	 */
+
+	generate : function (aWord: string, aExample: string): string[] {
+		if (!this.loaded) {
+			throw this.loadError || new NotLoadedError();
+		}
+
+		const readings: Reading[] = this._readings(aWord);
+		const examples: Reading[] = this._readings(aExample);
+
+		let words: string[] = [];
+
+		function sameAffixes(affixes: AppliedAffix[], otherAffixes: AppliedAffix[]): boolean {
+			if (affixes.length !== otherAffixes.length) {
+				return false;
+			}
+
+			for (let i = 0, _len = affixes.length; i < _len; i++) {
+				if (affixes[i].entry !== otherAffixes[i].entry) {
+					return false;
+				}
+			}
+
+			return true;
+		}
+
+		for (let i = 0, _len = examples.length; i < _len; i++) {
+			const exampleMorphology = this._affixMorphology(examples[i].affixes).join(" ");
+
+			for (let j = 0, _jlen = readings.length; j < _jlen; j++) {
+				const rootForms = this._rootForms(readings[j].root, readings[j].entry);
+
+				for (let k = 0, _klen = rootForms.length; k < _klen; k++) {
+					let matches: boolean;
+
+					if (exampleMorphology) {
+						matches = (this._affixMorphology(rootForms[k].affixes).join(" ") === exampleMorphology);
+					}
+					else {
+						matches = sameAffixes(rootForms[k].affixes, examples[i].affixes);
+					}
+
+					const word = this._convert(rootForms[k].word, "OCONV");
+
+					if (matches && words.indexOf(word) === -1) {
+						words.push(word);
+					}
+				}
+			}
+		}
+
+		return words;
+	},
+
+	/**
+	 * Adds a word to the dictionary, along with the words generated by applying its affix rules.
+	 *
+	 * @param {string} word The word.
+	 * @param {string|string[]} [flags] Its flags, written the same way as in the .dic file (e.g.,
+	 *                                  "SD" to add "walk" like "walk/SD"), or as an array of flags.
+	 */
+
+	addWord : function (word: string, flags?: string | string[]): void {
+		if (!this.loaded) {
+			throw this.loadError || new NotLoadedError();
+		}
+
+		let ruleCodesArray: string[];
+
+		if (typeof flags === "string") {
+			ruleCodesArray = this._parseAliasedRuleCodes(flags);
+		}
+		else {
+			ruleCodesArray = (flags || []).slice();
+		}
+
+		this._addEntries(this._convert(word.trim(), "ICONV"), [ { flags : ruleCodesArray } ]);
+	},
+
+	/**
+	 * Adds a word to the dictionary with the same flags as another word, so that it gets the same
+	 * affixes (like Hunspell's add_with_affix). If the other word isn't in the .dic file, the word
+	 * is added without any flags.
+	 *
+	 * @param {string} word The word.
+	 * @param {string} modelWord A word from the .dic file (or that was added later).
+	 */
+
+	addWordLike : function (word: string, modelWord: string): void {
+		if (!this.loaded) {
+			throw this.loadError || new NotLoadedError();
+		}
+
+		modelWord = this._convert(modelWord.trim(), "ICONV");
+
+		const rootTable: HashMap = this._roots();
+
+		let entries: RootEntry[] = [ { flags : [] } ];
+
+		if (rootTable.hasOwnProperty(modelWord)) {
+			entries = rootTable[modelWord].map(function (entry: RootEntry): RootEntry {
+				return { flags : entry.flags };
+			});
+		}
+
+		this._addEntries(this._convert(word.trim(), "ICONV"), entries);
+	},
+
+	/**
+	 * Removes a word from the dictionary, along with the words generated by applying its affix
+	 * rules, unless they can also be generated from another word.
+	 *
+	 * @param {string} word A word from the .dic file (or that was added later).
+	 */
+
+	removeWord : function (word: string): void {
+		if (!this.loaded) {
+			throw this.loadError || new NotLoadedError();
+		}
+
+		word = this._convert(word.trim(), "ICONV");
+
+		const rootTable: HashMap = this._roots();
+
+		if (!rootTable.hasOwnProperty(word)) {
+			return;
+		}
+
+		const entries: RootEntry[] = rootTable[word];
+
+		delete rootTable[word];
+
+		// Find every word that the removed entries generated.
+		let removed: HashMap = {};
+		removed[word] = true;
+
+		for (let i = 0, _len = entries.length; i < _len; i++) {
+			const forms = this._applyRules(word, entries[i].flags);
+
+			for (let j = 0, _jlen = forms.length; j < _jlen; j++) {
+				removed[forms[j]] = true;
+			}
+		}
+
+		for (let code in this.compoundRuleCodes) {
+			this.compoundRuleCodes[code] = this.compoundRuleCodes[code].filter(function (compoundWord: string): boolean {
+				return compoundWord !== word;
+			});
+		}
+
+		// Those words are removed, and then the ones that other words also generate are put back.
+		let dictionaryTable: HashMap = {};
+		let compoundParts: HashMap = {};
+		let regenerated: HashMap = {};
+
+		for (let removedWord in removed) {
+			delete this.dictionaryTable[removedWord];
+			delete this.compoundParts[removedWord];
+
+			const roots = this._rootCandidates(removedWord);
+
+			for (let i = 0, _len = roots.length; i < _len; i++) {
+				const root = roots[i];
+
+				if (!rootTable.hasOwnProperty(root) || regenerated.hasOwnProperty(root)) {
+					continue;
+				}
+
+				regenerated[root] = true;
+
+				for (let j = 0, _jlen = rootTable[root].length; j < _jlen; j++) {
+					this._addForms(root, rootTable[root][j].flags, dictionaryTable, compoundParts);
+				}
+			}
+		}
+
+		for (let removedWord in removed) {
+			if (dictionaryTable.hasOwnProperty(removedWord)) {
+				this.dictionaryTable[removedWord] = dictionaryTable[removedWord];
+			}
+
+			if (compoundParts.hasOwnProperty(removedWord)) {
+				this.compoundParts[removedWord] = compoundParts[removedWord];
+			}
+		}
+
+		this._dictionaryChanged();
+	},
+
+	/**
+	 * Adds .dic entries for a word, along with the words generated from them.
+	 *
+	 * @param {string} word The word.
+	 * @param {Object[]} entries The entries' flags.
+	 */
+
+	_addEntries : function (word: string, entries: RootEntry[]): void {
+		for (let i = 0, _len = entries.length; i < _len; i++) {
+			this._addRoot(word, entries[i].flags, []);
+			this._addForms(word, entries[i].flags, this.dictionaryTable, this.compoundParts);
+		}
+
+		this._dictionaryChanged();
+	},
+
+	/**
+	 * Updates everything that depends on the words in the dictionary after words are added or removed.
+	 */
+
+	_dictionaryChanged : function (): void {
+		this._buildCompoundRules();
+
+		this.suggestionCache.clear();
+		this.revision++;
+	},
+
+	/**
+	 * Forgets the cached suggestions for all words. (This happens automatically when words are
+	 * added or removed.)
+	 */
+
+	clearCache : function (): void {
+		this.suggestionCache.clear();
+	},
+
+	/**
+	 * Returns statistics about the suggestion cache.
+	 *
+	 * @returns {Object} The number of words whose suggestions are cached (size), the maximum number
+	 *                   (maxSize, from the cacheSize setting), and how many times suggest() found
+	 *                   suggestions in the cache (hits) or had to look for them (misses).
+	 */
+
+	cacheStats : function (): { size: number, maxSize: number, hits: number, misses: number } {
+		return this.suggestionCache.stats();
+	},
+
+	/**
+	 * Identifies the current state of the dictionary's words, which changes whenever words are
+	 * added or removed.
+	 *
+	 * @returns {string}
+	 */
+
+	_revision : function (): string {
+		return String(this.revision);
+	},
+
+	/**
+	 * Finds the ways a word can be generated from the words in the .dic file, including as a
+	 * capitalization variant of one of them.
+	 *
+	 * @param {string} aWord The word.
+	 * @returns {Object[]} The root, its .dic entry, and the affixes applied for each way.
+	 */
+
+	_readings : function (aWord: string): Reading[] {
+		if (!aWord) {
+			return [];
+		}
+
+		// Remove leading and trailing whitespace
+		const trimmedWord = aWord.replace(/^\s\s*/, '').replace(/\s\s*$/, '');
+
+		const word = this._convert(trimmedWord, "ICONV");
+
+		if (!word || this.hasFlag(word, "FORBIDDENWORD")) {
+			return [];
+		}
+
+		let readings = this._readingsExact(word);
+
+		if (readings.length === 0) {
+			// As in _check(), the word might be a capitalization variant of a word in the dictionary.
+			let variants: string[] = [];
+
+			if (word.toUpperCase() === word) {
+				variants.push(word[0] + word.substring(1).toLowerCase(), word.toLowerCase());
+			}
+
+			variants.push(word[0].toLowerCase() + word.substring(1));
+
+			for (let i = 0, _len = variants.length; i < _len && readings.length === 0; i++) {
+				if (variants[i] !== word && !this.hasFlag(variants[i], "KEEPCASE")) {
+					readings = this._readingsExact(variants[i]);
+				}
+			}
+		}
+
+		return readings;
+	},
+
+	/**
+	 * Finds the ways a word can be generated from the words in the .dic file, without trying
+	 * any capitalization variants.
+	 *
+	 * @param {string} word The word.
+	 * @returns {Object[]} The readings, as returned by _readings().
+	 */
+
+	_readingsExact : function (word: string): Reading[] {
+		const rootTable: HashMap = this._roots();
+		const roots = this._rootCandidates(word);
+
+		let readings: Reading[] = [];
+
+		for (let i = 0, _len = roots.length; i < _len; i++) {
+			const root = roots[i];
+
+			if (!rootTable.hasOwnProperty(root)) {
+				continue;
+			}
+
+			const entries: RootEntry[] = rootTable[root];
+
+			for (let j = 0, _jlen = entries.length; j < _jlen; j++) {
+				const rootForms = this._rootForms(root, entries[j]);
+
+				for (let k = 0, _klen = rootForms.length; k < _klen; k++) {
+					if (rootForms[k].word === word) {
+						readings.push({ root : root, entry : entries[j], affixes : rootForms[k].affixes });
+					}
+				}
+			}
+		}
+
+		return readings;
+	},
+
+	/**
+	 * Generates the words of a .dic entry the same way _parseDIC() does, keeping track of
+	 * the affixes that generated each one.
+	 *
+	 * @param {string} root The word from the .dic file.
+	 * @param {Object} entry Its flags and morphological fields.
+	 * @returns {Object[]} The generated words and the affixes that generated them.
+	 */
+
+	_rootForms : function (root: string, entry: RootEntry): { word: string, affixes: AppliedAffix[] }[] {
+		const self = this;
+
+		function hasRootFlag(flag: string): boolean {
+			return (flag in self.flags) && entry.flags.indexOf(self.flags[flag]) !== -1;
+		}
+
+		let rootForms: { word: string, affixes: AppliedAffix[] }[] = [];
+
+		if (hasRootFlag("FORBIDDENWORD")) {
+			return rootForms;
+		}
+
+		if (!hasRootFlag("NEEDAFFIX") && !hasRootFlag("ONLYINCOMPOUND")) {
+			rootForms.push({ word : root, affixes : [] });
+		}
+
+		let forms: AffixedForm[] = [];
+		this._applyRules(root, entry.flags, forms);
+
+		for (let i = 0, _len = forms.length; i < _len; i++) {
+			if (this._satisfiesCircumfix(forms[i])) {
+				rootForms.push(forms[i]);
+			}
+		}
+
+		return rootForms;
+	},
+
+	/**
+	 * Collects the morphological fields of a list of affixes.
+	 *
+	 * @param {Object[]} affixes The affixes.
+	 * @returns {string[]} Their fields, in order.
+	 */
+
+	_affixMorphology : function (affixes: AppliedAffix[]): string[] {
+		let morphology: string[] = [];
+
+		for (let i = 0, _len = affixes.length; i < _len; i++) {
+			morphology = morphology.concat(affixes[i].entry.morphology || []);
+		}
+
+		return morphology;
+	},
+
+	/**
+	 * Finds the words that might be the root of a given word, by removing up to four affixes
+	 * that could have been added to it. An affix is only removed if its condition matches what's
+	 * left, and if it could have been added after the affix that was removed before it. Whether
+	 * the affixes actually generate the word from a candidate root still needs to be checked.
+	 *
+	 * @param {string} word The word.
+	 * @param {string[]} [ruleCodes] If supplied, the codes of the rules of all of the affixes that
+	 *                               could have been added are pushed onto this array. No other
+	 *                               rules can have been used to generate the word.
+	 * @returns {string[]} The word itself, followed by the words from the .dic file that have
+	 *                     the flag of an affix that could have been added to them.
+	 */
+
+	_rootCandidates : function (word: string, ruleCodes?: string[]): string[] {
+		const index = this._affixIndex();
+		const rootTable: HashMap = this._roots();
+
+		const rootLinks: (string | null)[] = [ null ];
+
+		// Maps are used for the tables of the words and steps that have been seen, since their keys
+		// are different for every word that's looked up.
+		let candidates = [ word ];
+		let seen: Map<string, boolean> = new Map();
+
+		// Each step is a word, the rules of the affixes that might have just been removed to get it
+		// (null for the word itself), and (once a prefix and a suffix that were combined have been
+		// removed) the type of the one that was added last.
+		let current: AffixStep[] = [ { word : word, rules : null, combined : null } ];
+		let visited: Map<string, boolean> = new Map();
+
+		function hasFlag(entries: RootEntry[], code: string): boolean {
+			for (let i = 0, _len = entries.length; i < _len; i++) {
+				if (entries[i].flags.indexOf(code) !== -1) {
+					return true;
+				}
+			}
+
+			return false;
+		}
+
+		// Whether a word begins (for prefixes) or ends (for suffixes) with a text in a trie from
+		// addAffixText(), optionally ignoring affixes that don't add anything.
+		function hasAffixText(candidate: string, type: string, trie: HashMap, matchEmpty: boolean): boolean {
+			let node = trie;
+
+			if (matchEmpty && node.hasOwnProperty("")) {
+				return true;
+			}
+
+			for (let j = 0, _len = candidate.length; j < _len; j++) {
+				const character = (type === "SFX") ? candidate.charAt(_len - 1 - j) : candidate.charAt(j);
+
+				if (!node.hasOwnProperty(character)) {
+					return false;
+				}
+
+				node = node[character];
+
+				if (node.hasOwnProperty("")) {
+					return true;
+				}
+			}
+
+			return false;
+		}
+
+		// Whether a word still has the text of an affix that could have been combined with an affix
+		// of the given type that was removed to get it.
+		function hasCombinedText(candidate: string, type: string, isRoot: boolean): boolean {
+			const otherType = (type === "SFX") ? "PFX" : "SFX";
+
+			// An affix of the other type that doesn't add anything is only worth removing if what's
+			// left is a root, or if another affix could have been added before it.
+			const matchEmpty = isRoot || index.continuedAffixes[otherType].hasOwnProperty("");
+
+			return hasAffixText(candidate, otherType, index.texts[otherType], matchEmpty)
+				|| hasAffixText(candidate, type, index.continuedTexts[type], true);
+		}
+
+		function removeAffixes(step: AffixStep, combineTypes: string[], groups: AffixGroup[], stem: string, next: Map<string, AffixStep>): void {
+			for (let i = 0, _len = groups.length; i < _len; i++) {
+				const group = groups[i];
+				const strip = group.strip;
+
+				// The characters to remove are only removed if they're there (see _applyRule()), so
+				// the word might not have had them.
+				if (group.type === "SFX") {
+					removeGroup(step, combineTypes, group, stem + strip, next);
+
+					if (strip && stem.substring(stem.length - strip.length) !== strip) {
+						removeGroup(step, combineTypes, group, stem, next);
+					}
+				}
+				else {
+					removeGroup(step, combineTypes, group, strip + stem, next);
+
+					if (strip && stem.indexOf(strip) === -1) {
+						removeGroup(step, combineTypes, group, stem, next);
+					}
+				}
+			}
+		}
+
+		function removeGroup(step: AffixStep, combineTypes: string[], group: AffixGroup, base: string, next: Map<string, AffixStep>): void {
+			if (!base) {
+				return;
+			}
+
+			const type = group.type;
+			const otherType = (type === "SFX") ? "PFX" : "SFX";
+			const rootEntries: RootEntry[] | null = rootTable.hasOwnProperty(base) ? rootTable[base] : null;
+
+			// Whether the base still has the text of an affix that could have been combined with these.
+			let combinedTextRemains: boolean | null = null;
+
+			// Nothing can be done with the base if it isn't a root, and no other affix could have been
+			// added before any of these.
+			if (rootEntries === null && !group.continued) {
+				if (!group.combineable || !index.combineable[otherType]) {
+					return;
+				}
+
+				combinedTextRemains = hasCombinedText(base, type, false);
+
+				if (!combinedTextRemains) {
+					return;
+				}
+			}
+
+			for (let i = 0, _len = group.affixes.length; i < _len; i++) {
+				const affix = group.affixes[i];
+				const rule = affix.rule;
+				const continued = affix.continued;
+
+				// An affix added before the outer affix must either have the outer affix as a continuation
+				// class, or be combined with it as a prefix and a suffix (which only happens once). Either
+				// way, it's only worth removing if it might be the affix that was added to the root, or if
+				// another affix could have been added before it.
+				let links: (string | null)[];
+
+				if (!step.rules) {
+					links = rootLinks;
+				}
+				else {
+					links = [];
+
+					const continuationClasses = affix.entry.continuationClasses || [];
+
+					for (let j = 0, _jlen = continuationClasses.length; j < _jlen; j++) {
+						if (step.rules.hasOwnProperty(continuationClasses[j])) {
+							if (continued || !step.combined || (rule.combineable && type !== step.combined)) {
+								links.push(step.combined);
+							}
+
+							break;
+						}
+					}
+
+					for (let j = 0, _jlen = combineTypes.length; j < _jlen; j++) {
+						if (continued || (rule.combineable && type !== combineTypes[j])) {
+							links.push(combineTypes[j]);
+						}
+					}
+
+					if (links.length === 0) {
+						continue;
+					}
+				}
+
+				// Removing the affix only leads somewhere if what's left is a root with its flag, or if
+				// another affix could have been added before it.
+				const isRoot = rootEntries !== null && hasFlag(rootEntries, rule.code);
+				let mightContinue = continued;
+
+				if (!continued && rule.combineable && index.combineable[otherType] && links.indexOf(null) !== -1) {
+					if (combinedTextRemains === null) {
+						combinedTextRemains = hasCombinedText(base, type, rootEntries !== null);
+					}
+
+					mightContinue = combinedTextRemains;
+				}
+
+				if ((!isRoot && !mightContinue) || (affix.entry.match && !affix.entry.match.test(base))) {
+					continue;
+				}
+
+				if (ruleCodes && ruleCodes.indexOf(rule.code) === -1) {
+					ruleCodes.push(rule.code);
+				}
+
+				for (let k = 0, _klen = links.length; k < _klen; k++) {
+					const combined = links[k];
+
+					// If a prefix and a suffix were combined, the first affix added to the root was the other type.
+					const mightBeFirst = !combined || (rule.combineable && type !== combined);
+
+					if (mightBeFirst && isRoot && !seen.has(base)) {
+						seen.set(base, true);
+						candidates.push(base);
+					}
+
+					// Once a prefix and a suffix have been combined, only an affix with this one as a
+					// continuation class can have been added before it.
+					if (!mightContinue || (combined && !continued)) {
+						continue;
+					}
+
+					const key = base + "/" + combined;
+
+					if (visited.has(key + "/" + rule.code)) {
+						continue;
+					}
+
+					visited.set(key + "/" + rule.code, true);
+
+					let nextStep = next.get(key);
+
+					if (!nextStep) {
+						nextStep = { word : base, rules : {}, combined : combined } as AffixStep;
+						next.set(key, nextStep);
+					}
+
+					(nextStep.rules as HashMap)[rule.code] = rule;
+				}
+			}
+		}
+
+		// Removes the affixes of one type in a table (of all of the affixes, or just some of them)
+		// whose text the step's word begins or ends with.
+		function removeIndexedAffixes(step: AffixStep, combineTypes: string[], type: string, table: HashMap, next: Map<string, AffixStep>): void {
+			const stepWord = step.word;
+			const _len = stepWord.length;
+
+			for (let j = 0, _jmax = Math.min(_len, index.maxLength[type]); j <= _jmax; j++) {
+				const added = (type === "SFX") ? stepWord.substring(_len - j) : stepWord.substring(0, j);
+
+				if (table.hasOwnProperty(added)) {
+					removeAffixes(step, combineTypes, table[added], (type === "SFX") ? stepWord.substring(0, _len - j) : stepWord.substring(j), next);
+				}
+			}
+		}
+
+		function removeAffixesOfType(step: AffixStep, combineTypes: string[], type: string, next: Map<string, AffixStep>): void {
+			// Any affix could have been added to the root, or combined with an outer affix of the other type.
+			if (!step.rules || combineTypes.indexOf(type === "SFX" ? "PFX" : "SFX") !== -1) {
+				removeIndexedAffixes(step, combineTypes, type, index[type], next);
+				return;
+			}
+
+			// Otherwise, the affix must have an outer affix as a continuation class, or (if the outer affix
+			// was combined with one of the same type) be in the continuation classes of some other affix.
+			if (combineTypes.length > 0) {
+				removeIndexedAffixes(step, combineTypes, type, index.continuedAffixes[type], next);
+			}
+
+			for (let code in step.rules) {
+				if (index.continuations[type].hasOwnProperty(code)) {
+					removeIndexedAffixes(step, combineTypes, type, index.continuations[type][code], next);
+				}
+			}
+		}
+
+		for (let depth = 0; depth < 4 && current.length > 0; depth++) {
+			let next: Map<string, AffixStep> = new Map();
+
+			for (let i = 0, _len = current.length; i < _len; i++) {
+				const step = current[i];
+
+				// The types of the affixes that could be combined with an affix added before them.
+				let combineTypes: string[] = [];
+
+				if (step.rules && !step.combined) {
+					for (let code in step.rules) {
+						const rule: AffixRule = step.rules[code];
+
+						if (rule.combineable && combineTypes.indexOf(rule.type) === -1 && index.combineable[rule.type === "SFX" ? "PFX" : "SFX"]) {
+							combineTypes.push(rule.type);
+						}
+					}
+				}
+
+				removeAffixesOfType(step, combineTypes, "SFX", next);
+				removeAffixesOfType(step, combineTypes, "PFX", next);
+			}
+
+			current = [];
+
+			next.forEach(function (nextStep: AffixStep): void {
+				current.push(nextStep);
+			});
+		}
+
+		return candidates;
+	},
+
+	/**
+	 * Indexes the affix entries by the text they add, for removing them in _rootCandidates().
+	 *
+	 * @returns {Object} For each of "PFX" and "SFX", a hash of the text added by an affix to
+	 *                   the entries that add it, grouped by the characters they remove. The
+	 *                   length of the longest text added by each type is in maxLength, and
+	 *                   whether each type has any rules that can be combined is in combineable.
+	 *                   The codes of the rules that are continuation classes of other affixes
+	 *                   are the keys of continued, and their entries are indexed the same way in
+	 *                   continuedAffixes. The texts added by each type are in a trie in texts
+	 *                   (and continuedTexts), from addAffixText(). For each continuation class,
+	 *                   continuations indexes the entries of each type that have it.
+	 */
+
+	_affixIndex : function (): HashMap {
+		if (!this.affixIndex) {
+			let index: HashMap = {
+				PFX : {},
+				SFX : {},
+				maxLength : { PFX : 0, SFX : 0 },
+				combineable : { PFX : false, SFX : false },
+				continued : {},
+				continuedAffixes : { PFX : {}, SFX : {} },
+				texts : { PFX : {}, SFX : {} },
+				continuedTexts : { PFX : {}, SFX : {} },
+				continuations : { PFX : {}, SFX : {} }
+			};
+
+			let affixes: IndexedAffix[] = [];
+
+			for (let code in this.rules) {
+				const rule: AffixRule = this.rules[code];
+
+				if (rule.combineable) {
+					index.combineable[rule.type] = true;
+				}
+
+				for (let i = 0, _len = rule.entries.length; i < _len; i++) {
+					const entry = rule.entries[i];
+
+					affixes.push({ rule : rule, entry : entry, continued : false } as IndexedAffix);
+
+					const continuationClasses = entry.continuationClasses || [];
+
+					for (let j = 0, _jlen = continuationClasses.length; j < _jlen; j++) {
+						index.continued[continuationClasses[j]] = true;
+					}
+				}
+			}
+
+			for (let i = 0, _len = affixes.length; i < _len; i++) {
+				const affix = affixes[i];
+				const type = affix.rule.type;
+				const add = affix.entry.add;
+				const strip = affix.entry.strip || "";
+
+				// Whether another affix could have been added before this one.
+				affix.continued = index.continued.hasOwnProperty(affix.rule.code);
+
+				if (indexAffix(index[type], affix, strip)) {
+					index.maxLength[type] = Math.max(index.maxLength[type], add.length);
+					addAffixText(index.texts[type], type, add);
+				}
+
+				if (affix.continued && indexAffix(index.continuedAffixes[type], affix, strip)) {
+					addAffixText(index.continuedTexts[type], type, add);
+				}
+
+				const continuationClasses = affix.entry.continuationClasses || [];
+
+				for (let j = 0, _jlen = continuationClasses.length; j < _jlen; j++) {
+					const continuations: HashMap = index.continuations[type];
+
+					if (!continuations.hasOwnProperty(continuationClasses[j])) {
+						continuations[continuationClasses[j]] = {};
+					}
+
+					indexAffix(continuations[continuationClasses[j]], affix, strip);
+				}
+			}
+
+			this.affixIndex = index;
+		}
+
+		return this.affixIndex;
+	},
+
+	/**
+	 * Returns the characters next to a given character on the keyboard.
+	 *
+	 * @param {string} character The character in question.
+	 * @return {string[]} The neighboring characters.
+	 */
+
+	_keyNeighbors : function (character: string): string[] {
+		let neighbors: string[] = [];
+
+		for (let i = 0, _len = this.keyboard.length; i < _len; i++) {
+			const keys = Array.from(this.keyboard[i]) as string[];
+
+			for (let j = 0, _jlen = keys.length; j < _jlen; j++) {
+				if (keys[j] !== character) {
+					continue;
+				}
+
+				if (j > 0 && neighbors.indexOf(keys[j - 1]) === -1) {
+					neighbors.push(keys[j - 1]);
+				}
+
+				if (j < _jlen - 1 && neighbors.indexOf(keys[j + 1]) === -1) {
+					neighbors.push(keys[j + 1]);
+				}
+			}
+		}
+
+		return neighbors;
+	},
+
+	/**
+	 * Returns the physical distance between two keys on the keyboard, treating each
+	 * group in the KEY directive as a row. The first three rows are staggered like a
+	 * real keyboard's. The first group a character appears in is used as its position.
+	 *
+	 * @param {string} a The first character.
+	 * @param {string} b The second character.
+	 * @return {number} The distance, or Infinity if either character isn't on the keyboard.
+	 */
+
+	_keyDistance : function (a: string, b: string): number {
+		if (!this.keyPositions) {
+			this.keyPositions = {};
+
+			for (let i = 0, _len = this.keyboard.length; i < _len; i++) {
+				const keys = Array.from(this.keyboard[i]) as string[];
+
+				for (let j = 0, _jlen = keys.length; j < _jlen; j++) {
+					if (!this.keyPositions.hasOwnProperty(keys[j])) {
+						this.keyPositions[keys[j]] = [ i, j + (KEY_ROW_OFFSETS[i] || 0) ];
+					}
+				}
+			}
+		}
+
+		a = a.toLowerCase();
+		b = b.toLowerCase();
+
+		if (!this.keyPositions.hasOwnProperty(a) || !this.keyPositions.hasOwnProperty(b)) {
+			return Infinity;
+		}
+
+		const rowDistance = this.keyPositions[a][0] - this.keyPositions[b][0];
+		const columnDistance = this.keyPositions[a][1] - this.keyPositions[b][1];
+
+		return Math.sqrt((rowDistance * rowDistance) + (columnDistance * columnDistance));
+	},
+
+	/**
+	 * Returns a list of suggestions for a misspelled word.
+	 *
+	 * @see http://www.norvig.com/spell-correct.html for the basis of this suggestor.
+	 * This suggestor is primitive, but it works.
+	 *
+	 * @param {string} word The misspelling.
+	 * @param {number} [limit=5] The maximum number of suggestions to return.
+	 * @returns {string[]} The array of suggestions.
+	 */
+
+	alphabet : "",
+
+	suggest : function (word: string, limit: number): string[] {
+		if (!this.loaded) {
+			throw this.loadError || new NotLoadedError();
+		}
+
+		limit = limit || 5;
+
+		const cached = this.suggestionCache.get(word, limit);
+
+		if (cached) {
+			return cached;
+		}
+
+		const suggestions = this._suggestions(word, limit).map(function (suggestion: [ string, number ]): string {
+			return suggestion[0];
+		});
+
+		this.suggestionCache.set(word, limit, suggestions);
+
+		return suggestions;
+	},
+
+	/**
+	 * Finds the suggestions for a misspelled word, along with their weights, which are higher the
+	 * more likely a suggestion is to be the intended word.
+	 *
+	 * @param {string} word The misspelling.
+	 * @param {number} limit The maximum number of suggestions to return.
+	 * @param {boolean} [converted] Whether the word has already been run through the ICONV table.
+	 * @returns {Array[]} The suggestions and their weights, best first.
+	 */
+
+	_suggestions : function (word: string, limit: number, converted?: boolean): [ string, number ][] {
+		if (!converted) {
+			word = this._convert(word, "ICONV");
+		}
+
+		if (this._check(word) || this._checkBreaks(word)) return [];
+
+		const self = this;
+
+		// Each part is only checked once, however many places the word is broken at.
+		let checkedParts: HashMap = {};
+
+		function checkPart(part: string): boolean {
+			if (!checkedParts.hasOwnProperty(part)) {
+				checkedParts[part] = self._check(part) || self._checkBreaks(part, checkedParts);
+			}
+
+			return checkedParts[part];
+		}
+
+		// If the word can be broken into two parts (e.g., at a hyphen) and only one of them is misspelled,
+		// only suggest corrections for that part.
+		for (let i = 0, _len = this.breakTable.length; i < _len; i++) {
+			const pattern = this.breakTable[i];
+
+			if (pattern[0] === "^" || pattern[pattern.length - 1] === "$") {
+				continue;
+			}
+
+			for (let index = word.indexOf(pattern); index !== -1; index = word.indexOf(pattern, index + 1)) {
+				if (index === 0 || index + pattern.length >= word.length) {
+					continue;
+				}
+
+				const firstPart = word.substring(0, index);
+				const lastPart = word.substring(index + pattern.length);
+
+				const firstPartIsCorrect = checkPart(firstPart);
+				const lastPartIsCorrect = checkPart(lastPart);
+
+				if (firstPartIsCorrect !== lastPartIsCorrect) {
+					// The suggestions for the misspelled part have already been run through OCONV.
+					const convertedPattern = this._convert(pattern, "OCONV");
+					const convertedFirstPart = this._convert(firstPart, "OCONV");
+					const convertedLastPart = this._convert(lastPart, "OCONV");
+
+					return this._suggestions(firstPartIsCorrect ? lastPart : firstPart, limit, true).map(function (suggestion: [ string, number ]): [ string, number ] {
+						if (firstPartIsCorrect) {
+							return [ convertedFirstPart + convertedPattern + suggestion[0], suggestion[1] ];
+						}
+
+						return [ suggestion[0] + convertedPattern + convertedLastPart, suggestion[1] ];
+					});
+				}
+			}
+		}
+
+		// Check the replacement table.
+		for (let i = 0, _len = this.replacementTable.length; i < _len; i++) {
+			const replacementEntry = this.replacementTable[i];
+
+			if (word.indexOf(replacementEntry[0]) !== -1) {
+				const correctedWord = word.replace(replacementEntry[0], replacementEntry[1]);
+
+				// A replacement is always the best suggestion.
+				if (this._check(correctedWord)) {
+					return [ [ this._convert(correctedWord, "OCONV"), Infinity ] ];
+				}
+			}
+		}
+
+		if (!this.alphabet) {
+			// Use the English alphabet as the default. Problematic, but backwards-compatible.
+			this.alphabet = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+			// Any characters defined in the affix file as substitutions can go in the alphabet too.
+			// Note that dictionaries do not include the entire alphabet in the TRY flag when it's there.
+			// For example, Q is not in the default English TRY list; that's why having the default
+			// alphabet above is useful.
+			if ( 'TRY' in this.flags ) {
+				this.alphabet += this.flags['TRY'];
+			}
+
+			// Plus any additional characters specifically defined as being allowed in words.
+			if ( 'WORDCHARS' in this.flags ) {
+				this.alphabet += this.flags['WORDCHARS'];
+			}
+
+			// Remove any duplicates.
+			let alphaArray: string[] = this.alphabet.split("");
+			alphaArray.sort();
+
+			let alphaHash: HashMap = {};
+			for ( let i = 0; i < alphaArray.length; i++ ) {
+				alphaHash[ alphaArray[i] ] = true;
+			}
+
+			this.alphabet = '';
+
+			for ( let i in alphaHash ) {
+				this.alphabet += i;
+			}
+		}
+
+		// The same edit can be made from many of the edit-distance-1 forms, so each one is only
+		// checked once.
+		let checked: HashMap = {};
+
+		function isKnown(candidate: string): boolean {
+			if (!checked.hasOwnProperty(candidate)) {
+				checked[candidate] = self._check(candidate);
+			}
+
+			return checked[candidate];
+		}
+
+		/**
+		 * Returns a hash keyed by all of the strings that can be made by making a single edit to the word (or words in) `words`
+		 * The value of each entry is the number of unique ways that the resulting word can be made.
+		 *
+		 * @arg HashMap words A hash keyed by words (all with the value `true` to make lookups very quick).
+		 * @arg boolean known_only Whether this function should ignore strings that are not in the dictionary.
+		 */
+		function edits1(words: HashMap, known_only?: boolean): HashMap {
+			let rv: HashMap = {};
+
+			let i, j, _iilen, _len, _jlen, _edit;
+
+			const alphabetLength = self.alphabet.length;
+
+			for (let word in words) {
+				for (i = 0, _len = word.length + 1; i < _len; i++) {
+					const s = [ word.substring(0, i), word.substring(i) ];
+
+					// Remove a letter.
+					if (s[1]) {
+						_edit = s[0] + s[1].substring(1);
+
+						if (!known_only || isKnown(_edit)) {
+							if (!(_edit in rv)) {
+								rv[_edit] = 1;
+							}
+							else {
+								rv[_edit] += 1;
+							}
+						}
+					}
+
+					// Transpose letters
+					// Eliminate transpositions of identical letters
+					if (s[1].length > 1 && s[1][1] !== s[1][0]) {
+						_edit = s[0] + s[1][1] + s[1][0] + s[1].substring(2);
+
+						if (!known_only || isKnown(_edit)) {
+							if (!(_edit in rv)) {
+								rv[_edit] = 1;
+							}
+							else {
+								rv[_edit] += 1;
+							}
+						}
+					}
+
+					if (s[1]) {
+						// Replace a letter with another letter.
+
+						const lettercase = (s[1].substring(0,1).toUpperCase() === s[1].substring(0,1)) ? 'uppercase' : 'lowercase';
+
+						for (j = 0; j < alphabetLength; j++) {
+							let replacementLetter = self.alphabet[j];
+
+							// Set the case of the replacement letter to the same as the letter being replaced.
+							if ( 'uppercase' === lettercase ) {
+								replacementLetter = replacementLetter.toUpperCase();
+							}
+
+							// Eliminate replacement of a letter by itself
+							if (replacementLetter != s[1].substring(0,1)){
+								_edit = s[0] + replacementLetter + s[1].substring(1);
+
+								if (!known_only || isKnown(_edit)) {
+									if (!(_edit in rv)) {
+										rv[_edit] = 1;
+									}
+									else {
+										rv[_edit] += 1;
+									}
+								}
+							}
+						}
+					}
+
+					if (s[1]) {
+						// Add a letter between each letter.
+						for (j = 0; j < alphabetLength; j++) {
+							// If the letters on each side are capitalized, capitalize the replacement.
+							const lettercase = (s[0].substring(-1).toUpperCase() === s[0].substring(-1) && s[1].substring(0,1).toUpperCase() === s[1].substring(0,1)) ? 'uppercase' : 'lowercase';
+
+							let replacementLetter = self.alphabet[j];
+
+							if ( 'uppercase' === lettercase ) {
+								replacementLetter = replacementLetter.toUpperCase();
+							}
+
+							_edit = s[0] + replacementLetter + s[1];
+
+							if (!known_only || isKnown(_edit)) {
+								if (!(_edit in rv)) {
+									rv[_edit] = 1;
+								}
+								else {
+									rv[_edit] += 1;
+								}
+							}
+						}
+					}
+				}
+			}
+
+			return rv;
+		}
+
+		/**
+		 * Returns a hash keyed by all of the dictionary words that can be made by swapping any number of
+		 * characters in `word` for characters that the affix file's MAP table marks as related (usually
+		 * the same letter with or without an accent). The value of each entry is the order in which it
+		 * was found, which matches the order Hunspell would suggest them in.
+		 *
+		 * @arg string word The misspelling.
+		 */
+		function mapchars(word: string): HashMap {
+			let rv: HashMap = {};
+			let found = 0;
+
+			if (self.mapTable.length === 0) {
+				return rv;
+			}
+
+			// Every related character multiplies the number of candidates, so stop after this many
+			// to keep long words with lots of vowels from taking forever.
+			let remainingCandidates = 1000;
+
+			function mapRelated(candidate: string, index: number): void {
+				if (remainingCandidates <= 0) {
+					return;
+				}
+
+				if (index >= word.length) {
+					remainingCandidates--;
+
+					if (candidate !== word && !rv.hasOwnProperty(candidate) && self._check(candidate)) {
+						rv[candidate] = ++found;
+					}
+
+					return;
+				}
+
+				for (let i = 0, _len = self.mapTable.length; i < _len; i++) {
+					const equivalents = self.mapTable[i];
+
+					for (let j = 0, _jlen = equivalents.length; j < _jlen; j++) {
+						if (word.substr(index, equivalents[j].length) !== equivalents[j]) {
+							continue;
+						}
+
+						for (let k = 0; k < _jlen; k++) {
+							if (k !== j) {
+								mapRelated(candidate + equivalents[k], index + equivalents[j].length);
+							}
+						}
+					}
+				}
+
+				mapRelated(candidate + word[index], index + 1);
+			}
+
+			mapRelated("", 0);
+
+			return rv;
+		}
+
+		/**
+		 * Returns a hash keyed by all of the dictionary words that can be made by replacing a single letter
+		 * in `word` with a key next to it on the keyboard (or with its uppercase form), since those are the
+		 * most common typos.
+		 *
+		 * @arg string word The misspelling.
+		 */
+		function keychars(word: string): HashMap {
+			let rv: HashMap = {};
+
+			for (let i = 0, _len = word.length; i < _len; i++) {
+				const character = word[i];
+				const lowercaseCharacter = character.toLowerCase();
+
+				let replacements = self._keyNeighbors(lowercaseCharacter);
+
+				if (character === lowercaseCharacter) {
+					replacements.push(character.toUpperCase());
+				}
+				else {
+					// Keep the replacement's case the same as the letter being replaced.
+					replacements = replacements.map(function (replacement: string): string { return replacement.toUpperCase(); });
+				}
+
+				for (let j = 0, _jlen = replacements.length; j < _jlen; j++) {
+					if (replacements[j] === character) {
+						continue;
+					}
+
+					const candidate = word.substring(0, i) + replacements[j] + word.substring(i + 1);
+
+					if (self._check(candidate)) {
+						rv[candidate] = true;
+					}
+				}
+			}
+
+			return rv;
+		}
+
+		/**
+		 * If `candidate` differs from `word` by a single substituted letter whose key is next to the
+		 * original letter's (in the same row or diagonally), returns how far apart the two keys are.
+		 * Otherwise, returns Infinity.
+		 */
+		function substitutionDistance(word: string, candidate: string): number {
+			if (word.length !== candidate.length) {
+				return Infinity;
+			}
+
+			let distance = Infinity;
+
+			for (let i = 0, _len = word.length; i < _len; i++) {
+				if (word[i] !== candidate[i]) {
+					if (distance !== Infinity) {
+						return Infinity;
+					}
+
+					distance = self._keyDistance(word[i], candidate[i]);
+				}
+			}
+
+			return (distance < MAX_NEIGHBORING_KEY_DISTANCE) ? distance : Infinity;
+		}
+
+		function correct(word: string): [ string, number ][] {
+			// Get the edit-distance-1 and edit-distance-2 forms of this word.
+			const ed1 = edits1({ [word] : true });
+			const ed2 = edits1(ed1, true);
+
+			// Sort the edits based on how many different ways they were created.
+			let weighted_corrections = ed2;
+
+			for (let ed1word in ed1) {
+				if (!isKnown(ed1word)) {
+					continue;
+				}
+
+				if (ed1word in weighted_corrections) {
+					weighted_corrections[ed1word] += ed1[ed1word];
+				}
+				else {
+					weighted_corrections[ed1word] = ed1[ed1word];
+				}
+			}
+
+			let edit_weight = 0;
+
+			for (let correction in weighted_corrections) {
+				edit_weight = Math.max(edit_weight, weighted_corrections[correction]);
+			}
+
+			// Hitting a neighboring key is the most common typo, so those corrections go above other edits.
+			const key_corrections = keychars(word);
+
+			for (let keyWord in key_corrections) {
+				weighted_corrections[keyWord] = edit_weight + 1;
+			}
+
+			// A word that only differs from the misspelling by related characters (e.g., a missing accent)
+			// is far more likely to be the intended word than an arbitrary edit, so rank those first.
+			// They all get the same weight so that the sorter keeps them in the order they were found.
+			const mapped_corrections = mapchars(word);
+
+			for (let mappedWord in mapped_corrections) {
+				weighted_corrections[mappedWord] = edit_weight + 2;
+			}
+
+			let i, _len;
+
+			let sorted_corrections = [];
+
+			for (i in weighted_corrections) {
+				if (weighted_corrections.hasOwnProperty(i)) {
+					if (self.hasFlag(i, "PRIORITYSUGGEST")) {
+						// We've defined a new affix rule called PRIORITYSUGGEST, indicating that
+						// if this word is in the suggestions list for a misspelled word, it should
+						// be given priority over other suggestions.
+						//
+						// Add a large number to its weight to push it to the top of the list.
+						// If multiple priority suggestions are in the list, they'll still be ranked
+						// against each other, but they'll all be above non-priority suggestions.
+						weighted_corrections[i] += 1000;
+					}
+
+					sorted_corrections.push([ i, weighted_corrections[i] ]);
+				}
+			}
+
+			function sorter(a: string[], b: string[]): -1 | 0 | 1 {
+				const a_val = a[1];
+				const b_val = b[1];
+				if (a_val < b_val) {
+					return -1;
+				} else if (a_val > b_val) {
+					return 1;
+				}
+				if (mapped_corrections.hasOwnProperty(a[0]) && mapped_corrections.hasOwnProperty(b[0])) {
+					// Keep equally-weighted MAP suggestions in the order they were found.
+					return (mapped_corrections[a[0]] < mapped_corrections[b[0]]) ? 1 : -1;
+				}
+
+				// If a and b are equally weighted, prefer the one whose substituted letter is next to the
+				// original one on the keyboard, and then the one whose letter is closer.
+				const a_distance = substitutionDistance(word, a[0]);
+				const b_distance = substitutionDistance(word, b[0]);
+
+				if (a_distance < b_distance) {
+					return 1;
+				} else if (a_distance > b_distance) {
+					return -1;
+				}
+
+				return b[0].localeCompare(a[0]) as -1 | 0 | 1;
+			}
+
+			sorted_corrections.sort(sorter).reverse();
+
+			let rv: [ string, number ][] = [];
+			let rvWords: string[] = [];
+
+			let capitalization_scheme = "lowercase";
+
+			if (word.toUpperCase() === word) {
+				capitalization_scheme = "uppercase";
+			}
+			else if (word.substr(0, 1).toUpperCase() + word.substr(1).toLowerCase() === word) {
+				capitalization_scheme = "capitalized";
+			}
+
+			let working_limit = limit;
+
+			for (i = 0; i < Math.min(working_limit, sorted_corrections.length); i++) {
+				if ("uppercase" === capitalization_scheme) {
+					sorted_corrections[i][0] = sorted_corrections[i][0].toUpperCase();
+				}
+				else if ("capitalized" === capitalization_scheme) {
+					sorted_corrections[i][0] = sorted_corrections[i][0].substr(0, 1).toUpperCase() + sorted_corrections[i][0].substr(1);
+				}
+
+				const suggestion = self._convert(sorted_corrections[i][0], "OCONV");
+
+				if (!self.hasFlag(sorted_corrections[i][0], "NOSUGGEST") && !self.hasFlag(sorted_corrections[i][0], "FORBIDDENWORD") && rvWords.indexOf(suggestion) === -1) {
+					rv.push([ suggestion, sorted_corrections[i][1] ]);
+					rvWords.push(suggestion);
+				}
+				else {
+					// If one of the corrections is not eligible as a suggestion , make sure we still return the right number of suggestions.
+					working_limit++;
+				}
+			}
+
+			return rv;
+		}
+
+		return correct(word);
+	}
+};
+
+Typo.ignorePatterns = IGNORE_PATTERNS;
+Typo.codeAbbreviations = CODE_ABBREVIATIONS;
+
+Typo.TypoError = TypoError;
+Typo.NotLoadedError = NotLoadedError;
+Typo.FileNotFoundError = FileNotFoundError;
+Typo.HTTPError = HTTPError;
+Typo.ParseError = ParseError;
+
+/**
+ * Returns the result of reading a file synchronously, or a promise for it if the caller asked
+ * for one, in which case any error rejects the promise instead of being thrown.
+ */
+
+function readSynchronously(async: boolean | undefined, read: () => Uint8Array): Uint8Array | Promise<Uint8Array> {
+	if (!async) {
+		return read();
+	}
+
+	try {
+		return Promise.resolve(read());
+	} catch (e) {
+		return Promise.reject(e);
+	}
+}
+
+function requireAsync(loaderName: string, async?: boolean): void {
+	if (!async) {
+		throw new TypoError("The " + loaderName + " loader can only read files asynchronously. Use Typo.load() or the asyncLoad setting.");
+	}
+}
+
+/**
+ * Returns the runtime API of the browser extension Typo is running in, if any.
+ */
+
+function extensionRuntime(): any {
+	const scope: any = (typeof globalThis !== 'undefined') ? globalThis : ((typeof window !== 'undefined') ? window : {});
+	const namespaces = [ scope.chrome, scope.browser ];
+
+	for (let i = 0, _len = namespaces.length; i < _len; i++) {
+		if (namespaces[i] && namespaces[i].runtime && namespaces[i].runtime.getURL) {
+			return namespaces[i].runtime;
+		}
+	}
+
+	return null;
+}
+
+function defaultLoader(): TypoLoader {
+	if (extensionRuntime()) {
+		return Typo.loaders.extension();
+	}
+	else if (typeof XMLHttpRequest !== 'undefined') {
+		return Typo.loaders.xhr();
+	}
+	else if (typeof require !== 'undefined') {
+		return Typo.loaders.fs();
+	}
+	else if (typeof fetch !== 'undefined') {
+		return Typo.loaders.fetch();
+	}
+
+	throw new TypoError("There is no way to read dictionary files in this environment.");
+}
+
+interface HuffmanTree {
+	counts: Uint16Array;
+	symbols: Uint16Array;
+}
+
+// The base values and numbers of extra bits of the DEFLATE length and distance codes.
+const LENGTH_BASES = [ 3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258 ];
+const LENGTH_EXTRA_BITS = [ 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0 ];
+const DISTANCE_BASES = [ 1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577 ];
+const DISTANCE_EXTRA_BITS = [ 0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13 ];
+
+// The order in which the code lengths of the code length alphabet are stored.
+const CODE_LENGTH_ORDER = [ 16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15 ];
+
+// DEFLATE can't compress data to less than 1/1032 of its size.
+const MAX_DEFLATE_RATIO = 1032;
+
+/**
+ * Builds a canonical Huffman code from the code length of each symbol.
+ */
+
+function huffmanTree(lengths: Uint8Array): HuffmanTree {
+	const counts = new Uint16Array(16);
+	const offsets = new Uint16Array(16);
+	const symbols = new Uint16Array(lengths.length);
+
+	for (let i = 0, _len = lengths.length; i < _len; i++) {
+		counts[lengths[i]]++;
+	}
+
+	counts[0] = 0;
+
+	for (let i = 1; i < 16; i++) {
+		offsets[i] = offsets[i - 1] + counts[i - 1];
+	}
+
+	for (let i = 0, _len = lengths.length; i < _len; i++) {
+		if (lengths[i]) {
+			symbols[offsets[lengths[i]]++] = i;
+		}
+	}
+
+	return { counts : counts, symbols : symbols };
+}
+
+/**
+ * Decompresses DEFLATE data (RFC 1951), which is how the files in zip and gzip files are compressed.
+ *
+ * @param {Uint8Array} data The compressed data.
+ * @param {number} [size] The size of the decompressed data, if it's known.
+ * @returns {Uint8Array} The decompressed data.
+ */
+
+function inflate(data: Uint8Array, size?: number): Uint8Array {
+	if (size !== undefined && size > data.length * MAX_DEFLATE_RATIO) {
+		throw new TypoError("Invalid compressed data.");
+	}
+
+	// The size comes from the file, so it only bounds the output; the buffer grows if it's too small.
+	let output = new Uint8Array(Math.min((size === undefined) ? data.length * 4 : size, data.length * 16) || 1024);
+	let outputLength = 0;
+
+	let position = 0;
+	let bitBuffer = 0;
+	let bitCount = 0;
+
+	function invalid(): never {
+		throw new TypoError("Invalid compressed data.");
+	}
+
+	// Bits are read starting with the least significant bit of each byte.
+	function bits(count: number): number {
+		while (bitCount < count) {
+			if (position >= data.length) {
+				invalid();
+			}
+
+			bitBuffer |= data[position++] << bitCount;
+			bitCount += 8;
+		}
+
+		const value = bitBuffer & ((1 << count) - 1);
+
+		bitBuffer >>>= count;
+		bitCount -= count;
+
+		return value;
+	}
+
+	function reserve(length: number): void {
+		if (size !== undefined && outputLength + length > size) {
+			invalid();
+		}
+
+		if (outputLength + length > output.length) {
+			const larger = new Uint8Array(Math.max(output.length * 2, outputLength + length));
+			larger.set(output);
+			output = larger;
+		}
+	}
+
+	function decodeSymbol(tree: HuffmanTree): number {
+		let code = 0;
+		let first = 0;
+		let index = 0;
+
+		for (let length = 1; length < 16; length++) {
+			code |= bits(1);
+
+			const count = tree.counts[length];
+
+			if (code - count < first) {
+				return tree.symbols[index + (code - first)];
+			}
+
+			index += count;
+			first = (first + count) << 1;
+			code <<= 1;
+		}
+
+		return invalid();
+	}
+
+	function inflateBlock(literalTree: HuffmanTree, distanceTree: HuffmanTree): void {
+		for (;;) {
+			let symbol = decodeSymbol(literalTree);
+
+			if (symbol < 256) {
+				reserve(1);
+				output[outputLength++] = symbol;
+			}
+			else if (symbol === 256) {
+				return;
+			}
+			else {
+				symbol -= 257;
+
+				if (symbol >= LENGTH_BASES.length) {
+					invalid();
+				}
+
+				const length = LENGTH_BASES[symbol] + bits(LENGTH_EXTRA_BITS[symbol]);
+				const distanceSymbol = decodeSymbol(distanceTree);
+
+				if (distanceSymbol >= DISTANCE_BASES.length) {
+					invalid();
+				}
+
+				const distance = DISTANCE_BASES[distanceSymbol] + bits(DISTANCE_EXTRA_BITS[distanceSymbol]);
+
+				if (distance > outputLength) {
+					invalid();
+				}
+
+				reserve(length);
+
+				for (let i = 0; i < length; i++) {
+					output[outputLength] = output[outputLength - distance];
+					outputLength++;
+				}
+			}
+		}
+	}
+
+	function dynamicTrees(): HuffmanTree[] {
+		const literalCount = bits(5) + 257;
+		const distanceCount = bits(5) + 1;
+		const codeLengthCount = bits(4) + 4;
+
+		const codeLengthLengths = new Uint8Array(19);
+
+		for (let i = 0; i < codeLengthCount; i++) {
+			codeLengthLengths[CODE_LENGTH_ORDER[i]] = bits(3);
+		}
+
+		const codeLengthTree = huffmanTree(codeLengthLengths);
+		const lengths = new Uint8Array(literalCount + distanceCount);
+
+		for (let i = 0, _len = lengths.length; i < _len; ) {
+			const symbol = decodeSymbol(codeLengthTree);
+
+			if (symbol < 16) {
+				lengths[i++] = symbol;
+				continue;
+			}
 
-					const regexToMatch = lineParts[4];
+			let value = 0;
+			let repeat: number;
 
-					let entry: AffixEntry = {
-						add : charactersToAdd
-					};
+			if (symbol === 16) {
+				if (i === 0) {
+					invalid();
+				}
 
-					if (continuationClasses.length > 0) entry.continuationClasses = continuationClasses;
+				value = lengths[i - 1];
+				repeat = 3 + bits(2);
+			}
+			else if (symbol === 17) {
+				repeat = 3 + bits(3);
+			}
+			else {
+				repeat = 11 + bits(7);
+			}
 
-					if (regexToMatch !== ".") {
-						if (ruleType === "SFX") {
-							entry.match = new RegExp(regexToMatch + "$");
-						}
-						else {
-							entry.match = new RegExp("^" + regexToMatch);
-						}
-					}
+			if (i + repeat > _len) {
+				invalid();
+			}
 
-					if (charactersToRemove != "0") {
-						if (ruleType === "SFX") {
-							entry.remove = new RegExp(charactersToRemove  + "$");
-						}
-						else {
-							entry.remove = charactersToRemove;
-						}
-					}
+			while (repeat--) {
+				lengths[i++] = value;
+			}
+		}
 
-					entries.push(entry);
-				}
+		return [ huffmanTree(lengths.subarray(0, literalCount)), huffmanTree(lengths.subarray(literalCount)) ];
+	}
 
-				rules[ruleCode] = { "type" : ruleType, "combineable" : (combineable === "Y"), "entries" : entries } as AffixRule;
+	let fixedTrees: HuffmanTree[] | null = null;
 
-				i += numEntries;
+	let isFinal;
+
+	do {
+		isFinal = bits(1);
+
+		const type = bits(2);
+
+		if (type === 0) {
+			// Stored blocks start at the next byte.
+			bitBuffer = 0;
+			bitCount = 0;
+
+			if (position + 4 > data.length) {
+				invalid();
 			}
-			else if (ruleType === "COMPOUNDRULE") {
-				numEntries = parseInt(definitionParts[1], 10);
 
-				for (j = i + 1, _jlen = i + 1 + numEntries; j < _jlen; j++) {
-					line = lines[j];
+			// The length is followed by its one's complement.
+			const length = data[position] | (data[position + 1] << 8);
+			const lengthComplement = data[position + 2] | (data[position + 3] << 8);
+			position += 4;
 
-					lineParts = line.split(/\s+/);
-					this.compoundRules.push(lineParts[1]);
+			if ((length ^ lengthComplement) !== 0xffff || position + length > data.length) {
+				invalid();
+			}
+
+			reserve(length);
+			output.set(data.subarray(position, position + length), outputLength);
+			outputLength += length;
+			position += length;
+		}
+		else if (type === 1) {
+			if (!fixedTrees) {
+				const literalLengths = new Uint8Array(288);
+
+				for (let i = 0; i < 288; i++) {
+					literalLengths[i] = (i < 144) ? 8 : ((i < 256) ? 9 : ((i < 280) ? 7 : 8));
 				}
 
-				i += numEntries;
+				fixedTrees = [ huffmanTree(literalLengths), huffmanTree(new Uint8Array(30).fill(5)) ];
 			}
-			else if (ruleType === "REP") {
-				lineParts = line.split(/\s+/);
 
-				if (lineParts.length === 3) {
-					this.replacementTable.push([ lineParts[1], lineParts[2] ]);
+			inflateBlock(fixedTrees[0], fixedTrees[1]);
+		}
+		else if (type === 2) {
+			const trees = dynamicTrees();
+
+			inflateBlock(trees[0], trees[1]);
+		}
+		else {
+			invalid();
+		}
+	} while (!isFinal);
+
+	if (size !== undefined && outputLength !== size) {
+		invalid();
+	}
+
+	return (outputLength === output.length) ? output : output.slice(0, outputLength);
+}
+
+function isGzip(data: Uint8Array): boolean {
+	return data.length > 2 && data[0] === 0x1f && data[1] === 0x8b;
+}
+
+/**
+ * Decompresses a gzip file (RFC 1952).
+ *
+ * @param {Uint8Array} data The contents of the file.
+ * @returns {Uint8Array} The decompressed data.
+ */
+
+function gunzip(data: Uint8Array): Uint8Array {
+	if (!isGzip(data) || data.length < 18 || data[2] !== 8) {
+		throw new TypoError("Invalid gzip data.");
+	}
+
+	const flags = data[3];
+
+	let position = 10;
+
+	// Skip the optional extra field, file name, comment, and header checksum.
+	if (flags & 4) {
+		position += 2 + (data[position] | (data[position + 1] << 8));
+	}
+
+	if (flags & 8) {
+		while (position < data.length && data[position++] !== 0) {}
+	}
+
+	if (flags & 16) {
+		while (position < data.length && data[position++] !== 0) {}
+	}
+
+	if (flags & 2) {
+		position += 2;
+	}
+
+	if (position > data.length - 8) {
+		throw new TypoError("Invalid gzip data.");
+	}
+
+	// The file ends with a checksum and the size of the decompressed data.
+	return inflate(data.subarray(position, data.length - 8), readUint(data, data.length - 4, 4));
+}
+
+/**
+ * Decompresses the data if it's a gzip file.
+ *
+ * @param {Uint8Array} data The data.
+ * @returns {Uint8Array} The decompressed data, or the data itself if it isn't compressed.
+ */
+
+function decompress(data: Uint8Array): Uint8Array {
+	return isGzip(data) ? gunzip(data) : data;
+}
+
+/**
+ * Reads a little-endian unsigned integer.
+ */
+
+function readUint(data: Uint8Array, position: number, bytes: number): number {
+	let value = 0;
+
+	for (let i = bytes - 1; i >= 0; i--) {
+		value = (value * 256) + data[position + i];
+	}
+
+	return value;
+}
+
+interface ZipEntry {
+	method: number;
+	compressedSize: number;
+	size: number;
+	offset: number;
+}
+
+/**
+ * Lists the files in a zip file.
+ *
+ * @param {Uint8Array} data The contents of the zip file.
+ * @returns {Object} The files, keyed by their paths.
+ */
+
+function readZip(data: Uint8Array): HashMap {
+	let end = -1;
+
+	// The central directory is found from the record at the end of the file, which can be
+	// followed by a comment of up to 65535 bytes.
+	for (let i = data.length - 22, _min = Math.max(0, data.length - 22 - 65535); i >= _min; i--) {
+		if (readUint(data, i, 4) === 0x06054b50) {
+			end = i;
+			break;
+		}
+	}
+
+	if (end === -1) {
+		throw new TypoError("Invalid zip file.");
+	}
+
+	let entries: HashMap = {};
+	let position = readUint(data, end + 16, 4);
+
+	for (let i = 0, _len = readUint(data, end + 10, 2); i < _len; i++) {
+		if (position + 46 > data.length || readUint(data, position, 4) !== 0x02014b50) {
+			throw new TypoError("Invalid zip file.");
+		}
+
+		const nameLength = readUint(data, position + 28, 2);
+
+		if (position + 46 + nameLength > data.length) {
+			throw new TypoError("Invalid zip file.");
+		}
+
+		const name = Typo.prototype._decode(data.subarray(position + 46, position + 46 + nameLength), "UTF-8");
+
+		entries[name] = {
+			method : readUint(data, position + 10, 2),
+			compressedSize : readUint(data, position + 20, 4),
+			size : readUint(data, position + 24, 4),
+			offset : readUint(data, position + 42, 4)
+		} as ZipEntry;
+
+		position += 46 + nameLength + readUint(data, position + 30, 2) + readUint(data, position + 32, 2);
+	}
+
+	return entries;
+}
+
+/**
+ * Extracts a file from a zip file.
+ *
+ * @param {Uint8Array} data The contents of the zip file.
+ * @param {Object} entry The file's entry from readZip().
+ * @returns {Uint8Array} The contents of the file.
+ */
+
+function unzip(data: Uint8Array, entry: ZipEntry): Uint8Array {
+	if (entry.offset + 30 > data.length || readUint(data, entry.offset, 4) !== 0x04034b50) {
+		throw new TypoError("Invalid zip file.");
+	}
+
+	// The local header's extra field can differ from the central directory's.
+	const start = entry.offset + 30 + readUint(data, entry.offset + 26, 2) + readUint(data, entry.offset + 28, 2);
+
+	if (start + entry.compressedSize > data.length) {
+		throw new TypoError("Invalid zip file.");
+	}
+
+	const compressed = data.subarray(start, start + entry.compressedSize);
+
+	if (entry.method === 0) {
+		if (entry.compressedSize !== entry.size) {
+			throw new TypoError("Invalid zip file.");
+		}
+
+		return compressed;
+	}
+	else if (entry.method === 8) {
+		return inflate(compressed, entry.size);
+	}
+
+	throw new TypoError("Unsupported compression method " + entry.method + " in zip file.");
+}
+
+interface PackagedDictionary {
+	names: string[];
+	aff: string;
+	dic: string;
+}
+
+/**
+ * Finds the dictionaries in a LibreOffice extension (.oxt) or Firefox add-on (.xpi), using the
+ * extension's dictionaries.xcu file or the add-on's manifest.json. If there's neither, any .aff
+ * and .dic files with the same name are used.
+ *
+ * @param {Uint8Array} data The contents of the package.
+ * @param {Object} entries The files in the package, from readZip().
+ * @returns {Object[]} The names (locales) and the paths of the files of each dictionary.
+ */
+
+function findPackagedDictionaries(data: Uint8Array, entries: HashMap): PackagedDictionary[] {
+	let dictionaries: PackagedDictionary[] = [];
+
+	function readText(path: string): string {
+		return Typo.prototype._decode(unzip(data, entries[path]), "UTF-8");
+	}
+
+	function addDictionary(names: string[], aff: string | undefined, dic: string | undefined): void {
+		if (aff && dic && entries.hasOwnProperty(aff) && entries.hasOwnProperty(dic)) {
+			dictionaries.push({ names : names.concat(aff.replace(/^.*\//, "").replace(/\.aff$/i, "")), aff : aff, dic : dic });
+		}
+	}
+
+	function xmlValue(node: string, propertyName: string): string {
+		const match = new RegExp('<prop\\b[^>]*oor:name="' + propertyName + '"[^>]*>\\s*<value[^>]*>([\\s\\S]*?)</value>').exec(node);
+
+		if (!match) {
+			return "";
+		}
+
+		return match[1].replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, "&").trim();
+	}
+
+	for (let path in entries) {
+		const directory = path.substring(0, path.lastIndexOf("/") + 1);
+		const fileName = path.substring(directory.length).toLowerCase();
+
+		if (fileName === "dictionaries.xcu") {
+			// Each dictionary is a node with no nodes inside it.
+			const nodes = readText(path).match(/<node\b[^>]*>(?:(?!<node\b)[\s\S])*?<\/node>/g) || [];
+
+			for (let i = 0, _len = nodes.length; i < _len; i++) {
+				// The nodes for hyphenation patterns and thesauruses have other formats.
+				if (xmlValue(nodes[i], "Format") !== "DICT_SPELL") {
+					continue;
 				}
+
+				const locations = xmlValue(nodes[i], "Locations").split(/\s+/).map(function (location: string): string {
+					return directory + location.replace(/^%origin%\//, "");
+				});
+
+				addDictionary(
+					xmlValue(nodes[i], "Locales").split(/\s+/),
+					locations.filter(function (location: string): boolean { return /\.aff$/i.test(location); })[0],
+					locations.filter(function (location: string): boolean { return /\.dic$/i.test(location); })[0]
+				);
 			}
-			else {
-				// ONLYINCOMPOUND
-				// COMPOUNDMIN
-				// FLAG
-				// KEEPCASE
-				// NEEDAFFIX
+		}
+		else if (path === "manifest.json") {
+			let manifest;
 
-				this.flags[ruleType] = definitionParts[1];
+			try {
+				manifest = JSON.parse(readText(path));
+			} catch (e) {
+				continue;
+			}
+
+			// The manifest names the .dic file of each locale, and the .aff file has the same name.
+			for (let locale in (manifest && manifest.dictionaries) || {}) {
+				const dic = String(manifest.dictionaries[locale]).replace(/^\.?\//, "");
+
+				addDictionary([ locale ], dic.replace(/\.dic$/i, ".aff"), dic);
 			}
 		}
+	}
 
-		return rules;
+	if (dictionaries.length === 0) {
+		for (let path in entries) {
+			if (/\.dic$/i.test(path)) {
+				addDictionary([], path.replace(/\.dic$/i, ".aff"), path);
+			}
+		}
+	}
+
+	return dictionaries;
+}
+
+/**
+ * The built-in loaders, which can be passed to the Typo constructor and Typo.load() as the
+ * loader setting.
+ */
+
+Typo.loaders = {
+	/**
+	 * Reads files with XMLHttpRequest, synchronously or asynchronously.
+	 *
+	 * @returns {Object} The loader.
+	 */
+
+	xhr : function (): TypoLoader {
+		return {
+			read : function (path: string, async?: boolean): Uint8Array | Promise<Uint8Array> {
+				if (typeof XMLHttpRequest === 'undefined') {
+					throw new TypoError("XMLHttpRequest is not available in this environment.");
+				}
+
+				const req = new XMLHttpRequest();
+				req.open("GET", path, !! async);
+
+				if ( !! async ) {
+					req.responseType = "arraybuffer";
+
+					let promise: Promise<Uint8Array> = new Promise(function(resolve: Function, reject: Function): void {
+						req.onload = function(): void {
+							if (req.status === 200) {
+								resolve(new Uint8Array(req.response));
+							}
+							else {
+								reject(new HTTPError(path, req.status));
+							}
+						};
+
+						req.onerror = function(): void {
+							reject(new HTTPError(path, req.status));
+						}
+					});
+
+					req.send(null);
+
+					return promise;
+				}
+
+				// Synchronous requests can't set a responseType, but the x-user-defined charset
+				// maps every byte to a single character that can be mapped back.
+				req.overrideMimeType?.("text/plain; charset=x-user-defined");
+
+				try {
+					req.send(null);
+				} catch (e) {
+					throw new HTTPError(path, 0);
+				}
+
+				// Files loaded from the file system (or a browser extension) have a status of 0.
+				if (req.status !== 200 && req.status !== 0) {
+					throw new HTTPError(path, req.status);
+				}
+
+				const text = req.responseText;
+				const data = new Uint8Array(text.length);
+
+				for (let i = 0, _len = text.length; i < _len; i++) {
+					data[i] = text.charCodeAt(i) & 0xff;
+				}
+
+				return data;
+			}
+		};
 	},
 
 	/**
-	 * Removes comments.
+	 * Reads files with fetch(). Files can only be read asynchronously.
 	 *
-	 * @param {string} data A line from an affix file.
-	 * @return {string} The cleaned-up line.
+	 * @param {Object} [init] Options for the requests, as for fetch()'s second argument.
+	 * @returns {Object} The loader.
 	 */
 
-	_removeAffixComments : function (line: string): string {
-		// This used to remove any string starting with '#' up to the end of the line,
-		// but some COMPOUNDRULE definitions include '#' as part of the rule.
-		// So, only remove lines that begin with a comment, optionally preceded by whitespace.
-		if ( line.match( /^\s*#/ ) ) {
-			return '';
-		}
+	fetch : function (init?: RequestInit): TypoLoader {
+		return {
+			read : function (path: string, async?: boolean): Promise<Uint8Array> {
+				requireAsync("fetch", async);
+
+				return fetch(path, init).then(function (response: Response): Promise<ArrayBuffer> {
+					if (!response.ok) {
+						throw new HTTPError(path, response.status);
+					}
+
+					return response.arrayBuffer();
+				}, function (): never {
+					// fetch() only rejects when there's no response at all, e.g., a network error.
+					throw new HTTPError(path, 0);
+				}).then(function (data: ArrayBuffer): Uint8Array {
+					return new Uint8Array(data);
+				});
+			}
+		};
+	},
+
+	/**
+	 * Reads files synchronously with Node.js's fs module.
+	 *
+	 * @returns {Object} The loader.
+	 */
+
+	fs : function (): TypoLoader {
+		return {
+			read : function (path: string, async?: boolean): Uint8Array | Promise<Uint8Array> {
+				return readSynchronously(async, function (): Uint8Array {
+					const fs = require("fs");
+
+					try {
+						return fs.readFileSync(path);
+					} catch (e) {
+						throw (e && e.code === "ENOENT") ? new FileNotFoundError(path) : e;
+					}
+				});
+			}
+		};
+	},
+
+	/**
+	 * Reads files asynchronously with Node.js's fs/promises module, or any module with the same
+	 * readFile() function (e.g., in Deno or Bun).
+	 *
+	 * @param {Object} [fsPromises] The module. If omitted, it's loaded with require().
+	 * @returns {Object} The loader.
+	 */
+
+	fsPromises : function (fsPromises?: any): TypoLoader {
+		return {
+			read : function (path: string, async?: boolean): Promise<Uint8Array> {
+				requireAsync("fsPromises", async);
+
+				return Promise.resolve().then(function (): Promise<Uint8Array> {
+					return (fsPromises || require("fs/promises")).readFile(path);
+				}).catch(function (e: any): never {
+					throw (e && e.code === "ENOENT") ? new FileNotFoundError(path) : e;
+				});
+			}
+		};
+	},
+
+	/**
+	 * Reads files that are already in memory, e.g., bundled with an application or downloaded
+	 * by other means.
+	 *
+	 * @param {Object} files The contents of the files, as ArrayBuffers or Uint8Arrays, keyed by their
+	 *                       paths or just their names (e.g., { "en_US.aff" : ..., "en_US.dic" : ... }).
+	 * @returns {Object} The loader.
+	 */
+
+	memory : function (files: HashMap): TypoLoader {
+		return {
+			read : function (path: string, async?: boolean): Uint8Array | Promise<Uint8Array> {
+				return readSynchronously(async, function (): Uint8Array {
+					const name = path.substring(path.lastIndexOf("/") + 1);
+
+					let data: Uint8Array | ArrayBuffer;
+
+					if (files.hasOwnProperty(path)) {
+						data = files[path];
+					}
+					else if (files.hasOwnProperty(name)) {
+						data = files[name];
+					}
+					else {
+						throw new FileNotFoundError(path);
+					}
 
-		return line;
+					return (data instanceof ArrayBuffer) ? new Uint8Array(data) : data;
+				});
+			}
+		};
 	},
 
 	/**
-	 * Parses the words out from the .dic file.
+	 * Reads dictionaries from a LibreOffice extension (.oxt), a Firefox add-on (.xpi), or any other
+	 * zip file with .aff and .dic files in it. The files of a dictionary are found by its locale
+	 * (e.g., "en_US" finds the files that the package lists for "en-US"), or by their names. If the
+	 * package only has one dictionary, it's used whatever dictionary is asked for.
 	 *
-	 * @param {string} data The data from the dictionary file.
-	 * @returns HashMap The lookup table containing all of the words and
-	 *                 word forms from the dictionary.
+	 * @param {Uint8Array|ArrayBuffer} data The contents of the zip file.
+	 * @returns {Object} The loader. Its dictionaries property lists the names of the dictionaries
+	 *                   in the package.
 	 */
 
-	_parseDIC : function (data: string): HashMap {
-		data = this._removeDicComments(data);
-
-		const lines = data.split(/\r?\n/);
-		let dictionaryTable: HashMap = {};
+	zip : function (data: Uint8Array | ArrayBuffer): TypoLoader & { dictionaries: string[] } {
+		const bytes = (data instanceof ArrayBuffer) ? new Uint8Array(data) : data;
+		const entries = readZip(bytes);
+		const dictionaries = findPackagedDictionaries(bytes, entries);
 
-		function addWord(word: string, rules: string[]): void {
-			// Some dictionaries will list the same word multiple times with different rule sets.
-			if (!dictionaryTable.hasOwnProperty(word)) {
-				dictionaryTable[word] = null;
-			}
+		// Locales are written as both en_US and en-US.
+		function normalize(name: string): string {
+			return name.replace(/-/g, "_").toLowerCase();
+		}
 
-			if (rules.length > 0) {
-				if (dictionaryTable[word] === null) {
-					dictionaryTable[word] = [];
+		function findDictionary(name: string): PackagedDictionary | null {
+			for (let i = 0, _len = dictionaries.length; i < _len; i++) {
+				if (dictionaries[i].names.map(normalize).indexOf(normalize(name)) !== -1) {
+					return dictionaries[i];
 				}
-
-				dictionaryTable[word].push(rules);
 			}
+
+			return (dictionaries.length === 1) ? dictionaries[0] : null;
 		}
 
-		// The first line is the number of words in the dictionary.
-		for (let i = 1, _len = lines.length; i < _len; i++) {
-			const line = lines[i];
+		return {
+			dictionaries : dictionaries.map(function (dictionary: PackagedDictionary): string {
+				return dictionary.names[0];
+			}),
+			read : function (path: string, async?: boolean): Uint8Array | Promise<Uint8Array> {
+				return readSynchronously(async, function (): Uint8Array {
+					if (entries.hasOwnProperty(path)) {
+						return unzip(bytes, entries[path]);
+					}
 
-			if (!line) {
-				// Ignore empty lines.
-				continue;
+					const match = /([^\/]*)\.(aff|dic)$/i.exec(path);
+					const dictionary = match ? findDictionary(match[1]) : null;
+
+					if (!match || !dictionary) {
+						throw new FileNotFoundError(path);
+					}
+
+					return unzip(bytes, entries[(match[2].toLowerCase() === "aff") ? dictionary.aff : dictionary.dic]);
+				});
 			}
+		};
+	},
 
-			// The line format is one of:
-			//     word
-			//     word/flags
-			//     word/flags xx:abc yy:def
-			//     word xx:abc yy:def
-			// We don't use the morphological flags (xx:abc, yy:def) and we don't want them included
-			// in the extracted flags.
-			const just_word_and_flags = line.replace(/\s.*$/, '');
+	/**
+	 * Reads files that are bundled with a browser extension. Files are read with fetch() when they're
+	 * read asynchronously, which works in extension service workers, and with XMLHttpRequest otherwise.
+	 *
+	 * @param {Object} [runtime] The extension runtime API. Defaults to chrome.runtime or browser.runtime.
+	 * @returns {Object} The loader.
+	 */
 
-			// just_word_and_flags is definitely one of:
-			//     word
-			//     word/flags
-			const parts = just_word_and_flags.split('/', 2);
-			const word = parts[0];
+	extension : function (runtime?: any): TypoLoader {
+		runtime = runtime || extensionRuntime();
 
-			// Now for each affix rule, generate that form of the word.
-			if (parts.length > 1) {
-				const ruleCodesArray = this.parseRuleCodes(parts[1]);
+		const fetchLoader = Typo.loaders.fetch();
+		const xhrLoader = Typo.loaders.xhr();
 
-				// Save the ruleCodes for compound word situations.
-				if (!("NEEDAFFIX" in this.flags) || ruleCodesArray.indexOf(this.flags.NEEDAFFIX) === -1) {
-					addWord(word, ruleCodesArray);
+		return {
+			dictionaryPath : "typo/dictionaries",
+			resolve : function (path: string): string {
+				return runtime.getURL(path);
+			},
+			read : function (path: string, async?: boolean): Uint8Array | Promise<Uint8Array> {
+				if (async && typeof fetch !== 'undefined') {
+					return fetchLoader.read(path, async);
 				}
 
-				for (let j = 0, _jlen = ruleCodesArray.length; j < _jlen; j++) {
-					const code = ruleCodesArray[j];
+				return xhrLoader.read(path, async);
+			}
+		};
+	}
+};
 
-					const rule = this.rules[code];
+/**
+ * Loads a dictionary asynchronously.
+ *
+ * @param {string} dictionary The locale code of the dictionary, e.g., "en_US".
+ * @param {Object} [settings] The same settings as the Typo constructor's. asyncLoad, loadedCallback,
+ *                            and errorCallback are ignored.
+ * @returns {Promise<Typo>} A promise for the loaded Typo object. It's rejected with a Typo.FileNotFoundError
+ *                          or Typo.HTTPError if either file can't be read, or a Typo.ParseError if either
+ *                          file is malformed.
+ */
 
-					if (rule) {
-						const newWords = this._applyRule(word, rule);
+Typo.load = function (dictionary: string, settings?: TypoSettings): Promise<any> {
+	return new Promise(function (resolve: Function, reject: Function): void {
+		if (!dictionary) {
+			reject(new TypoError("No dictionary was given."));
+			return;
+		}
 
-						for (let ii = 0, _iilen = newWords.length; ii < _iilen; ii++) {
-							const newWord = newWords[ii];
+		new Typo(dictionary, null, null, Object.assign({}, settings, {
+			asyncLoad : true,
+			loadedCallback : resolve,
+			errorCallback : reject
+		}));
+	});
+};
 
-							addWord(newWord, []);
+/**
+ * The version of the format written by Typo.prototype.serialize(). It changes whenever the
+ * format does, and Typo.deserialize() only reads data in the current version.
+ */
 
-							if (rule.combineable) {
-								for (let k = j + 1; k < _jlen; k++) {
-									const combineCode = ruleCodesArray[k];
+Typo.SERIALIZATION_VERSION = 2;
 
-									const combineRule = this.rules[combineCode];
+/**
+ * Restores a dictionary that was serialized with Typo.prototype.serialize().
+ *
+ * @param {string|Object} data The serialized dictionary, or the result of JSON.parse()ing it.
+ * @param {Object} [settings] Available properties are:
+ *                            {number} [cacheSize=1000]: The same as the Typo constructor's setting.
+ * @returns {Typo} A loaded Typo object.
+ */
 
-									if (combineRule) {
-										if (combineRule.combineable && (rule.type != combineRule.type)) {
-											const otherNewWords = this._applyRule(newWord, combineRule);
+Typo.deserialize = function (data: string | HashMap, settings?: { cacheSize?: number }): any {
+	if (typeof data === "string") {
+		data = JSON.parse(data) as HashMap;
+	}
 
-											for (let iii = 0, _iiilen = otherNewWords.length; iii < _iiilen; iii++) {
-												const otherNewWord = otherNewWords[iii];
-												addWord(otherNewWord, []);
-											}
-										}
-									}
-								}
-							}
-						}
-					}
+	if (!data || data.format !== "typo") {
+		throw new TypoError("Data is not a serialized dictionary.");
+	}
 
-					if (code in this.compoundRuleCodes) {
-						this.compoundRuleCodes[code].push(word);
-					}
-				}
-			}
-			else {
-				addWord(word.trim(), []);
-			}
-		}
+	if (data.version !== Typo.SERIALIZATION_VERSION) {
+		throw new TypoError("Unsupported serialized dictionary version: " + data.version);
+	}
 
-		return dictionaryTable;
-	},
+	const typo = new Typo(undefined, undefined, undefined, { cacheSize : settings?.cacheSize });
 
+	// Every word with the same set of flags shares the same array, so (as with the arrays
+	// created by _parseDIC()) they must not be modified in place.
+	const flagSets: string[][] = data.flagSets;
+	const morphologySets: string[][] = data.morphologySets;
 
-	/**
-	 * Removes comment lines and then cleans up blank lines and trailing whitespace.
-	 *
-	 * @param {string} data The data from a .dic file.
-	 * @return {string} The cleaned-up data.
-	 */
+	function splitWords(text: string): string[] {
+		return text ? text.split("\n") : [];
+	}
 
-	_removeDicComments : function (data: string): string {
-		// I can't find any official documentation on it, but at least the de_DE
-		// dictionary uses tab-indented lines as comments.
+	typo.dictionary = data.dictionary;
+	typo.lazyAffixes = data.lazyAffixes;
+	typo.flags = data.flags;
 
-		// Remove comments
-		data = data.replace(/^\t.*$/mg, "");
+	if (data.keyboard) {
+		typo.keyboard = data.keyboard;
+		typo.keyPositions = null;
+	}
 
-		return data;
-	},
+	typo.replacementTable = data.replacementTable;
+	typo.mapTable = data.mapTable;
+	typo.breakTable = data.breakTable;
+	typo.inputConversionTable = data.inputConversionTable;
+	typo.outputConversionTable = data.outputConversionTable;
+	typo.flagAliases = data.flagAliases;
+	typo.morphAliases = data.morphAliases;
+	typo.compoundRuleCodes = data.compoundRuleCodes;
+	typo.compoundPatterns = data.compoundPatterns;
+
+	typo.compoundRuleTexts = data.compoundRules;
+	typo._buildCompoundRules();
+
+	for (let i = 0, _len = data.rules.length; i < _len; i++) {
+		const rule = data.rules[i];
+		const type: string = rule[1];
+
+		typo.rules[rule[0]] = {
+			code : rule[0],
+			type : type,
+			combineable : !!rule[2],
+			entries : rule[3].map(function (entryData: any[]): AffixEntry {
+				let entry: AffixEntry = {
+					add : entryData[0]
+				};
+
+				if (entryData[1] !== -1) entry.continuationClasses = flagSets[entryData[1]];
+				if (entryData[2] !== null) entry.match = new RegExp(entryData[2]);
+				if (entryData[4] !== 0) entry.morphology = morphologySets[entryData[4] - 1];
+
+				if (entryData[3] !== null) {
+					entry.strip = entryData[3];
+					entry.remove = (type === "SFX") ? new RegExp(entryData[3] + "$") : entryData[3];
+				}
 
-	parseRuleCodes : function (textCodes: string): string[] {
-		if (!textCodes) {
-			return [];
-		}
-		else if (!("FLAG" in this.flags)) {
-			// The flag symbols are single characters
-			return textCodes.split("");
-		}
-		else if (this.flags.FLAG === "long") {
-			// The flag symbols are two characters long.
-			let flags = [];
+				return entry;
+			})
+		} as AffixRule;
+	}
 
-			for (let i = 0, _len = textCodes.length; i < _len; i += 2) {
-				flags.push(textCodes.substr(i, 2));
-			}
+	const words = splitWords(data.words);
 
-			return flags;
-		}
-		else if (this.flags.FLAG === "num") {
-			// The flag symbols are a CSV list of numbers.
-			return textCodes.split(",");
+	for (let i = 0, _len = words.length; i < _len; i++) {
+		const value: number | number[] = data.wordValues[i];
+
+		if (value === -1) {
+			typo.dictionaryTable[words[i]] = null;
 		}
-		else if (this.flags.FLAG === "UTF-8") {
-			// The flags are single UTF-8 characters.
-			// @see https://github.com/cfinke/Typo.js/issues/57
-			return Array.from(textCodes);
+		else if (typeof value === "number") {
+			typo.dictionaryTable[words[i]] = [ flagSets[value] ];
 		}
 		else {
-			// It's possible that this fallback case will not work for all FLAG values,
-			// but I think it's more likely to work than not returning anything at all.
-			return textCodes.split("");
+			typo.dictionaryTable[words[i]] = value.map(function (index: number): string[] {
+				return flagSets[index];
+			});
 		}
-	},
-
-	/**
-	 * Applies an affix rule to a word.
-	 *
-	 * @param {string} word The base word.
-	 * @param {Object} rule The affix rule.
-	 * @returns {string[]} The new words generated by the rule.
-	 */
-
-	_applyRule : function (word: string, rule: AffixRule): string[] {
-		const entries = rule.entries;
-		let newWords: string[] = [];
-
-		for (let i = 0, _len = entries.length; i < _len; i++) {
-			const entry = entries[i];
+	}
 
-			if (!entry.match || word.match(entry.match)) {
-				let newWord = word;
+	const roots = splitWords(data.roots);
 
-				if (entry.remove) {
-					newWord = newWord.replace(entry.remove, "");
-				}
+	for (let i = 0, _len = roots.length; i < _len; i++) {
+		const value: number | number[] = data.rootValues[i];
 
-				if (rule.type === "SFX") {
-					newWord = newWord + entry.add;
-				}
-				else {
-					newWord = entry.add + newWord;
-				}
+		if (typeof value === "number") {
+			typo.rootTable[roots[i]] = [ { flags : flagSets[value] } as RootEntry ];
+		}
+		else {
+			let entries: RootEntry[] = [];
 
-				newWords.push(newWord);
+			for (let j = 0, _jlen = value.length; j < _jlen; j += 2) {
+				let entry: RootEntry = { flags : flagSets[value[j]] };
 
-				if ("continuationClasses" in entry) {
-					for (let j = 0, _jlen = entry.continuationClasses!.length; j < _jlen; j++) {
-						const continuationRule = this.rules[entry.continuationClasses![j]];
+				if (value[j + 1] !== 0) entry.morphology = morphologySets[value[j + 1] - 1];
 
-						if (continuationRule) {
-							newWords = newWords.concat(this._applyRule(newWord, continuationRule));
-						}
-						/*
-						else {
-							// This shouldn't happen, but it does, at least in the de_DE dictionary.
-							// I think the author mistakenly supplied lower-case rule codes instead
-							// of upper-case.
-						}
-						*/
-					}
-				}
+				entries.push(entry);
 			}
+
+			typo.rootTable[roots[i]] = entries;
 		}
+	}
 
-		return newWords;
-	},
+	const compoundParts = splitWords(data.compoundParts);
 
-	/**
-	 * Checks whether a word or a capitalization variant exists in the current dictionary.
-	 * The word is trimmed and several variations of capitalizations are checked.
-	 * If you want to check a word without any changes made to it, call checkExact()
-	 *
-	 * @see http://blog.stevenlevithan.com/archives/faster-trim-javascript re:trimming function
-	 *
-	 * @param {string} aWord The word to check.
-	 * @returns {boolean}
-	 */
+	for (let i = 0, _len = compoundParts.length; i < _len; i++) {
+		const value: number[] = data.compoundPartValues[i];
 
-	check : function (aWord: string): boolean {
-		if (!this.loaded) {
-			throw "Dictionary not loaded.";
-		}
+		let entries: CompoundPart[] = [];
 
-		if (!aWord) {
-			return false;
+		for (let j = 0, _jlen = value.length; j < _jlen; j += 2) {
+			entries.push({ flags : flagSets[value[j]], prefixed : !!(value[j + 1] & 1), suffixed : !!(value[j + 1] & 2) } as CompoundPart);
 		}
 
-		// Remove leading and trailing whitespace
-		const trimmedWord = aWord.replace(/^\s\s*/, '').replace(/\s\s*$/, '');
+		typo.compoundParts[compoundParts[i]] = entries;
+		typo.hasCompoundParts = true;
+	}
 
-		if (this.checkExact(trimmedWord)) {
-			return true;
-		}
+	if (typo.lazyAffixes) {
+		typo._hashForms();
+	}
 
-		// The exact word is not in the dictionary.
-		if (trimmedWord.toUpperCase() === trimmedWord) {
-			// The word was supplied in all uppercase.
-			// Check for a capitalized form of the word.
-			const capitalizedWord = trimmedWord[0] + trimmedWord.substring(1).toLowerCase();
+	typo.loaded = true;
 
-			if (this.hasFlag(capitalizedWord, "KEEPCASE")) {
-				// Capitalization variants are not allowed for this word.
-				return false;
-			}
+	return typo;
+};
 
-			if (this.checkExact(capitalizedWord)) {
-				// The all-caps word is a capitalized word spelled correctly.
-				return true;
-			}
+/**
+ * Stacks several dictionaries into one spellchecker, e.g., a language's dictionary, a dictionary of
+ * specialist terms, and a glossary. A word is spelled correctly if any of the dictionaries accepts
+ * it, and each dictionary uses its own affix rules.
+ *
+ * @param {Array} layers The dictionaries. Each one is a Typo object (or another Typo.Composite), or
+ *                       an object with these properties:
+ *                       {Typo} dictionary: The dictionary.
+ *                       {number} [priority=0]: How much to favor its suggestions. Like words with
+ *                       the PRIORITYSUGGEST flag, the suggestions from a dictionary with a higher
+ *                       priority are ranked above all of the suggestions from dictionaries with
+ *                       lower priorities. Suggestions from dictionaries with the same priority are
+ *                       ranked by how many edits they are from the misspelling, and each dictionary's
+ *                       suggestions stay in the order it ranks them in.
+ * @param {Object} [settings] Available properties are:
+ *                            {number} [cacheSize=1000]: The same as the Typo constructor's setting.
+ * @returns {Typo.Composite} A Typo.Composite object.
+ */
 
-			if (this.checkExact(trimmedWord.toLowerCase())) {
-				// The all-caps is a lowercase word spelled correctly.
-				return true;
-			}
+Typo.Composite = function (layers: any[], settings?: { cacheSize?: number }) {
+	if (!layers || layers.length === 0) {
+		throw new TypoError("A composite dictionary needs at least one dictionary.");
+	}
+
+	this.layers = layers.map(function (layer: any): CompositeLayer {
+		if (layer instanceof Typo || layer instanceof Typo.Composite) {
+			return { dictionary : layer, priority : 0 };
 		}
 
-		const uncapitalizedWord = trimmedWord[0].toLowerCase() + trimmedWord.substring(1);
+		return { dictionary : layer.dictionary, priority : layer.priority || 0 };
+	});
 
-		if (uncapitalizedWord !== trimmedWord) {
-			if (this.hasFlag(uncapitalizedWord, "KEEPCASE")) {
-				// Capitalization variants are not allowed for this word.
-				return false;
-			}
+	this.suggestionCache = new SuggestionCache(settings?.cacheSize);
+	this.cachedRevision = this._revision();
+};
 
-			// Check for an uncapitalized form
-			if (this.checkExact(uncapitalizedWord)) {
-				// The word is spelled correctly but with the first letter capitalized.
-				return true;
+Typo.Composite.prototype = {
+	/**
+	 * Whether all of the dictionaries have loaded.
+	 */
+
+	get loaded(): boolean {
+		for (let i = 0, _len = this.layers.length; i < _len; i++) {
+			if (!this.layers[i].dictionary.loaded) {
+				return false;
 			}
 		}
 
-		return false;
+		return true;
 	},
 
 	/**
-	 * Checks whether a word exists in the current dictionary.
-	 *
-	 * @param {string} word The word to check.
-	 * @returns {boolean}
+	 * The error that kept one of the dictionaries from loading, if any.
 	 */
 
-	checkExact : function (word: string): boolean {
-		if (!this.loaded) {
-			throw "Dictionary not loaded.";
-		}
-
-		const ruleCodes = this.dictionaryTable[word];
-
-		let i, _len;
-
-		if (typeof ruleCodes === 'undefined') {
-			// Check if this might be a compound word.
-			if ("COMPOUNDMIN" in this.flags && word.length >= this.flags.COMPOUNDMIN) {
-				for (i = 0, _len = this.compoundRules.length; i < _len; i++) {
-					if (word.match(this.compoundRules[i])) {
-						return true;
-					}
-				}
-			}
-		}
-		else if (ruleCodes === null) {
-			// a null (but not undefined) value for an entry in the dictionary table
-			// means that the word is in the dictionary but has no flags.
-			return true;
-		}
-		else if (typeof ruleCodes === 'object') { // this.dictionary['hasOwnProperty'] will be a function.
-			for (i = 0, _len = ruleCodes.length; i < _len; i++) {
-				if (!this.hasFlag(word, "ONLYINCOMPOUND", ruleCodes[i])) {
-					return true;
-				}
+	get loadError(): Error | null {
+		for (let i = 0, _len = this.layers.length; i < _len; i++) {
+			if (this.layers[i].dictionary.loadError) {
+				return this.layers[i].dictionary.loadError;
 			}
 		}
 
-		return false;
+		return null;
 	},
 
 	/**
-	 * Looks up whether a given word is flagged with a given flag.
+	 * Checks whether a word is spelled correctly in any of the dictionaries.
 	 *
-	 * @param {string} word The word in question.
-	 * @param {string} flag The flag in question.
-	 * @return {boolean}
+	 * @param {string} aWord The word to check.
+	 * @returns {boolean}
 	 */
 
-	hasFlag : function (word: string, flag: string, wordFlags?: string[]): boolean {
+	check : function (aWord: string): boolean {
 		if (!this.loaded) {
-			throw "Dictionary not loaded.";
+			throw this.loadError || new NotLoadedError();
 		}
 
-		if (flag in this.flags) {
-			if (typeof wordFlags === 'undefined') {
-				wordFlags = Array.prototype.concat.apply([], this.dictionaryTable[word]);
-			}
-
-			if (wordFlags && wordFlags.indexOf(this.flags[flag]) !== -1) {
+		for (let i = 0, _len = this.layers.length; i < _len; i++) {
+			if (this.layers[i].dictionary.check(aWord)) {
 				return true;
 			}
 		}
@@ -802,286 +6982,223 @@ Typo.prototype = {
 	},
 
 	/**
-	 * Returns a list of suggestions for a misspelled word.
-	 *
-	 * @see http://www.norvig.com/spell-correct.html for the basis of this suggestor.
-	 * This suggestor is primitive, but it works.
+	 * Checks whether a word is in any of the dictionaries exactly as it's written.
 	 *
-	 * @param {string} word The misspelling.
-	 * @param {number} [limit=5] The maximum number of suggestions to return.
-	 * @returns {string[]} The array of suggestions.
+	 * @param {string} word The word to check.
+	 * @returns {boolean}
 	 */
 
-	alphabet : "",
-
-	suggest : function (word: string, limit: number): string[] {
+	checkExact : function (word: string): boolean {
 		if (!this.loaded) {
-			throw "Dictionary not loaded.";
+			throw this.loadError || new NotLoadedError();
 		}
 
-		limit = limit || 5;
-
-		if (this.memoized.hasOwnProperty(word)) {
-			const memoizedLimit = this.memoized[word]['limit'];
-
-			// Only return the cached list if it's big enough or if there weren't enough suggestions
-			// to fill a smaller limit.
-			if (limit <= memoizedLimit || this.memoized[word]['suggestions'].length < memoizedLimit) {
-				return this.memoized[word]['suggestions'].slice(0, limit);
+		for (let i = 0, _len = this.layers.length; i < _len; i++) {
+			if (this.layers[i].dictionary.checkExact(word)) {
+				return true;
 			}
 		}
 
-		if (this.check(word)) return [];
-
-		// Check the replacement table.
-		for (let i = 0, _len = this.replacementTable.length; i < _len; i++) {
-			const replacementEntry = this.replacementTable[i];
+		return false;
+	},
 
-			if (word.indexOf(replacementEntry[0]) !== -1) {
-				const correctedWord = word.replace(replacementEntry[0], replacementEntry[1]);
+	/**
+	 * Finds the misspelled words in some text, like Typo.prototype.checkText().
+	 *
+	 * @param {string} text The text to check.
+	 * @param {Object} [options] The same options as Typo.prototype.checkText().
+	 * @returns {Object[]} The misspelled words.
+	 */
 
-				if (this.check(correctedWord)) {
-					return [ correctedWord ];
-				}
-			}
+	checkText : function (text: string, options?: CheckTextOptions): Misspelling[] {
+		if (!this.loaded) {
+			throw this.loadError || new NotLoadedError();
 		}
 
-		if (!this.alphabet) {
-			// Use the English alphabet as the default. Problematic, but backwards-compatible.
-			this.alphabet = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
-
-			// Any characters defined in the affix file as substitutions can go in the alphabet too.
-			// Note that dictionaries do not include the entire alphabet in the TRY flag when it's there.
-			// For example, Q is not in the default English TRY list; that's why having the default
-			// alphabet above is useful.
-			if ( 'TRY' in this.flags ) {
-				this.alphabet += this.flags['TRY'];
-			}
-
-			// Plus any additional characters specifically defined as being allowed in words.
-			if ( 'WORDCHARS' in this.flags ) {
-				this.alphabet += this.flags['WORDCHARS'];
-			}
+		return checkText(this, text, options);
+	},
 
-			// Remove any duplicates.
-			let alphaArray: string[] = this.alphabet.split("");
-			alphaArray.sort();
+	/**
+	 * Returns the characters that can join the parts of a word in any of the dictionaries.
+	 *
+	 * @returns {string}
+	 */
 
-			let alphaHash: HashMap = {};
-			for ( let i = 0; i < alphaArray.length; i++ ) {
-				alphaHash[ alphaArray[i] ] = true;
-			}
+	_wordJoiners : function (): string {
+		return this.layers.map(function (layer: CompositeLayer): string {
+			return layer.dictionary._wordJoiners();
+		}).join("");
+	},
 
-			this.alphabet = '';
+	/**
+	 * Returns a list of suggestions for a misspelled word from all of the dictionaries.
+	 *
+	 * @param {string} word The misspelling.
+	 * @param {number} [limit=5] The maximum number of suggestions to return.
+	 * @returns {string[]} The array of suggestions.
+	 */
 
-			for ( let i in alphaHash ) {
-				this.alphabet += i;
-			}
+	suggest : function (word: string, limit: number): string[] {
+		if (!this.loaded) {
+			throw this.loadError || new NotLoadedError();
 		}
 
-		const self = this;
-
-		/**
-		 * Returns a hash keyed by all of the strings that can be made by making a single edit to the word (or words in) `words`
-		 * The value of each entry is the number of unique ways that the resulting word can be made.
-		 *
-		 * @arg HashMap words A hash keyed by words (all with the value `true` to make lookups very quick).
-		 * @arg boolean known_only Whether this function should ignore strings that are not in the dictionary.
-		 */
-		function edits1(words: HashMap, known_only?: boolean): HashMap {
-			let rv: HashMap = {};
-
-			let i, j, _iilen, _len, _jlen, _edit;
-
-			const alphabetLength = self.alphabet.length;
+		limit = limit || 5;
 
-			for (let word in words) {
-				for (i = 0, _len = word.length + 1; i < _len; i++) {
-					const s = [ word.substring(0, i), word.substring(i) ];
+		// The cached suggestions are out of date if words have been added to or removed from any
+		// of the dictionaries.
+		const revision = this._revision();
 
-					// Remove a letter.
-					if (s[1]) {
-						_edit = s[0] + s[1].substring(1);
+		if (revision !== this.cachedRevision) {
+			this.suggestionCache.clear();
+			this.cachedRevision = revision;
+		}
 
-						if (!known_only || self.check(_edit)) {
-							if (!(_edit in rv)) {
-								rv[_edit] = 1;
-							}
-							else {
-								rv[_edit] += 1;
-							}
-						}
-					}
+		const cached = this.suggestionCache.get(word, limit);
 
-					// Transpose letters
-					// Eliminate transpositions of identical letters
-					if (s[1].length > 1 && s[1][1] !== s[1][0]) {
-						_edit = s[0] + s[1][1] + s[1][0] + s[1].substring(2);
+		if (cached) {
+			return cached;
+		}
 
-						if (!known_only || self.check(_edit)) {
-							if (!(_edit in rv)) {
-								rv[_edit] = 1;
-							}
-							else {
-								rv[_edit] += 1;
-							}
-						}
-					}
+		const suggestions = this._suggestions(word, limit).map(function (suggestion: [ string, number ]): string {
+			return suggestion[0];
+		});
 
-					if (s[1]) {
-						// Replace a letter with another letter.
+		this.suggestionCache.set(word, limit, suggestions);
 
-						const lettercase = (s[1].substring(0,1).toUpperCase() === s[1].substring(0,1)) ? 'uppercase' : 'lowercase';
+		return suggestions;
+	},
 
-						for (j = 0; j < alphabetLength; j++) {
-							let replacementLetter = self.alphabet[j];
+	/**
+	 * Forgets the cached suggestions for all words. (This happens automatically when words are
+	 * added to or removed from any of the dictionaries.) The dictionaries' own caches aren't cleared.
+	 */
 
-							// Set the case of the replacement letter to the same as the letter being replaced.
-							if ( 'uppercase' === lettercase ) {
-								replacementLetter = replacementLetter.toUpperCase();
-							}
+	clearCache : function (): void {
+		this.suggestionCache.clear();
+	},
 
-							// Eliminate replacement of a letter by itself
-							if (replacementLetter != s[1].substring(0,1)){
-								_edit = s[0] + replacementLetter + s[1].substring(1);
+	/**
+	 * Returns statistics about the suggestion cache, like Typo.prototype.cacheStats().
+	 *
+	 * @returns {Object}
+	 */
 
-								if (!known_only || self.check(_edit)) {
-									if (!(_edit in rv)) {
-										rv[_edit] = 1;
-									}
-									else {
-										rv[_edit] += 1;
-									}
-								}
-							}
-						}
-					}
+	cacheStats : function (): { size: number, maxSize: number, hits: number, misses: number } {
+		return this.suggestionCache.stats();
+	},
 
-					if (s[1]) {
-						// Add a letter between each letter.
-						for (j = 0; j < alphabetLength; j++) {
-							// If the letters on each side are capitalized, capitalize the replacement.
-							const lettercase = (s[0].substring(-1).toUpperCase() === s[0].substring(-1) && s[1].substring(0,1).toUpperCase() === s[1].substring(0,1)) ? 'uppercase' : 'lowercase';
+	/**
+	 * Identifies the current state of the words in all of the dictionaries.
+	 *
+	 * @returns {string}
+	 */
 
-							let replacementLetter = self.alphabet[j];
+	_revision : function (): string {
+		return "[" + this.layers.map(function (layer: CompositeLayer): string {
+			return layer.dictionary._revision();
+		}).join(",") + "]";
+	},
 
-							if ( 'uppercase' === lettercase ) {
-								replacementLetter = replacementLetter.toUpperCase();
-							}
+	/**
+	 * Merges the suggestions from each dictionary, ranking them by the priority of the dictionary
+	 * they came from and then by how close they are to the misspelling.
+	 *
+	 * @param {string} word The misspelling.
+	 * @param {number} limit The maximum number of suggestions to return.
+	 * @returns {Array[]} The suggestions, best first, with their weights in the dictionaries they came
+	 *                    from and the priorities of those dictionaries (starting with the one in this
+	 *                    composite, followed by any in the composite dictionaries it's stacked on).
+	 */
 
-							_edit = s[0] + replacementLetter + s[1];
+	_suggestions : function (word: string, limit: number): [ string, number, number[] ][] {
+		if (this.check(word)) {
+			return [];
+		}
 
-							if (!known_only || self.check(_edit)) {
-								if (!(_edit in rv)) {
-									rv[_edit] = 1;
-								}
-								else {
-									rv[_edit] += 1;
-								}
-							}
-						}
-					}
-				}
+		// Each dictionary weighs its suggestions on its own scale, so the weights of suggestions from
+		// different dictionaries can't be compared. Instead, each dictionary's suggestions are kept in
+		// its order, and the next suggestion from each one is compared by the dictionary's priority
+		// (and then, for a stacked composite dictionary, by the priority of the dictionary it came from
+		// in there), then by whether it's a PRIORITYSUGGEST word (or REP replacement), and then by how
+		// many edits it is from the misspelling. Ties go to the one that's higher in its own
+		// dictionary's list.
+		const lists = this.layers.map(function (layer: CompositeLayer): LayerSuggestions {
+			return { priority : layer.priority, suggestions : layer.dictionary._suggestions(word, limit), next : 0 };
+		});
+
+		let distances: HashMap = {};
+
+		function distance(suggestion: string): number {
+			if (!distances.hasOwnProperty(suggestion)) {
+				distances[suggestion] = editDistance(word, suggestion);
 			}
 
-			return rv;
+			return distances[suggestion];
 		}
 
-		function correct(word: string): string[] {
-			// Get the edit-distance-1 and edit-distance-2 forms of this word.
-			const ed1 = edits1({ [word] : true });
-			const ed2 = edits1(ed1, true);
+		function priorities(list: LayerSuggestions): number[] {
+			return [ list.priority ].concat(list.suggestions[list.next][2] || []);
+		}
 
-			// Sort the edits based on how many different ways they were created.
-			let weighted_corrections = ed2;
+		function isBetter(a: LayerSuggestions, b: LayerSuggestions): boolean {
+			const aSuggestion = a.suggestions[a.next];
+			const bSuggestion = b.suggestions[b.next];
+			const aPriorities = priorities(a);
+			const bPriorities = priorities(b);
 
-			for (let ed1word in ed1) {
-				if (!self.check(ed1word)) {
-					continue;
-				}
+			for (let i = 0, _len = Math.max(aPriorities.length, bPriorities.length); i < _len; i++) {
+				const aPriority = aPriorities[i] || 0;
+				const bPriority = bPriorities[i] || 0;
 
-				if (ed1word in weighted_corrections) {
-					weighted_corrections[ed1word] += ed1[ed1word];
-				}
-				else {
-					weighted_corrections[ed1word] = ed1[ed1word];
+				if (aPriority !== bPriority) {
+					return aPriority > bPriority;
 				}
 			}
 
-			let i, _len;
-
-			let sorted_corrections = [];
-
-			for (i in weighted_corrections) {
-				if (weighted_corrections.hasOwnProperty(i)) {
-					if (self.hasFlag(i, "PRIORITYSUGGEST")) {
-						// We've defined a new affix rule called PRIORITYSUGGEST, indicating that
-						// if this word is in the suggestions list for a misspelled word, it should
-						// be given priority over other suggestions.
-						//
-						// Add a large number to its weight to push it to the top of the list.
-						// If multiple priority suggestions are in the list, they'll still be ranked
-						// against each other, but they'll all be above non-priority suggestions.
-						weighted_corrections[i] += 1000;
-					}
+			const aLevel = Math.floor(aSuggestion[1] / 1000);
+			const bLevel = Math.floor(bSuggestion[1] / 1000);
 
-					sorted_corrections.push([ i, weighted_corrections[i] ]);
-				}
+			if (aLevel !== bLevel) {
+				return aLevel > bLevel;
 			}
 
-			function sorter(a: string[], b: string[]): -1 | 0 | 1 {
-				const a_val = a[1];
-				const b_val = b[1];
-				if (a_val < b_val) {
-					return -1;
-				} else if (a_val > b_val) {
-					return 1;
-				}
-				// @todo If a and b are equally weighted, add our own weight based on something like the key locations on this language's default keyboard.
-				return b[0].localeCompare(a[0]) as -1 | 0 | 1;
+			if (distance(aSuggestion[0]) !== distance(bSuggestion[0])) {
+				return distance(aSuggestion[0]) < distance(bSuggestion[0]);
 			}
 
-			sorted_corrections.sort(sorter).reverse();
+			return a.next < b.next;
+		}
 
-			let rv = [];
+		let merged: [ string, number, number[] ][] = [];
+		let seen: HashMap = {};
 
-			let capitalization_scheme = "lowercase";
+		while (merged.length < limit) {
+			let best: LayerSuggestions | null = null;
 
-			if (word.toUpperCase() === word) {
-				capitalization_scheme = "uppercase";
+			for (let i = 0, _len = lists.length; i < _len; i++) {
+				if (lists[i].next < lists[i].suggestions.length && (!best || isBetter(lists[i], best))) {
+					best = lists[i];
+				}
 			}
-			else if (word.substr(0, 1).toUpperCase() + word.substr(1).toLowerCase() === word) {
-				capitalization_scheme = "capitalized";
+
+			if (!best) {
+				break;
 			}
 
-			let working_limit = limit;
+			const suggestion = best.suggestions[best.next];
+			const suggestionPriorities = priorities(best);
 
-			for (i = 0; i < Math.min(working_limit, sorted_corrections.length); i++) {
-				if ("uppercase" === capitalization_scheme) {
-					sorted_corrections[i][0] = sorted_corrections[i][0].toUpperCase();
-				}
-				else if ("capitalized" === capitalization_scheme) {
-					sorted_corrections[i][0] = sorted_corrections[i][0].substr(0, 1).toUpperCase() + sorted_corrections[i][0].substr(1);
-				}
+			best.next++;
 
-				if (!self.hasFlag(sorted_corrections[i][0], "NOSUGGEST") && rv.indexOf(sorted_corrections[i][0]) === -1) {
-					rv.push(sorted_corrections[i][0]);
-				}
-				else {
-					// If one of the corrections is not eligible as a suggestion , make sure we still return the right number of suggestions.
-					working_limit++;
-				}
+			// A word suggested by several dictionaries is ranked where it's first taken from one of them.
+			if (!seen.hasOwnProperty(suggestion[0])) {
+				seen[suggestion[0]] = true;
+				merged.push([ suggestion[0], suggestion[1], suggestionPriorities ]);
 			}
-
-			return rv;
 		}
 
-		this.memoized[word] = {
-			'suggestions': correct(word),
-			'limit': limit
-		};
-
-		return this.memoized[word]['suggestions'];
+		return merged;
 	}
 };
 })();